@@ -0,0 +1,35 @@
+// Usage: node backfill.js [--batch-size <n>]
+// Run after `npm run migrate:up` to copy values from `extra` and legacy columns
+// into the typed canonical columns of udise_data.
+const pool = require("./db");
+const backfillService = require("./services/backfillService");
+const dashboardService = require("./services/dashboardService");
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const sizeIndex = args.indexOf("--batch-size");
+  const batchSize = sizeIndex >= 0 ? parseInt(args[sizeIndex + 1]) : 1000;
+  if (!batchSize || batchSize < 1) throw new Error("--batch-size must be a positive integer");
+
+  const totals = await backfillService.backfillCanonicalFields({
+    batchSize,
+    onProgress: ({ scanned, updated }) => console.log(`… scanned ${scanned}, updated ${updated}`),
+  });
+
+  console.log(
+    `✅ Backfill complete: ${totals.scanned} rows scanned, ${totals.updated} updated, ${totals.enrolmentRows} enrolment rows decomposed, ${totals.invalidValues} unparseable values left as NULL`
+  );
+
+  // Backfilled geography and enrolment columns feed the dashboard figures
+  if (totals.updated > 0) {
+    await dashboardService.refreshAggregates();
+    console.log("✅ Dashboard aggregates refreshed");
+  }
+};
+
+main()
+  .catch((err) => {
+    console.error("❌ BACKFILL FAILED:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,230 @@
+const apiKeyService = require("../services/apiKeyService");
+const authService = require("../services/authService");
+const permissionService = require("../services/permissionService");
+const scopeService = require("../services/scopeService");
+const auditService = require("../services/auditService");
+
+const { API_KEY_STATUSES } = apiKeyService;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// expiresAt (ISO date) or expiresInDays; neither means the key does not expire.
+// Returns [expiresAt, error].
+const parseExpiry = ({ expiresAt, expiresInDays }) => {
+  if (expiresAt != null) {
+    const date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) return [null, "expiresAt must be a future date"];
+    return [date, null];
+  }
+  if (expiresInDays != null) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1) return [null, "expiresInDays must be a positive integer"];
+    return [new Date(Date.now() + days * DAY_MS), null];
+  }
+  return [null, null];
+};
+
+// Body: { name, permissions: [...], userId? (defaults to yourself), expiresAt? | expiresInDays? }
+// userId may only name a service account: a key for another person would let its creator act
+// as them, with their scopes and under their name in the audit log.
+// The key is returned once and cannot be retrieved later.
+const createApiKey = async (req, res) => {
+  try {
+    const { name, permissions, userId } = req.body;
+    if (!name || typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ success: false, message: "name is required" });
+    }
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      return res.status(400).json({ success: false, message: "permissions must be a non-empty array" });
+    }
+    const unknown = permissions.filter((p) => !permissionService.PERMISSIONS.includes(p));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permissions: ${unknown.join(", ")}`,
+        allowed: permissionService.PERMISSIONS
+      });
+    }
+    const [expiresAt, expiryError] = parseExpiry(req.body);
+    if (expiryError) {
+      return res.status(400).json({ success: false, message: expiryError });
+    }
+
+    const target = await authService.findUserById(userId ?? req.user.user_id);
+    if (!target) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    if (target.user_id !== req.user.user_id) {
+      if (target.account_type !== "service") {
+        return res.status(403).json({ success: false, message: "Keys for a person can only be created by that person" });
+      }
+      if (!(await permissionService.canGrantRole(req.user, target.role))) {
+        return res.status(403).json({ success: false, message: "Cannot create keys for a user with more privileges than you" });
+      }
+    }
+    if (!(await permissionService.userHasPermissions(req.user, permissions))) {
+      return res.status(403).json({ success: false, message: "Cannot grant permissions you do not hold" });
+    }
+    const rolePermissions = await permissionService.getRolePermissions(target.role);
+    const notInRole = permissions.filter((p) => !rolePermissions.includes(p));
+    if (notInRole.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `The user's role (${target.role}) does not have: ${notInRole.join(", ")}`
+      });
+    }
+
+    const apiKey = await apiKeyService.createApiKey({
+      userId: target.user_id,
+      name: name.trim(),
+      permissions: [...new Set(permissions)],
+      expiresAt,
+      createdBy: req.user.user_id
+    });
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.API_KEY_CREATE,
+      targetType: "api_key",
+      targetId: apiKey.key_id,
+      after: {
+        user_id: apiKey.user_id,
+        name: apiKey.name,
+        key_prefix: apiKey.key_prefix,
+        permissions: apiKey.permissions,
+        expires_at: apiKey.expires_at
+      },
+      ip: req.ip
+    });
+
+    res.status(201).json({ success: true, message: "API key created; store it now, it will not be shown again", apiKey });
+  } catch (error) {
+    if (error.code === "22P02") {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    console.error("Create API Key Error:", error);
+    res.status(500).json({ success: false, message: "Failed to create API key" });
+  }
+};
+
+// Query: userId, status=active|expired|revoked, page, limit
+const getApiKeys = async (req, res) => {
+  try {
+    const { userId = null, status = "", page = 1, limit = 50 } = req.query;
+    if (status && !API_KEY_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${API_KEY_STATUSES.join(", ")}` });
+    }
+
+    const result = await apiKeyService.listApiKeys({
+      userId: parseInt(userId) || null,
+      status,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Get API Keys Error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch API keys" });
+  }
+};
+
+const revokeApiKey = async (req, res) => {
+  try {
+    const keyId = parseInt(req.params.keyId);
+    const apiKey = Number.isInteger(keyId) ? await apiKeyService.getApiKey(keyId) : null;
+    if (!apiKey) {
+      return res.status(404).json({ success: false, message: "API key not found" });
+    }
+    if (apiKey.revoked_at) {
+      return res.status(409).json({ success: false, message: "API key is already revoked" });
+    }
+
+    if (apiKey.user_id !== req.user.user_id) {
+      const owner = await authService.findUserById(apiKey.user_id);
+      if (!(await permissionService.canGrantRole(req.user, owner.role))) {
+        return res.status(403).json({ success: false, message: "Cannot revoke keys of a user with more privileges than you" });
+      }
+    }
+
+    const revoked = await apiKeyService.revokeApiKey(keyId, { revokedBy: req.user.user_id });
+    if (!revoked) {
+      return res.status(409).json({ success: false, message: "API key is already revoked" });
+    }
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.API_KEY_REVOKE,
+      targetType: "api_key",
+      targetId: keyId,
+      before: { user_id: apiKey.user_id, name: apiKey.name, key_prefix: apiKey.key_prefix },
+      ip: req.ip
+    });
+
+    res.json({ success: true, message: "API key revoked", apiKey: revoked });
+  } catch (error) {
+    console.error("Revoke API Key Error:", error);
+    res.status(500).json({ success: false, message: "Failed to revoke API key" });
+  }
+};
+
+// Body: { name, role, scopes? }. The account then gets keys through POST /api-keys.
+const createServiceAccount = async (req, res) => {
+  try {
+    const { name, role, scopes } = req.body;
+    if (!name || typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ success: false, message: "name is required" });
+    }
+    if (!role || !(await permissionService.roleExists(role))) {
+      return res.status(400).json({ success: false, message: `Unknown role: ${role}` });
+    }
+    if (!(await permissionService.canGrantRole(req.user, role))) {
+      return res.status(403).json({ success: false, message: "Cannot assign a role with more privileges than your own" });
+    }
+    if (scopes !== undefined) {
+      const invalid = scopeService.validateScopes(scopes);
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+      const forbidden = await scopeService.checkGrantableScopes(req.user, scopes);
+      if (forbidden) return res.status(403).json({ success: false, message: forbidden });
+    }
+
+    const account = await authService.createServiceAccount({ name: name.trim(), role });
+    account.scopes = scopes !== undefined ? await scopeService.setUserScopes(account.user_id, scopes) : [];
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.SERVICE_ACCOUNT_CREATE,
+      targetType: "user",
+      targetId: account.user_id,
+      after: { email: account.email, name: account.name, role: account.role, scopes: account.scopes },
+      ip: req.ip
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Service account created",
+      user: {
+        user_id: account.user_id,
+        email: account.email,
+        name: account.name,
+        role: account.role,
+        status: account.status,
+        account_type: account.account_type,
+        created_at: account.created_at,
+        scopes: account.scopes
+      }
+    });
+  } catch (error) {
+    if (error.code === "23505") {
+      return res.status(409).json({ success: false, message: "A service account with this name already exists" });
+    }
+    console.error("Create Service Account Error:", error);
+    res.status(500).json({ success: false, message: "Failed to create service account" });
+  }
+};
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
+  createServiceAccount
+};
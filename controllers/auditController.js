@@ -0,0 +1,31 @@
+const auditService = require("../services/auditService");
+
+const getAuditLogs = async (req, res) => {
+  try {
+    const { actor = "", action = "", from = "", to = "", page = 1, limit = 50 } = req.query;
+
+    for (const [name, value] of [["from", from], ["to", to]]) {
+      if (value && isNaN(Date.parse(value))) {
+        return res.status(400).json({ success: false, message: `Invalid date for '${name}'` });
+      }
+    }
+
+    const result = await auditService.listAuditLogs({
+      actor,
+      action,
+      from,
+      to,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200)
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Get Audit Logs Error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch audit logs" });
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
@@ -1,18 +1,30 @@
 const authService = require("../services/authService");
-const crypto = require("crypto");
-
-const generateToken = () => {
-  return crypto.randomBytes(32).toString("hex");
-};
+const googleAuthService = require("../services/googleAuthService");
+const permissionService = require("../services/permissionService");
+const scopeService = require("../services/scopeService");
+const auditService = require("../services/auditService");
+const apiKeyService = require("../services/apiKeyService");
 
 const googleAuth = async (req, res) => {
   try {
-    const { email, name, picture, googleId } = req.body;
+    // Google Identity Services posts the ID token as `credential`
+    const idToken = req.body.idToken || req.body.credential;
 
-    if (!email || !googleId) {
-      return res.status(400).json({ success: false, message: "Missing required fields" });
+    let claims;
+    try {
+      claims = await googleAuthService.verifyIdToken(idToken);
+    } catch (error) {
+      if (!error.code) throw error;
+      await auditService.recordAudit({
+        action: auditService.AUDIT_ACTIONS.LOGIN_FAILED,
+        metadata: { code: error.code },
+        ip: req.ip
+      });
+      return res.status(error.status || 401).json({ success: false, code: error.code, message: error.message });
     }
 
+    const { email, name, picture, googleId } = claims;
+
     let user = await authService.findUserByEmail(email);
     
     if (!user) {
@@ -28,22 +40,31 @@ const googleAuth = async (req, res) => {
       await authService.updateUserLogin(user.user_id, { google_id: googleId, name, profile_picture: picture });
     }
 
-    const token = generateToken();
-    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const tokens = await authService.createSession({
+      user_id: user.user_id,
+      ip: req.ip,
+      userAgent: req.get("user-agent") || null
+    });
 
-    await authService.createAuthToken({ user_id: user.user_id, token, expires_at: expiresAt });
+    await auditService.recordAudit({
+      actor: user,
+      action: auditService.AUDIT_ACTIONS.LOGIN,
+      targetType: "user",
+      targetId: user.user_id,
+      metadata: { sessionId: tokens.sessionId },
+      ip: req.ip
+    });
 
     res.json({
       success: true,
-      token,
+      ...tokens,
       user: {
         user_id: user.user_id,
         email: user.email,
         name: user.name,
         role: user.role,
         profile_picture: user.profile_picture
-      },
-      expiresAt
+      }
     });
   } catch (error) {
     console.error("Google Auth Error:", error);
@@ -59,13 +80,17 @@ const verifyToken = async (req, res, next) => {
       return res.status(401).json({ success: false, message: "No token provided" });
     }
 
-    const authToken = await authService.verifyToken(token);
+    // API keys are accepted as bearer tokens too
+    const authToken = apiKeyService.isApiKey(token)
+      ? await apiKeyService.verifyApiKey(token, { ip: req.ip })
+      : await authService.verifyToken(token);
 
     if (!authToken) {
       return res.status(401).json({ success: false, message: "Invalid or expired token" });
     }
 
     req.user = authToken.user;
+    req.sessionId = authToken.sessionId;
     next();
   } catch (error) {
     console.error("Token Verification Error:", error);
@@ -73,10 +98,51 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
+// Usage: router.post('/save-schools', requirePermission('schools:write'), handler)
+const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ success: false, message: "Authentication required" });
+    }
+
+    const allowed = await permissionService.userHasPermissions(req.user, permissions);
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: "Forbidden: missing required permission",
+        required: permissions,
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("Permission Check Error:", error);
+    res.status(500).json({ success: false, message: "Authorization failed" });
+  }
+};
+
+// Body: { refreshToken? } to end the session when the access token has already expired
 const logout = async (req, res) => {
   try {
     const token = req.headers.authorization?.replace("Bearer ", "");
-    if (token) await authService.deleteToken(token);
+    const refreshToken = req.body?.refreshToken;
+    const deleted =
+      (token ? await authService.deleteToken(token) : null) ||
+      (typeof refreshToken === "string" ? await authService.findSessionByRefreshToken(refreshToken) : null);
+    if (deleted) {
+      // Signing out ends the whole session, so its refresh token stops working too
+      if (deleted.session_id) {
+        await authService.revokeSession(deleted.session_id, { reason: "logout" });
+      }
+      await auditService.recordAudit({
+        actor: deleted,
+        action: auditService.AUDIT_ACTIONS.LOGOUT,
+        targetType: "user",
+        targetId: deleted.user_id,
+        metadata: deleted.session_id ? { sessionId: deleted.session_id } : undefined,
+        ip: req.ip
+      });
+    }
     res.json({ success: true, message: "Logged out successfully" });
   } catch (error) {
     console.error("Logout Error:", error);
@@ -84,6 +150,80 @@ const logout = async (req, res) => {
   }
 };
 
+// Body: { refreshToken }. Returns a new access token and refresh token; the old refresh token is spent.
+const refreshToken = async (req, res) => {
+  try {
+    const tokens = await authService.refreshSession(req.body?.refreshToken, {
+      ip: req.ip,
+      userAgent: req.get("user-agent") || null
+    });
+    res.json({ success: true, ...tokens });
+  } catch (error) {
+    if (!error.code || !error.status) {
+      console.error("Refresh Token Error:", error);
+      return res.status(500).json({ success: false, message: "Token refresh failed" });
+    }
+    if (error.session) {
+      await auditService.recordAudit({
+        actor: error.session,
+        action: auditService.AUDIT_ACTIONS.REFRESH_TOKEN_REUSE,
+        targetType: "session",
+        targetId: error.session.session_id,
+        ip: req.ip
+      });
+    }
+    res.status(error.status).json({ success: false, code: error.code, message: error.message });
+  }
+};
+
+// Sessions are browser sign-ins; a script holding an API key must not see or end them
+const rejectApiKey = (req, res) => {
+  if (!req.user.apiKeyId) return false;
+  res.status(403).json({ success: false, message: "Sessions cannot be managed with an API key" });
+  return true;
+};
+
+// The caller's own signed-in devices; `current` marks the one making the request
+const getSessions = async (req, res) => {
+  try {
+    if (rejectApiKey(req, res)) return;
+    const sessions = await authService.listSessions(req.user.user_id);
+    res.json({
+      success: true,
+      sessions: sessions.map((session) => ({ ...session, current: session.session_id === req.sessionId }))
+    });
+  } catch (error) {
+    console.error("Get Sessions Error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch sessions" });
+  }
+};
+
+const revokeSession = async (req, res) => {
+  try {
+    if (rejectApiKey(req, res)) return;
+    const sessionId = parseInt(req.params.sessionId);
+    const revoked = Number.isInteger(sessionId)
+      ? await authService.revokeSession(sessionId, { userId: req.user.user_id, reason: "revoked_by_user" })
+      : null;
+    if (!revoked) {
+      return res.status(404).json({ success: false, message: "Session not found" });
+    }
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.SESSION_REVOKE,
+      targetType: "session",
+      targetId: sessionId,
+      ip: req.ip
+    });
+
+    res.json({ success: true, message: "Session revoked" });
+  } catch (error) {
+    console.error("Revoke Session Error:", error);
+    res.status(500).json({ success: false, message: "Failed to revoke session" });
+  }
+};
+
 const getProfile = async (req, res) => {
   try {
     const user = await authService.findUserById(req.user.user_id);
@@ -98,6 +238,8 @@ const getProfile = async (req, res) => {
         role: user.role,
         profile_picture: user.profile_picture,
         status: user.status,
+        permissions: await permissionService.getUserPermissions({ ...req.user, role: user.role }),
+        scopes: await scopeService.getUserScopes(user.user_id),
         last_login: user.last_login,
         created_at: user.created_at
       }
@@ -121,7 +263,11 @@ const cleanupTokens = async (req, res) => {
 module.exports = {
   googleAuth,
   verifyToken,
+  requirePermission,
   logout,
+  refreshToken,
+  getSessions,
+  revokeSession,
   getProfile,
   cleanupTokens
 };
\ No newline at end of file
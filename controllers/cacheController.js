@@ -0,0 +1,81 @@
+const udiseCacheService = require("../services/udiseCacheService");
+const auditService = require("../services/auditService");
+const udiseClient = require("../services/udiseClient");
+
+// Query: path (prefix filter), page, limit. Entries are listed without their response bodies.
+const getCacheEntries = async (req, res) => {
+  try {
+    const { path = "", page = 1, limit = 50 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [stats, { entries, total }] = await Promise.all([
+      udiseCacheService.getStats(),
+      udiseCacheService.listEntries({ pathPrefix: path, page: pageNum, limit: limitNum })
+    ]);
+
+    res.json({
+      success: true,
+      stats,
+      upstream: udiseClient.getStatus(),
+      entries,
+      total,
+      page: pageNum,
+      totalPages: Math.ceil(total / limitNum)
+    });
+  } catch (error) {
+    console.error("Get Cache Entries Error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch cache entries" });
+  }
+};
+
+// Query: path (prefix filter; purges everything when omitted), expired=true to only drop stale entries
+const purgeCache = async (req, res) => {
+  try {
+    const { path = "", expired = "" } = req.query;
+    const expiredOnly = expired === "true";
+    const purged = await udiseCacheService.purge({ pathPrefix: path, expiredOnly });
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.CACHE_PURGE,
+      targetType: "udise_cache",
+      metadata: { path: path || null, expiredOnly, purged },
+      ip: req.ip
+    });
+
+    res.json({ success: true, message: `Purged ${purged} cache entries`, purged });
+  } catch (error) {
+    console.error("Purge Cache Error:", error);
+    res.status(500).json({ success: false, message: "Failed to purge cache" });
+  }
+};
+
+const deleteCacheEntry = async (req, res) => {
+  try {
+    const { cacheKey } = req.params;
+    const deleted = await udiseCacheService.deleteEntry(cacheKey);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: "Cache entry not found" });
+    }
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.CACHE_PURGE,
+      targetType: "udise_cache",
+      targetId: cacheKey,
+      ip: req.ip
+    });
+
+    res.json({ success: true, message: "Cache entry deleted" });
+  } catch (error) {
+    console.error("Delete Cache Entry Error:", error);
+    res.status(500).json({ success: false, message: "Failed to delete cache entry" });
+  }
+};
+
+module.exports = {
+  getCacheEntries,
+  purgeCache,
+  deleteCacheEntry
+};
@@ -0,0 +1,179 @@
+const dataQualityService = require("../services/dataQualityService");
+const scopeService = require("../services/scopeService");
+const auditService = require("../services/auditService");
+
+const sendError = (res, error, label, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, message: error.message, errors: error.errors });
+  }
+  console.error(`${label} Error:`, error);
+  res.status(500).json({ success: false, message: fallback });
+};
+
+const readFilters = (query) => {
+  const filters = {};
+  for (const level of dataQualityService.LEVELS) {
+    if (query[level]) filters[level] = String(query[level]);
+  }
+  return filters;
+};
+
+// The run named by ?runId, or the latest completed one. Responds and returns null when there is none.
+const findRun = async (req, res) => {
+  if (req.query.runId) {
+    const run = await dataQualityService.getRun(parseInt(req.query.runId) || 0);
+    if (!run) {
+      res.status(404).json({ success: false, message: "Data quality run not found" });
+      return null;
+    }
+    if (run.status !== "completed") {
+      res.status(409).json({ success: false, message: `Data quality run is ${run.status}` });
+      return null;
+    }
+    return run;
+  }
+
+  const run = await dataQualityService.getLatestRun();
+  if (!run) {
+    res.status(404).json({ success: false, message: "No completed data quality run yet" });
+  }
+  return run || null;
+};
+
+// Query: runId (default: latest completed), level=state|district|block,
+// optional state/district/block to narrow the geography and ruleId
+const getSummary = async (req, res) => {
+  try {
+    const { level = "state", ruleId = null } = req.query;
+    if (!dataQualityService.LEVELS.includes(level)) {
+      return res.status(400).json({
+        success: false,
+        message: `level must be one of: ${dataQualityService.LEVELS.join(", ")}`
+      });
+    }
+
+    const run = await findRun(req, res);
+    if (!run) return;
+
+    const scope = await scopeService.resolveScope(req.user);
+    const summary = await dataQualityService.getSummary(run, { level, filters: readFilters(req.query), ruleId, scope });
+    res.json({ success: true, run, level, ...summary });
+  } catch (error) {
+    sendError(res, error, "Data Quality Summary", "Failed to fetch data quality summary");
+  }
+};
+
+// Query: runId, ruleId, state/district/block, page, limit
+const getFailures = async (req, res) => {
+  try {
+    const run = await findRun(req, res);
+    if (!run) return;
+
+    const { ruleId = null, page = 1, limit = 50 } = req.query;
+    const scope = await scopeService.resolveScope(req.user);
+    const result = await dataQualityService.listFailures(run, {
+      filters: readFilters(req.query),
+      ruleId,
+      scope,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500)
+    });
+    res.json({ success: true, run, ...result });
+  } catch (error) {
+    sendError(res, error, "Data Quality Failures", "Failed to fetch failing rows");
+  }
+};
+
+const getRuns = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const result = await dataQualityService.listRuns({
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, "Get Data Quality Runs", "Failed to fetch data quality runs");
+  }
+};
+
+const getRun = async (req, res) => {
+  try {
+    const run = await dataQualityService.getRun(parseInt(req.params.runId) || 0);
+    if (!run) {
+      return res.status(404).json({ success: false, message: "Data quality run not found" });
+    }
+    res.json({ success: true, run });
+  } catch (error) {
+    sendError(res, error, "Get Data Quality Run", "Failed to fetch data quality run");
+  }
+};
+
+// Queues a run of every enabled rule over all stored rows
+const createRun = async (req, res) => {
+  try {
+    const run = await dataQualityService.createRun(req.user.user_id);
+    dataQualityService.enqueueRun(run);
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.DATA_QUALITY_RUN,
+      targetType: "data_quality_run",
+      targetId: run.run_id,
+      metadata: { rules: run.rules.map((rule) => rule.id) },
+      ip: req.ip
+    });
+
+    res.status(202).json({ success: true, message: "Data quality run queued", run });
+  } catch (error) {
+    sendError(res, error, "Create Data Quality Run", "Failed to start data quality run");
+  }
+};
+
+const getRules = async (req, res) => {
+  try {
+    const rules = await dataQualityService.getRules();
+    res.json({ success: true, rules });
+  } catch (error) {
+    sendError(res, error, "Get Data Quality Rules", "Failed to fetch data quality rules");
+  }
+};
+
+// Body: any of { enabled, severity: "error" | "warning", gate: "off" | "warn" | "block", params }
+const updateRule = async (req, res) => {
+  try {
+    const { enabled, severity, gate, params } = req.body;
+    const updated = await dataQualityService.updateRule(
+      req.params.ruleId,
+      { enabled, severity, gate, params },
+      req.user.user_id
+    );
+    if (!updated) {
+      return res.status(404).json({ success: false, message: "Data quality rule not found" });
+    }
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.DATA_QUALITY_RULE_UPDATE,
+      targetType: "data_quality_rule",
+      targetId: req.params.ruleId,
+      before: updated.before,
+      after: updated.after,
+      ip: req.ip
+    });
+
+    res.json({ success: true, message: "Rule updated", rule: updated.after });
+  } catch (error) {
+    sendError(res, error, "Update Data Quality Rule", "Failed to update data quality rule");
+  }
+};
+
+module.exports = {
+  getSummary,
+  getFailures,
+  getRuns,
+  getRun,
+  createRun,
+  getRules,
+  updateRule
+};
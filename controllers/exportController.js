@@ -0,0 +1,149 @@
+const fs = require("fs");
+const exportService = require("../services/exportService");
+const schoolQuery = require("../models/schoolQuery");
+const scopeService = require("../services/scopeService");
+const auditService = require("../services/auditService");
+
+// Body: a /schools/search query ({ filters, q, udiseCodePrefix, sort }) plus
+// { format: "csv" | "xlsx", columns?, background? }. Small result sets stream straight back; large ones
+// (or background: true) are queued and downloaded later from /exports/:exportId/download.
+const exportSchools = async (req, res) => {
+  try {
+    const { format = "csv", columns, background = false } = req.body;
+
+    if (!exportService.EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: `format must be one of: ${exportService.EXPORT_FORMATS.join(", ")}` });
+    }
+
+    const query = schoolQuery.parseSchoolQuery(req.body);
+    const resolvedColumns = exportService.resolveColumns(columns);
+    const scope = await scopeService.resolveScope(req.user);
+    const total = await exportService.countRows(query, scope);
+
+    if (format === "xlsx" && total > exportService.XLSX_MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `${total} rows exceed the XLSX sheet limit; narrow the filters or export as CSV`
+      });
+    }
+
+    const audit = (metadata) =>
+      auditService.recordAudit({
+        actor: req.user,
+        action: auditService.AUDIT_ACTIONS.SCHOOLS_EXPORT,
+        targetType: "udise_data",
+        metadata: { ...metadata, query, format, columns: resolvedColumns.map((c) => c.field), rows: total },
+        ip: req.ip
+      });
+
+    if (background === true || total > exportService.SYNC_ROW_LIMIT) {
+      const job = await exportService.createExportJob({
+        createdBy: req.user.user_id,
+        format,
+        query,
+        columns: resolvedColumns
+      });
+      exportService.enqueueExportJob(job, scope);
+      await audit({ exportId: job.export_id, background: true });
+
+      return res.status(202).json({
+        success: true,
+        message: `Export of ${total} rows queued`,
+        export: job
+      });
+    }
+
+    await audit({ background: false });
+
+    res.set({
+      "Content-Type": exportService.CONTENT_TYPES[format],
+      "Content-Disposition": `attachment; filename="${exportService.buildFileName(format)}"`,
+      "X-Total-Count": String(total)
+    });
+    await exportService.writeExport({ format, query, columns: resolvedColumns, scope }, res);
+  } catch (error) {
+    if (error.status && !res.headersSent) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        errors: error.errors,
+        allowed: error.allowed
+      });
+    }
+    console.error("Export Schools Error:", error);
+    if (res.headersSent) {
+      // Mid-stream failure: cut the connection so the client sees a truncated download
+      return res.destroy(error);
+    }
+    res.status(500).json({ success: false, message: "Failed to export schools" });
+  }
+};
+
+const getExports = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const result = await exportService.listExportJobs({
+      createdBy: req.user.user_id,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Get Exports Error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch exports" });
+  }
+};
+
+// Export artifacts carry the creator's scope, so only the creator can see them
+const findOwnExport = async (req) => {
+  const job = await exportService.getExportJob(req.params.exportId).catch((error) => {
+    if (error.code === "22P02") return null; // not a UUID
+    throw error;
+  });
+  return job && job.created_by === req.user.user_id ? job : null;
+};
+
+const getExport = async (req, res) => {
+  try {
+    const job = await findOwnExport(req);
+    if (!job) {
+      return res.status(404).json({ success: false, message: "Export not found" });
+    }
+    res.json({ success: true, export: job });
+  } catch (error) {
+    console.error("Get Export Error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch export" });
+  }
+};
+
+const downloadExport = async (req, res) => {
+  try {
+    const job = await findOwnExport(req);
+    if (!job) {
+      return res.status(404).json({ success: false, message: "Export not found" });
+    }
+    if (job.status === "expired") {
+      return res.status(410).json({ success: false, message: "Export has expired" });
+    }
+    if (job.status !== "completed") {
+      return res.status(409).json({ success: false, message: `Export is ${job.status}` });
+    }
+
+    const filePath = exportService.artifactPath(job);
+    if (!fs.existsSync(filePath)) {
+      return res.status(410).json({ success: false, message: "Export file is no longer available" });
+    }
+
+    res.download(filePath, job.file_name);
+  } catch (error) {
+    console.error("Download Export Error:", error);
+    res.status(500).json({ success: false, message: "Failed to download export" });
+  }
+};
+
+module.exports = {
+  exportSchools,
+  getExports,
+  getExport,
+  downloadExport
+};
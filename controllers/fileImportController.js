@@ -0,0 +1,237 @@
+const multer = require("multer");
+const fileImportService = require("../services/fileImportService");
+const scopeService = require("../services/scopeService");
+const auditService = require("../services/auditService");
+
+const MAX_FILE_MB = parseInt(process.env.IMPORT_MAX_FILE_MB) || 50;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_MB * 1024 * 1024, files: 1 }
+});
+
+// Multipart field "file"; multer errors become 400/413 instead of the default HTML error page
+const receiveFile = (req, res, next) => {
+  upload.single("file")(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ success: false, message: `File exceeds the ${MAX_FILE_MB} MB limit` });
+    }
+    res.status(400).json({ success: false, message: err.message });
+  });
+};
+
+const sendError = (res, error, label, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, message: error.message, allowed: error.allowed });
+  }
+  console.error(`${label} Error:`, error);
+  res.status(500).json({ success: false, message: fallback });
+};
+
+// Multipart form: file, plus optional fields mappingId, mapping (JSON), ay (used
+// for rows without one) and mode. Returns the staged import with its dry-run preview.
+const uploadImport = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: "Attach the spreadsheet as the 'file' field" });
+    }
+
+    let mapping = null;
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch {
+        return res.status(400).json({ success: false, message: "mapping must be valid JSON" });
+      }
+    }
+
+    const scope = await scopeService.resolveScope(req.user);
+    const fileImport = await fileImportService.stageImport({
+      user: req.user,
+      scope,
+      file: req.file,
+      mapping,
+      mappingId: req.body.mappingId || null,
+      defaultAy: req.body.ay || null,
+      mode: req.body.mode || "skip"
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${fileImport.valid_count} of ${fileImport.row_count} rows are ready to import`,
+      import: fileImport
+    });
+  } catch (error) {
+    sendError(res, error, "Upload Import", "Failed to process file");
+  }
+};
+
+// Imports hold rows staged under the uploader's scope, so only the uploader can see them
+const findOwnImport = async (req) => {
+  const fileImport = await fileImportService.getImport(req.params.importId).catch((error) => {
+    if (error.code === "22P02") return null; // not a UUID
+    throw error;
+  });
+  return fileImport && fileImport.created_by === req.user.user_id ? fileImport : null;
+};
+
+const getImport = async (req, res) => {
+  try {
+    const fileImport = await findOwnImport(req);
+    if (!fileImport) {
+      return res.status(404).json({ success: false, message: "Import not found" });
+    }
+    res.json({ success: true, import: fileImport });
+  } catch (error) {
+    sendError(res, error, "Get Import", "Failed to fetch import");
+  }
+};
+
+// Query: status=valid|invalid, page, limit
+const getImportRows = async (req, res) => {
+  try {
+    const fileImport = await findOwnImport(req);
+    if (!fileImport) {
+      return res.status(404).json({ success: false, message: "Import not found" });
+    }
+
+    const { status = "", page = 1, limit = 50 } = req.query;
+    if (status && !["valid", "invalid"].includes(status)) {
+      return res.status(400).json({ success: false, message: "status must be 'valid' or 'invalid'" });
+    }
+
+    const result = await fileImportService.getImportRows(fileImport.import_id, {
+      status,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, "Get Import Rows", "Failed to fetch import rows");
+  }
+};
+
+// Body: { mode? } to override the mode chosen at upload
+const commitImport = async (req, res) => {
+  try {
+    const scope = await scopeService.resolveScope(req.user);
+    const { import: fileImport, result } = await fileImportService.commitImport(req.params.importId, {
+      user: req.user,
+      scope,
+      mode: req.body?.mode
+    });
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.SCHOOLS_IMPORT,
+      targetType: "udise_data",
+      targetId: result.batchId,
+      metadata: {
+        importId: fileImport.import_id,
+        fileName: fileImport.file_name,
+        mode: result.mode,
+        rows: fileImport.row_count,
+        skippedInvalid: fileImport.invalid_count,
+        inserted: result.inserted,
+        updated: result.updated,
+        unchanged: result.unchanged
+      },
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: `Imported ${result.inserted} new and ${result.updated} updated schools`,
+      import: fileImport,
+      ...result
+    });
+  } catch (error) {
+    if (error.rejected) {
+      return res.status(error.status).json({ success: false, message: error.message, rejected: error.rejected });
+    }
+    sendError(res, error, "Commit Import", "Failed to commit import");
+  }
+};
+
+// --- Saved header mappings ---
+
+const getMappings = async (req, res) => {
+  try {
+    const mappings = await fileImportService.listMappings();
+    res.json({ success: true, mappings });
+  } catch (error) {
+    sendError(res, error, "Get Import Mappings", "Failed to fetch import mappings");
+  }
+};
+
+// Body: { name, mapping: { "<header>": "<field>" | null } }
+const createMapping = async (req, res) => {
+  try {
+    const { name, mapping } = req.body;
+    if (!name || typeof name !== "string") {
+      return res.status(400).json({ success: false, message: "name is required" });
+    }
+
+    const created = await fileImportService.createMapping({
+      name: name.trim(),
+      mapping,
+      createdBy: req.user.user_id
+    });
+    res.status(201).json({ success: true, message: "Mapping saved", mapping: created });
+  } catch (error) {
+    if (error.code === "23505") {
+      return res.status(409).json({ success: false, message: "A mapping with this name already exists" });
+    }
+    sendError(res, error, "Create Import Mapping", "Failed to save mapping");
+  }
+};
+
+const updateMapping = async (req, res) => {
+  try {
+    const { name, mapping } = req.body;
+    const updated = await fileImportService.updateMapping(req.params.mappingId, {
+      name: typeof name === "string" ? name.trim() : null,
+      mapping
+    });
+    if (!updated) {
+      return res.status(404).json({ success: false, message: "Mapping not found" });
+    }
+    res.json({ success: true, message: "Mapping updated", mapping: updated });
+  } catch (error) {
+    if (error.code === "23505") {
+      return res.status(409).json({ success: false, message: "A mapping with this name already exists" });
+    }
+    if (error.code === "22P02") {
+      return res.status(404).json({ success: false, message: "Mapping not found" });
+    }
+    sendError(res, error, "Update Import Mapping", "Failed to update mapping");
+  }
+};
+
+const deleteMapping = async (req, res) => {
+  try {
+    const deleted = await fileImportService.deleteMapping(req.params.mappingId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: "Mapping not found" });
+    }
+    res.json({ success: true, message: "Mapping deleted" });
+  } catch (error) {
+    if (error.code === "22P02") {
+      return res.status(404).json({ success: false, message: "Mapping not found" });
+    }
+    sendError(res, error, "Delete Import Mapping", "Failed to delete mapping");
+  }
+};
+
+module.exports = {
+  receiveFile,
+  uploadImport,
+  getImport,
+  getImportRows,
+  commitImport,
+  getMappings,
+  createMapping,
+  updateMapping,
+  deleteMapping
+};
@@ -0,0 +1,135 @@
+const importBatchService = require("../services/importBatchService");
+const permissionService = require("../services/permissionService");
+const scopeService = require("../services/scopeService");
+const auditService = require("../services/auditService");
+
+const { BATCH_SOURCES, BATCH_STATUSES, ROW_ACTIONS } = importBatchService;
+
+// Without imports:manage, only your own batches can be seen and rolled back
+const canManageAllImports = (user) => permissionService.userHasPermissions(user, ["imports:manage"]);
+
+const sendError = (res, error, label, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, message: error.message, conflicts: error.conflicts });
+  }
+  console.error(`${label} Error:`, error);
+  res.status(500).json({ success: false, message: fallback });
+};
+
+const findVisibleBatch = async (req) => {
+  const batch = await importBatchService.getBatch(req.params.batchId).catch((error) => {
+    if (error.code === "22P02") return null; // not a UUID
+    throw error;
+  });
+  if (!batch) return null;
+  return batch.created_by === req.user.user_id || (await canManageAllImports(req.user)) ? batch : null;
+};
+
+// Query: source, status, sourceRef (import or job id), userId, page, limit
+const getBatches = async (req, res) => {
+  try {
+    const { source = "", status = "", sourceRef = null, userId = null, page = 1, limit = 50 } = req.query;
+
+    if (source && !BATCH_SOURCES.includes(source)) {
+      return res.status(400).json({ success: false, message: `source must be one of: ${BATCH_SOURCES.join(", ")}` });
+    }
+    if (status && !BATCH_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${BATCH_STATUSES.join(", ")}` });
+    }
+
+    const manageAll = await canManageAllImports(req.user);
+    const result = await importBatchService.listBatches({
+      source,
+      status,
+      sourceRef,
+      createdBy: manageAll ? parseInt(userId) || null : req.user.user_id,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, "Get Import Batches", "Failed to fetch import batches");
+  }
+};
+
+const getBatch = async (req, res) => {
+  try {
+    const batch = await findVisibleBatch(req);
+    if (!batch) {
+      return res.status(404).json({ success: false, message: "Import batch not found" });
+    }
+    res.json({ success: true, batch });
+  } catch (error) {
+    sendError(res, error, "Get Import Batch", "Failed to fetch import batch");
+  }
+};
+
+// Query: action=insert|update, page, limit
+const getBatchRows = async (req, res) => {
+  try {
+    const batch = await findVisibleBatch(req);
+    if (!batch) {
+      return res.status(404).json({ success: false, message: "Import batch not found" });
+    }
+
+    const { action = "", page = 1, limit = 50 } = req.query;
+    if (action && !ROW_ACTIONS.includes(action)) {
+      return res.status(400).json({ success: false, message: `action must be one of: ${ROW_ACTIONS.join(", ")}` });
+    }
+
+    const result = await importBatchService.getBatchRows(batch.batch_id, {
+      action,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, "Get Import Batch Rows", "Failed to fetch import batch rows");
+  }
+};
+
+// Deletes the rows the batch inserted and restores the rows it updated
+const rollbackBatch = async (req, res) => {
+  try {
+    const batch = await findVisibleBatch(req);
+    if (!batch) {
+      return res.status(404).json({ success: false, message: "Import batch not found" });
+    }
+
+    const scope = await scopeService.resolveScope(req.user);
+    const result = await importBatchService.rollbackBatch(batch.batch_id, { userId: req.user.user_id, scope });
+    if (!result) {
+      return res.status(404).json({ success: false, message: "Import batch not found" });
+    }
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.IMPORT_ROLLBACK,
+      targetType: "import_batch",
+      targetId: batch.batch_id,
+      metadata: {
+        source: batch.source,
+        sourceRef: batch.source_ref,
+        deleted: result.deleted,
+        restored: result.restored,
+        missing: result.missing
+      },
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: `Rolled back: deleted ${result.deleted}, restored ${result.restored} row(s)`,
+      ...result
+    });
+  } catch (error) {
+    sendError(res, error, "Rollback Import Batch", "Failed to roll back import batch");
+  }
+};
+
+module.exports = {
+  getBatches,
+  getBatch,
+  getBatchRows,
+  rollbackBatch
+};
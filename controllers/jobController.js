@@ -0,0 +1,144 @@
+const jobService = require("../services/jobService");
+const schoolService = require("../services/schoolService");
+const permissionService = require("../services/permissionService");
+const auditService = require("../services/auditService");
+
+const JOB_STATUSES = ["queued", "running", "completed", "failed", "cancelled"];
+
+// Non-admins only see and cancel their own jobs
+const canManageAllJobs = (user) => permissionService.userHasPermissions(user, ["jobs:manage"]);
+
+// Body: { stateId, stateName?, districts: [id | { id, name }], yearId, ay, mode? }
+const createJob = async (req, res) => {
+  try {
+    const { stateId, stateName, districts, yearId, ay, mode = "skip" } = req.body;
+
+    if (!stateId || !yearId || !ay) {
+      return res.status(400).json({ success: false, message: "stateId, yearId and ay are required" });
+    }
+    if (!Array.isArray(districts) || districts.length === 0) {
+      return res.status(400).json({ success: false, message: "districts must be a non-empty array" });
+    }
+    if (!schoolService.SAVE_MODES.includes(mode)) {
+      return res.status(400).json({ success: false, message: `mode must be one of: ${schoolService.SAVE_MODES.join(", ")}` });
+    }
+
+    const normalizedDistricts = districts.map((d) =>
+      typeof d === "object" && d !== null ? { id: d.id, name: d.name } : { id: d }
+    );
+    if (normalizedDistricts.some((d) => d.id === undefined || d.id === null || d.id === "")) {
+      return res.status(400).json({ success: false, message: "Every district needs an id" });
+    }
+
+    const job = await jobService.createJob({
+      created_by: req.user.user_id,
+      state_id: String(stateId),
+      state_name: stateName,
+      ay,
+      year_id: String(yearId),
+      mode,
+      districts: normalizedDistricts.map((d) => ({ id: String(d.id), name: d.name }))
+    });
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.JOB_CREATE,
+      targetType: "harvest_job",
+      targetId: job.job_id,
+      after: { stateId, stateName, districts: normalizedDistricts, yearId, ay, mode },
+      ip: req.ip
+    });
+
+    res.status(202).json({ success: true, message: "Job queued", job });
+  } catch (error) {
+    console.error("Create Job Error:", error);
+    res.status(500).json({ success: false, message: "Failed to create job" });
+  }
+};
+
+const getJobs = async (req, res) => {
+  try {
+    const { status = "", page = 1, limit = 50 } = req.query;
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${JOB_STATUSES.join(", ")}` });
+    }
+
+    const result = await jobService.listJobs({
+      status,
+      createdBy: (await canManageAllJobs(req.user)) ? null : req.user.user_id,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 200)
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Get Jobs Error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch jobs" });
+  }
+};
+
+// The job, or null when it does not exist or belongs to someone else you cannot manage
+const findVisibleJob = async (req) => {
+  const job = await jobService.getJob(req.params.jobId).catch((error) => {
+    if (error.code === "22P02") return null; // not a job id
+    throw error;
+  });
+  if (!job) return null;
+  return job.created_by === req.user.user_id || (await canManageAllJobs(req.user)) ? job : null;
+};
+
+const getJob = async (req, res) => {
+  try {
+    const job = await findVisibleJob(req);
+    if (!job) {
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+
+    const units = await jobService.getJobUnits(job.job_id);
+    res.json({ success: true, job, units });
+  } catch (error) {
+    console.error("Get Job Error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch job" });
+  }
+};
+
+const cancelJob = async (req, res) => {
+  try {
+    const job = await findVisibleJob(req);
+    if (!job) {
+      return res.status(404).json({ success: false, message: "Job not found" });
+    }
+
+    const cancelled = await jobService.cancelJob(job.job_id);
+    if (!cancelled) {
+      return res.status(409).json({ success: false, message: `Job is already ${job.status}` });
+    }
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.JOB_CANCEL,
+      targetType: "harvest_job",
+      targetId: job.job_id,
+      before: { status: job.status },
+      after: { status: cancelled.status, cancel_requested: true },
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: cancelled.status === "cancelled" ? "Job cancelled" : "Cancellation requested",
+      job: cancelled
+    });
+  } catch (error) {
+    console.error("Cancel Job Error:", error);
+    res.status(500).json({ success: false, message: "Failed to cancel job" });
+  }
+};
+
+module.exports = {
+  createJob,
+  getJobs,
+  getJob,
+  cancelJob
+};
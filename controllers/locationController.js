@@ -0,0 +1,181 @@
+const locationService = require("../services/locationService");
+const scopeService = require("../services/scopeService");
+const auditService = require("../services/auditService");
+const { LOCATION_LEVELS } = require("../models/locationModel");
+
+const sendError = (res, error, label, fallback) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      errors: error.errors,
+      rejected: error.rejected,
+    });
+  }
+  console.error(`${label} Error:`, error);
+  res.status(500).json({ success: false, message: fallback });
+};
+
+const sendInvalidLevel = (res) =>
+  res.status(400).json({ success: false, message: `level must be one of: ${LOCATION_LEVELS.join(", ")}` });
+
+// Query: level, parentCode (with level), q, page, limit
+const getLocations = async (req, res) => {
+  try {
+    const { level = null, parentCode = null, q = null, page = 1, limit = 100 } = req.query;
+    if (level && !LOCATION_LEVELS.includes(level)) return sendInvalidLevel(res);
+    if (parentCode && (!level || level === "state")) {
+      return res.status(400).json({ success: false, message: "parentCode needs a level below state" });
+    }
+
+    const result = await locationService.listLocations({
+      level,
+      parentCode,
+      q,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 100, 1), 1000)
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, "Get Locations", "Failed to fetch locations");
+  }
+};
+
+// Body: one { level, code, name, parentCode?, aliases? } or { locations: [...] }
+const upsertLocations = async (req, res) => {
+  try {
+    const entries = Array.isArray(req.body?.locations) ? req.body.locations : [req.body];
+    if (entries.length === 0) {
+      return res.status(400).json({ success: false, message: "No locations provided" });
+    }
+
+    const result = await locationService.upsertLocations(entries, { userId: req.user.user_id });
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.LOCATION_UPSERT,
+      targetType: "location",
+      targetId: entries.length === 1 ? `${entries[0].level}:${entries[0].code}` : null,
+      metadata: { received: entries.length, ...result },
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: `Created ${result.created}, updated ${result.updated}, unchanged ${result.unchanged}.`,
+      ...result
+    });
+  } catch (error) {
+    sendError(res, error, "Upsert Locations", "Failed to save locations");
+  }
+};
+
+// Body: any of { name, aliases } (aliases replaces the current list)
+const updateLocation = async (req, res) => {
+  try {
+    const { level, code } = req.params;
+    if (!LOCATION_LEVELS.includes(level)) return sendInvalidLevel(res);
+
+    const { name, aliases } = req.body;
+    const updated = await locationService.updateLocation(level, code, { name, aliases }, { userId: req.user.user_id });
+    if (!updated) {
+      return res.status(404).json({ success: false, message: "Location not found" });
+    }
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.LOCATION_UPDATE,
+      targetType: "location",
+      targetId: `${level}:${code}`,
+      before: updated.before,
+      after: updated.after,
+      metadata: { rowsRenamed: updated.rowsRenamed, scopesRenamed: updated.scopesRenamed },
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: "Location updated",
+      location: updated.after,
+      rowsRenamed: updated.rowsRenamed,
+      scopesRenamed: updated.scopesRenamed
+    });
+  } catch (error) {
+    sendError(res, error, "Update Location", "Failed to update location");
+  }
+};
+
+const deleteLocation = async (req, res) => {
+  try {
+    const { level, code } = req.params;
+    if (!LOCATION_LEVELS.includes(level)) return sendInvalidLevel(res);
+
+    const deleted = await locationService.deleteLocation(level, code);
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: "Location not found" });
+    }
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.LOCATION_DELETE,
+      targetType: "location",
+      targetId: `${level}:${code}`,
+      before: deleted,
+      ip: req.ip
+    });
+
+    res.json({ success: true, message: "Location deleted" });
+  } catch (error) {
+    sendError(res, error, "Delete Location", "Failed to delete location");
+  }
+};
+
+// Stored names missing from the master. Query: level (default district), page, limit
+const getUnresolved = async (req, res) => {
+  try {
+    const { level = "district", page = 1, limit = 100 } = req.query;
+    if (!LOCATION_LEVELS.includes(level)) return sendInvalidLevel(res);
+
+    const scope = await scopeService.resolveScope(req.user);
+    const [result, counts] = await Promise.all([
+      locationService.listUnresolved({
+        level,
+        scope,
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit) || 100, 1), 1000)
+      }),
+      locationService.countUnresolved(scope)
+    ]);
+    res.json({ success: true, counts, ...result });
+  } catch (error) {
+    sendError(res, error, "Get Unresolved Locations", "Failed to fetch unresolved locations");
+  }
+};
+
+// Re-resolves stored rows against the master, e.g. after adding aliases for unresolved names
+const resolveStored = async (req, res) => {
+  try {
+    const result = await locationService.resolveStoredLocations({ userId: req.user.user_id });
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.LOCATION_RESOLVE,
+      targetType: "udise_data",
+      metadata: result,
+      ip: req.ip
+    });
+
+    res.json({ success: true, message: `Resolved locations on ${result.rowsUpdated} row(s)`, ...result });
+  } catch (error) {
+    sendError(res, error, "Resolve Locations", "Failed to resolve stored locations");
+  }
+};
+
+module.exports = {
+  getLocations,
+  upsertLocations,
+  updateLocation,
+  deleteLocation,
+  getUnresolved,
+  resolveStored
+};
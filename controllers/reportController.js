@@ -0,0 +1,158 @@
+const reportService = require("../services/reportService");
+const exportService = require("../services/exportService");
+const permissionService = require("../services/permissionService");
+const scopeService = require("../services/scopeService");
+const schoolModel = require("../models/schoolModel");
+const schoolQuery = require("../models/schoolQuery");
+
+const REPORT_FORMATS = ["json", "csv"];
+const REPORT_VIEWS = ["units", "schools"];
+
+const sendCsv = (res, name, columns, rows, total) => {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+  res.set({
+    "Content-Type": exportService.CONTENT_TYPES.csv,
+    "Content-Disposition": `attachment; filename="${name}-${stamp}.csv"`,
+    "X-Total-Count": String(total)
+  });
+  res.send(exportService.buildCsv(columns, rows));
+};
+
+const canExport = (user) => permissionService.userHasPermissions(user, ["schools:export"]);
+
+const sendExportForbidden = (res) =>
+  res.status(403).json({
+    success: false,
+    message: "Forbidden: missing required permission",
+    required: ["schools:export"]
+  });
+
+// Query: fromAy, toAy, level=state|district|block|cluster, optional state/district/block
+// to narrow the geography, format=json|csv. CSV returns one table, chosen by
+// view=units (default) or view=schools; JSON returns both. The school list is
+// paged (page, limit) and can be narrowed with change=appeared|disappeared|category_changed.
+const getYearOverYear = async (req, res) => {
+  try {
+    const { fromAy, toAy, level = "district", change = "", format = "json", view = "units" } = req.query;
+    const filters = {};
+    for (const key of ["state", "district", "block"]) {
+      if (req.query[key]) filters[key] = String(req.query[key]);
+    }
+
+    const errors = [];
+    for (const [name, ay] of [["fromAy", fromAy], ["toAy", toAy]]) {
+      if (!schoolModel.isValidAcademicYear(ay)) errors.push(`${name} is required and must look like 2023-24`);
+    }
+    if (fromAy && fromAy === toAy) errors.push("fromAy and toAy must be different years");
+    if (!reportService.GEOGRAPHY_LEVELS.includes(level)) {
+      errors.push(`level must be one of: ${reportService.GEOGRAPHY_LEVELS.join(", ")}`);
+    }
+    if (change && !reportService.SCHOOL_CHANGES.includes(change)) {
+      errors.push(`change must be one of: ${reportService.SCHOOL_CHANGES.join(", ")}`);
+    }
+    if (!REPORT_FORMATS.includes(format)) errors.push(`format must be one of: ${REPORT_FORMATS.join(", ")}`);
+    if (!REPORT_VIEWS.includes(view)) errors.push(`view must be one of: ${REPORT_VIEWS.join(", ")}`);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors.join("; "), errors });
+    }
+
+    if (format === "csv" && !(await canExport(req.user))) {
+      return sendExportForbidden(res);
+    }
+
+    const scope = await scopeService.resolveScope(req.user);
+    const params = { fromAy, toAy, level, filters };
+
+    if (format === "csv" && view === "schools") {
+      const { items, total } = await reportService.listSchoolChanges(
+        { ...params, change: change || null, limit: exportService.SYNC_ROW_LIMIT },
+        scope
+      );
+      return sendCsv(res, `school-changes-${fromAy}-${toAy}`, reportService.SCHOOL_CHANGE_CSV_COLUMNS, items, total);
+    }
+
+    const report = await reportService.compareAcademicYears(params, scope);
+
+    if (format === "csv") {
+      return sendCsv(
+        res,
+        `year-over-year-${level}-${fromAy}-${toAy}`,
+        reportService.comparisonCsvColumns(level),
+        report.units.map(reportService.flattenComparisonUnit),
+        report.units.length
+      );
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+    const schools = await reportService.listSchoolChanges(
+      { ...params, change: change || null, limit, offset: (page - 1) * limit },
+      scope
+    );
+
+    res.json({
+      success: true,
+      ...report,
+      schools: { ...schools, page, limit, totalPages: Math.ceil(schools.total / limit) }
+    });
+  } catch (error) {
+    console.error("Year Over Year Report Error:", error);
+    res.status(500).json({ success: false, message: "Failed to build year-over-year report" });
+  }
+};
+
+// Body: the /schools/search filters ({ filters, q, udiseCodePrefix, enrolment }) plus
+// { dimensions, metrics, pivot?, sort?, limit?, format?: "json" | "csv" }. The enrolment
+// selection also picks the cells the selected_enrolment metrics add up.
+// GET /reports/pivot/options lists the allowed dimensions, metrics and enrolment values.
+const getPivot = async (req, res) => {
+  try {
+    const { format = "json" } = req.body;
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: `format must be one of: ${REPORT_FORMATS.join(", ")}` });
+    }
+
+    const { filters, q, udiseCodePrefix, enrolment, state, districts } = req.body;
+    const query = schoolQuery.parseSchoolQuery({ filters, q, udiseCodePrefix, enrolment, state, districts });
+    const pivot = reportService.parsePivotRequest(req.body);
+
+    if (format === "csv" && !(await canExport(req.user))) {
+      return sendExportForbidden(res);
+    }
+
+    const scope = await scopeService.resolveScope(req.user);
+    const result = await reportService.runPivot({ query, ...pivot }, scope);
+
+    if (format === "csv") {
+      const { columns, rows } = reportService.pivotToCsv(result);
+      return sendCsv(res, "pivot", columns, rows, rows.length);
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message, errors: error.errors });
+    }
+    console.error("Pivot Report Error:", error);
+    res.status(500).json({ success: false, message: "Failed to build pivot" });
+  }
+};
+
+const getPivotOptions = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      dimensions: reportService.PIVOT_DIMENSIONS,
+      metrics: Object.keys(reportService.PIVOT_METRICS),
+      enrolment: await reportService.getEnrolmentOptions()
+    });
+  } catch (error) {
+    console.error("Pivot Options Error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch pivot options" });
+  }
+};
+
+module.exports = {
+  getYearOverYear,
+  getPivot,
+  getPivotOptions
+};
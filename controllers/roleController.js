@@ -0,0 +1,143 @@
+const permissionService = require("../services/permissionService");
+const auditService = require("../services/auditService");
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+// Returns an error message, or null when the permission list is acceptable for this actor.
+const validatePermissions = async (permissions, actor) => {
+  if (!Array.isArray(permissions)) return "permissions must be an array";
+
+  const unknown = permissions.filter((p) => !permissionService.PERMISSIONS.includes(p));
+  if (unknown.length > 0) return `Unknown permissions: ${unknown.join(", ")}`;
+
+  if (!(await permissionService.userHasPermissions(actor, permissions))) {
+    return "Cannot grant permissions you do not hold";
+  }
+  return null;
+};
+
+const getRoles = async (req, res) => {
+  try {
+    const roles = await permissionService.listRoles();
+    res.json({ success: true, roles, permissions: permissionService.PERMISSIONS });
+  } catch (error) {
+    console.error("Get Roles Error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch roles" });
+  }
+};
+
+const createRole = async (req, res) => {
+  try {
+    const { role_name, description, permissions = [] } = req.body;
+
+    if (!role_name || !ROLE_NAME_PATTERN.test(role_name)) {
+      return res.status(400).json({ success: false, message: "role_name must be lowercase letters, digits or underscores" });
+    }
+    if (await permissionService.roleExists(role_name)) {
+      return res.status(409).json({ success: false, message: "Role already exists" });
+    }
+
+    const invalid = await validatePermissions(permissions, req.user);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    const role = await permissionService.createRole({
+      role_name,
+      description,
+      permissions,
+      created_by: req.user.user_id,
+    });
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.ROLE_CREATE,
+      targetType: "role",
+      targetId: role_name,
+      after: { description: role.description, permissions: role.permissions },
+      ip: req.ip,
+    });
+
+    res.status(201).json({ success: true, message: "Role created successfully", role });
+  } catch (error) {
+    console.error("Create Role Error:", error);
+    res.status(500).json({ success: false, message: "Failed to create role" });
+  }
+};
+
+const updateRole = async (req, res) => {
+  try {
+    const { roleName } = req.params;
+    const { description, permissions } = req.body;
+
+    if (permissionService.BUILT_IN_ROLES[roleName]) {
+      return res.status(400).json({ success: false, message: "Built-in roles cannot be modified" });
+    }
+    if (!(await permissionService.canGrantRole(req.user, roleName))) {
+      return res.status(403).json({ success: false, message: "Cannot modify a role with more privileges than your own" });
+    }
+
+    if (permissions !== undefined) {
+      const invalid = await validatePermissions(permissions, req.user);
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+    }
+
+    const previousPermissions = await permissionService.getRolePermissions(roleName);
+    const role = await permissionService.updateRole(roleName, { description, permissions });
+    if (!role) return res.status(404).json({ success: false, message: "Role not found" });
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.ROLE_UPDATE,
+      targetType: "role",
+      targetId: roleName,
+      before: { permissions: previousPermissions },
+      after: { description: role.description, permissions: role.permissions },
+      ip: req.ip,
+    });
+
+    res.json({ success: true, message: "Role updated successfully", role });
+  } catch (error) {
+    console.error("Update Role Error:", error);
+    res.status(500).json({ success: false, message: "Failed to update role" });
+  }
+};
+
+const deleteRole = async (req, res) => {
+  try {
+    const { roleName } = req.params;
+
+    if (permissionService.BUILT_IN_ROLES[roleName]) {
+      return res.status(400).json({ success: false, message: "Built-in roles cannot be deleted" });
+    }
+    if (!(await permissionService.canGrantRole(req.user, roleName))) {
+      return res.status(403).json({ success: false, message: "Cannot delete a role with more privileges than your own" });
+    }
+
+    const assigned = await permissionService.countUsersWithRole(roleName);
+    if (assigned > 0) {
+      return res.status(409).json({ success: false, message: `Role is assigned to ${assigned} user(s)` });
+    }
+
+    const deleted = await permissionService.deleteRole(roleName);
+    if (!deleted) return res.status(404).json({ success: false, message: "Role not found" });
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.ROLE_DELETE,
+      targetType: "role",
+      targetId: roleName,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, message: "Role deleted successfully" });
+  } catch (error) {
+    console.error("Delete Role Error:", error);
+    res.status(500).json({ success: false, message: "Failed to delete role" });
+  }
+};
+
+module.exports = {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+};
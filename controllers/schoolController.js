@@ -2,18 +2,33 @@
 // --- FILE: controllers/schoolController.js ---
 // ============================================================================
 const schoolService = require("../services/schoolService");
+const schoolQuery = require("../models/schoolQuery");
+const scopeService = require("../services/scopeService");
+const auditService = require("../services/auditService");
+const udiseCacheService = require("../services/udiseCacheService");
+const dashboardService = require("../services/dashboardService");
+const udiseClient = require("../services/udiseClient");
 
+// Responses are cached per method + path + body; send `Cache-Control: no-cache`
+// to skip the cached copy and refresh it. X-Cache-Status reports HIT, MISS or BYPASS.
 const proxyUdise = async (req, res) => {
   try {
-    const result = await schoolService.proxyUdiseRequest(
+    const body = ["POST", "PUT"].includes(req.method) ? req.body : null;
+    const { data, cacheStatus } = await udiseCacheService.cachedRequest(
       req.method,
       req.url,
-      req.body
+      body,
+      () => udiseClient.request(req.method, req.url, req.body),
+      { bypass: /no-cache/i.test(req.get("Cache-Control") || "") }
     );
-    res.json(result);
+    res.set("X-Cache-Status", cacheStatus);
+    res.json(data);
   } catch (error) {
     if (error.status) {
-      res.status(error.status).json(error.data || { message: error.message });
+      if (error.retryAfterMs !== undefined) {
+        res.set("Retry-After", String(Math.ceil(error.retryAfterMs / 1000)));
+      }
+      res.status(error.status).json(error.data || { message: error.message, code: error.code });
     } else {
       res
         .status(500)
@@ -22,36 +37,83 @@ const proxyUdise = async (req, res) => {
   }
 };
 
+// Body is either an array of schools, or { schools, mode, atomic } to choose how existing
+// (udise_code, ay) rows are handled. `?mode=` and `?atomic=true` work with the array form too.
+// Valid records are saved even when others are rejected; the response lists each
+// rejected record's index and reason. atomic saves nothing unless every record is valid.
 const saveSchools = async (req, res) => {
   try {
-    const schoolsData = req.body;
+    const schoolsData = Array.isArray(req.body) ? req.body : req.body?.schools;
+    const mode = req.query.mode || req.body?.mode || "skip";
+    const atomic = req.query.atomic === "true" || req.body?.atomic === true;
     if (!Array.isArray(schoolsData) || schoolsData.length === 0) {
       return res.status(400).json({ message: "No data provided" });
     }
-    const result = await schoolService.saveSchoolsToDb(schoolsData);
+    const scope = await scopeService.resolveScope(req.user);
+    const result = await schoolService.saveSchoolsToDb(schoolsData, {
+      scope,
+      mode,
+      userId: req.user.user_id,
+      atomic,
+    });
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.SCHOOLS_SAVE,
+      targetType: "udise_data",
+      targetId: result.batchId,
+      metadata: {
+        mode,
+        received: schoolsData.length,
+        inserted: result.inserted,
+        updated: result.updated,
+        unchanged: result.unchanged,
+        failed: result.failed,
+        academicYears: [...new Set(schoolsData.map((s) => s?.ay).filter(Boolean))],
+      },
+      ip: req.ip,
+    });
+
     res.json({
       success: true,
-      message: `Saved ${result.count} records.`,
+      message: `Inserted ${result.inserted}, updated ${result.updated}, unchanged ${result.unchanged}, failed ${result.failed}.`,
+      batchId: result.batchId,
+      mode: result.mode,
+      inserted: result.inserted,
+      updated: result.updated,
+      unchanged: result.unchanged,
+      failed: result.failed,
       count: result.count,
+      rejected: result.rejected,
+      unknownFields: result.unknownFields,
+      qualityWarnings: result.qualityWarnings,
+      unresolvedLocations: result.unresolvedLocations,
     });
   } catch (err) {
     console.error("Controller Error:", err);
-    if (err.code === "23505") {
-      return res.json({
-        success: true,
-        message: "Some records were skipped (already exist).",
-        count: 0,
+    if (err.rejected) {
+      return res.status(err.status).json({
+        success: false,
+        message: err.message,
+        failed: err.rejected.length,
+        rejected: err.rejected,
       });
     }
+    if (err.status) {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
     res
       .status(500)
       .json({ success: false, message: "Database error", error: err.message });
   }
 };
 
+// { hierarchy, unresolved }: the coded location tree within the caller's scope, and
+// counts of stored names the master does not know yet
 const getFilters = async (req, res) => {
   try {
-    const filters = await schoolService.getFiltersFromDb();
+    const scope = await scopeService.resolveScope(req.user);
+    const filters = await schoolService.getFiltersFromDb(scope);
     res.json(filters);
   } catch (err) {
     res.status(500).json({ error: "Failed to fetch filters" });
@@ -59,21 +121,72 @@ const getFilters = async (req, res) => {
 };
 
 // --- UPDATED: Search with Pagination ---
+// Body: a schoolQuery search ({ filters, q, udiseCodePrefix, sort }) plus paging:
+//   - page/limit: offset paging (the original behaviour)
+//   - pagination: "cursor" and/or cursor: keyset paging with nextCursor/prevCursor,
+//     which stays fast on deep pages
+// count: "exact" | "estimated" | "none" picks how `total` is computed; exact counts
+// that run too long fall back to the estimate and set totalIsEstimate.
 const searchSchools = async (req, res) => {
   try {
-    const { state, districts, page, limit } = req.body;
+    const { page, limit, cursor, pagination, count } = req.body;
     const pageNum = parseInt(page) || 1;
-    const limitNum = parseInt(limit) || 50;
+    const limitNum = Math.min(parseInt(limit) || 50, 1000);
+    const useCursor = pagination === "cursor" || !!cursor;
+
+    if (count !== undefined && !schoolService.COUNT_MODES.includes(count)) {
+      return res.status(400).json({ error: `count must be one of: ${schoolService.COUNT_MODES.join(", ")}` });
+    }
+
+    const query = schoolQuery.parseSchoolQuery(req.body);
+    const scope = await scopeService.resolveScope(req.user);
+
+    if (useCursor) {
+      const result = await schoolService.searchSchoolsByCursor(query, {
+        cursor: cursor ? schoolQuery.decodeCursor(cursor, query) : null,
+        limit: limitNum,
+        scope,
+        countMode: count || "estimated"
+      });
+      return res.json({
+        ...result,
+        nextCursor: result.nextCursor && schoolQuery.encodeCursor(result.nextCursor, query),
+        prevCursor: result.prevCursor && schoolQuery.encodeCursor(result.prevCursor, query)
+      });
+    }
 
-    const result = await schoolService.searchSchoolsInDb(state, districts, pageNum, limitNum);
+    const result = await schoolService.searchSchoolsInDb(query, {
+      page: pageNum,
+      limit: limitNum,
+      scope,
+      countMode: count || "exact"
+    });
     
-    // Result contains { data, total, page, limit }
+    // Result contains { data, total, totalIsEstimate, page, limit }
     res.json(result); 
   } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message, errors: err.errors });
+    }
+    console.error("Search Schools Error:", err);
     res.status(500).json({ error: "Failed to fetch data" });
   }
 };
 
+const getSchoolProfile = async (req, res) => {
+  try {
+    const scope = await scopeService.resolveScope(req.user);
+    const profile = await schoolService.getSchoolProfile(req.params.udiseCode, scope);
+    if (!profile) {
+      return res.status(404).json({ success: false, message: "School not found" });
+    }
+    res.json({ success: true, ...profile });
+  } catch (error) {
+    console.error("Get School Profile Error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch school" });
+  }
+};
+
 const checkExisting = async (req, res) => {
   try {
     const { codes, ay } = req.body; 
@@ -91,7 +204,8 @@ const checkExisting = async (req, res) => {
 const getDashboardStats = async (req, res) => {
   try {
     const { state, district, block, ay } = req.query;
-    const stats = await schoolService.getDashboardStats({ state, district, block, ay });
+    const scope = await scopeService.resolveScope(req.user);
+    const stats = await dashboardService.getDashboardStats({ state, district, block, ay }, scope);
     res.json(stats);
   } catch (err) {
     console.error("Dashboard Controller Error:", err);
@@ -111,7 +225,8 @@ const getAcademicYears = async (req, res) => {
 
 const getAllFilterOptions = async (req, res) => {
   try {
-    const options = await schoolService.getAllFilterOptions();
+    const scope = await scopeService.resolveScope(req.user);
+    const options = await schoolService.getAllFilterOptions(scope);
     res.json({ success: true, ...options });
   } catch (err) {
     console.error("Get Filter Options Error:", err);
@@ -124,6 +239,7 @@ module.exports = {
   saveSchools,
   getFilters,
   searchSchools,
+  getSchoolProfile,
   checkExisting,
   getDashboardStats,
   getAcademicYears,
@@ -1,11 +1,10 @@
 const authService = require("../services/authService");
+const permissionService = require("../services/permissionService");
+const scopeService = require("../services/scopeService");
+const auditService = require("../services/auditService");
 
 const getUsers = async (req, res) => {
   try {
-    if (req.user.role !== 'admin' && req.user.role !== 'super_admin') {
-      return res.status(403).json({ success: false, message: "Unauthorized: Admin access required" });
-    }
-
     const { page = 1, limit = 50, search = "", role = "" } = req.query;
 
     const result = await authService.getAllUsers({
@@ -22,20 +21,115 @@ const getUsers = async (req, res) => {
   }
 };
 
-const updateUser = async (req, res) => {
+const getUser = async (req, res) => {
   try {
-    if (req.user.role !== 'admin' && req.user.role !== 'super_admin') {
-      return res.status(403).json({ success: false, message: "Unauthorized: Admin access required" });
-    }
+    const user = await authService.findUserById(req.params.userId);
+    if (!user) return res.status(404).json({ success: false, message: "User not found" });
+
+    const scopes = await scopeService.getUserScopes(user.user_id);
+
+    res.json({
+      success: true,
+      user: {
+        user_id: user.user_id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        status: user.status,
+        account_type: user.account_type,
+        profile_picture: user.profile_picture,
+        last_login: user.last_login,
+        created_at: user.created_at,
+        scopes
+      }
+    });
+  } catch (error) {
+    console.error("Get User Error:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch user" });
+  }
+};
 
+const updateUser = async (req, res) => {
+  try {
     const { userId } = req.params;
-    const { role, status } = req.body;
+    const { role, status, scopes } = req.body;
+
+    if (scopes !== undefined) {
+      const invalid = scopeService.validateScopes(scopes);
+      if (invalid) return res.status(400).json({ success: false, message: invalid });
+    }
 
     if (parseInt(userId) === req.user.user_id && role && role !== req.user.role) {
       return res.status(400).json({ success: false, message: "Cannot modify your own role" });
     }
+    if (parseInt(userId) === req.user.user_id && scopes !== undefined) {
+      return res.status(400).json({ success: false, message: "Cannot modify your own scopes" });
+    }
+
+    const target = await authService.findUserById(userId);
+    if (!target) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    if (!(await permissionService.canGrantRole(req.user, target.role))) {
+      return res.status(403).json({ success: false, message: "Cannot modify a user with more privileges than you" });
+    }
+
+    if (role) {
+      if (!(await permissionService.roleExists(role))) {
+        return res.status(400).json({ success: false, message: `Unknown role: ${role}` });
+      }
+      if (!(await permissionService.canGrantRole(req.user, role))) {
+        return res.status(403).json({ success: false, message: "Cannot assign a role with more privileges than your own" });
+      }
+    }
+
+    if (scopes !== undefined) {
+      const forbidden = await scopeService.checkGrantableScopes(req.user, scopes);
+      if (forbidden) return res.status(403).json({ success: false, message: forbidden });
+    }
+
+    const previousScopes = scopes !== undefined ? await scopeService.getUserScopes(userId) : null;
 
     const updatedUser = await authService.updateUser(userId, { role, status });
+    if (scopes !== undefined) {
+      updatedUser.scopes = await scopeService.setUserScopes(userId, scopes);
+    }
+
+    const audit = { actor: req.user, targetType: "user", targetId: userId, ip: req.ip };
+    if (role && role !== target.role) {
+      await auditService.recordAudit({
+        ...audit,
+        action: auditService.AUDIT_ACTIONS.USER_ROLE_CHANGE,
+        before: { role: target.role },
+        after: { role: updatedUser.role }
+      });
+    }
+    if (status && status !== target.status) {
+      await auditService.recordAudit({
+        ...audit,
+        action: auditService.AUDIT_ACTIONS.USER_STATUS_CHANGE,
+        before: { status: target.status },
+        after: { status: updatedUser.status }
+      });
+    }
+    // A deactivated user is signed out of every device straight away
+    if (status === "inactive" && target.status !== "inactive") {
+      const revoked = await authService.revokeUserSessions(userId, "user_deactivated");
+      await auditService.recordAudit({
+        ...audit,
+        action: auditService.AUDIT_ACTIONS.USER_SESSIONS_REVOKE,
+        metadata: { sessions: revoked, reason: "user_deactivated" }
+      });
+    }
+    if (scopes !== undefined) {
+      await auditService.recordAudit({
+        ...audit,
+        action: auditService.AUDIT_ACTIONS.USER_SCOPE_CHANGE,
+        before: { scopes: previousScopes },
+        after: { scopes: updatedUser.scopes }
+      });
+    }
 
     res.json({ success: true, message: "User updated successfully", user: updatedUser });
   } catch (error) {
@@ -46,18 +140,38 @@ const updateUser = async (req, res) => {
 
 const deleteUser = async (req, res) => {
   try {
-    if (req.user.role !== 'super_admin') {
-      return res.status(403).json({ success: false, message: "Unauthorized: Super Admin access required" });
-    }
-
     const { userId } = req.params;
 
     if (parseInt(userId) === req.user.user_id) {
       return res.status(400).json({ success: false, message: "Cannot delete your own account" });
     }
 
+    const target = await authService.findUserById(userId);
+    if (!target) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    if (!(await permissionService.canGrantRole(req.user, target.role))) {
+      return res.status(403).json({ success: false, message: "Cannot delete a user with more privileges than you" });
+    }
+
     await authService.deleteUser(userId);
 
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.USER_DELETE,
+      targetType: "user",
+      targetId: userId,
+      before: {
+        email: target.email,
+        name: target.name,
+        role: target.role,
+        status: target.status,
+        created_at: target.created_at
+      },
+      ip: req.ip
+    });
+
     res.json({ success: true, message: "User deleted successfully" });
   } catch (error) {
     console.error("Delete User Error:", error);
@@ -65,12 +179,40 @@ const deleteUser = async (req, res) => {
   }
 };
 
-const getUserStats = async (req, res) => {
+// Signs the user out of every device
+const revokeSessions = async (req, res) => {
   try {
-    if (req.user.role !== 'admin' && req.user.role !== 'super_admin') {
-      return res.status(403).json({ success: false, message: "Unauthorized" });
+    const { userId } = req.params;
+
+    const target = await authService.findUserById(userId);
+    if (!target) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    if (!(await permissionService.canGrantRole(req.user, target.role))) {
+      return res.status(403).json({ success: false, message: "Cannot modify a user with more privileges than you" });
     }
 
+    const revoked = await authService.revokeUserSessions(target.user_id, "revoked_by_admin");
+
+    await auditService.recordAudit({
+      actor: req.user,
+      action: auditService.AUDIT_ACTIONS.USER_SESSIONS_REVOKE,
+      targetType: "user",
+      targetId: target.user_id,
+      metadata: { sessions: revoked, reason: "revoked_by_admin" },
+      ip: req.ip
+    });
+
+    res.json({ success: true, message: `Revoked ${revoked} session(s)`, revoked });
+  } catch (error) {
+    console.error("Revoke Sessions Error:", error);
+    res.status(500).json({ success: false, message: "Failed to revoke sessions" });
+  }
+};
+
+const getUserStats = async (req, res) => {
+  try {
     const pool = require("../db");
     const result = await pool.query(`
       SELECT 
@@ -90,7 +232,9 @@ const getUserStats = async (req, res) => {
 
 module.exports = {
   getUsers,
+  getUser,
   updateUser,
   deleteUser,
+  revokeSessions,
   getUserStats
 };
\ No newline at end of file
@@ -1,6 +1,9 @@
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 require('dotenv').config();
 
+// Return DATE columns as 'YYYY-MM-DD' strings instead of local-midnight Date objects
+types.setTypeParser(types.builtins.DATE, (val) => val);
+
 // Database Configuration
 const pool = new Pool({
   user: process.env.DB_USER,
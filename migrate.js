@@ -0,0 +1,50 @@
+// Usage:
+//   node migrate.js up [--to <version>]
+//   node migrate.js down [--steps <n> | --to <version>]
+//   node migrate.js status
+const pool = require("./db");
+const migrationService = require("./services/migrationService");
+
+const parseArgs = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i].replace(/^--/, "");
+    const value = parseInt(args[i + 1]);
+    if (!["to", "steps"].includes(key) || isNaN(value)) {
+      throw new Error(`Invalid option: ${args[i]} ${args[i + 1] ?? ""}`);
+    }
+    options[key] = value;
+  }
+  return options;
+};
+
+const main = async () => {
+  const [command = "status", ...rest] = process.argv.slice(2);
+  const options = parseArgs(rest);
+
+  if (command === "up") {
+    const applied = await migrationService.migrateUp(options);
+    if (applied.length === 0) console.log("✅ Database is up to date");
+    applied.forEach((file) => console.log(`⬆️  Applied ${file}`));
+  } else if (command === "down") {
+    const reverted = await migrationService.migrateDown(options);
+    if (reverted.length === 0) console.log("Nothing to roll back");
+    reverted.forEach((file) => console.log(`⬇️  Reverted ${file}`));
+  } else if (command === "status") {
+    const { migrations, unknown } = await migrationService.getStatus();
+    migrations.forEach((m) => {
+      const state = m.applied ? `applied ${m.applied_at.toISOString()}` : "pending";
+      console.log(`${String(m.version).padStart(3, "0")}  ${m.name.padEnd(40)} ${state}`);
+    });
+    unknown.forEach((v) => console.log(`${v}  (applied, but no migration file found)`));
+  } else {
+    throw new Error(`Unknown command: ${command}. Use up, down or status.`);
+  }
+};
+
+main()
+  .catch((err) => {
+    console.error("❌ MIGRATION FAILED:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
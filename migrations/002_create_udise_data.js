@@ -0,0 +1,58 @@
+// udise_data used to be created and widened at insert time. This defines the known
+// columns up front; anything else in a payload is kept in `extra` instead of new columns.
+const COLUMNS = [
+  "udise_code",
+  "ay",
+  "school_name",
+  "state",
+  "district",
+  "block",
+  "cluster",
+  "village",
+  "pincode",
+  "rural_urban",
+  "school_category",
+  "school_management",
+  "school_type",
+  "school_status",
+  "year_of_establishment",
+  "totalStudents",
+  "totalBoyStudents",
+  "totalGirlStudents",
+  "total_students",
+  "caste_total",
+  "caste_total_boy",
+  "caste_total_girl",
+  "total_teachers",
+];
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS udise_data (
+        local_id SERIAL PRIMARY KEY,
+        udise_code TEXT NOT NULL,
+        ay TEXT NOT NULL
+      )
+    `);
+
+    // Existing tables may be missing any of these, or already have them as TEXT
+    for (const column of COLUMNS) {
+      await client.query(`ALTER TABLE udise_data ADD COLUMN IF NOT EXISTS "${column}" TEXT`);
+    }
+
+    await client.query(`
+      ALTER TABLE udise_data ADD COLUMN IF NOT EXISTS extra JSONB;
+      ALTER TABLE udise_data ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+      DROP INDEX IF EXISTS idx_udise_code_unique;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_udise_ay_unique ON udise_data (udise_code, ay);
+      CREATE INDEX IF NOT EXISTS idx_udise_data_geo ON udise_data (state, district, block);
+      CREATE INDEX IF NOT EXISTS idx_udise_data_ay ON udise_data (ay);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query("DROP TABLE IF EXISTS udise_data");
+  },
+};
@@ -0,0 +1,18 @@
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS roles (
+        role_name TEXT PRIMARY KEY,
+        description TEXT,
+        permissions TEXT[] NOT NULL DEFAULT '{}',
+        created_by INTEGER,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+  },
+
+  down: async (client) => {
+    await client.query("DROP TABLE IF EXISTS roles");
+  },
+};
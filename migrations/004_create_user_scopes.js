@@ -0,0 +1,21 @@
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_scopes (
+        scope_id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        state TEXT NOT NULL,
+        district TEXT,
+        block TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        CHECK (block IS NULL OR district IS NOT NULL)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_user_scopes_user ON user_scopes (user_id);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query("DROP TABLE IF EXISTS user_scopes");
+  },
+};
@@ -0,0 +1,107 @@
+// Moves udise_data from all-TEXT columns with 'NA' placeholders to typed columns
+// with real NULLs. The three legacy enrolment column sets (totalStudents,
+// total_students, caste_total, ...) collapse into total_students/total_boys/total_girls.
+// Values that only exist in `extra` or ad-hoc columns are picked up by `npm run backfill`.
+const TEXT_COLUMNS = [
+  "school_name",
+  "state",
+  "district",
+  "block",
+  "cluster",
+  "village",
+  "pincode",
+  "rural_urban",
+  "school_category",
+  "school_management",
+  "school_type",
+  "school_status",
+];
+
+const BOOLEAN_COLUMNS = [
+  "has_electricity",
+  "has_drinking_water",
+  "has_boys_toilet",
+  "has_girls_toilet",
+  "has_library",
+  "has_playground",
+  "has_ramp",
+  "has_internet",
+];
+
+const LEGACY_COLUMNS = [
+  "totalStudents",
+  "totalBoyStudents",
+  "totalGirlStudents",
+  "caste_total",
+  "caste_total_boy",
+  "caste_total_girl",
+];
+
+const toInt = (col) =>
+  `CASE WHEN btrim(replace(${col}, ',', '')) ~ '^-?[0-9]{1,9}$' THEN btrim(replace(${col}, ',', ''))::integer END`;
+
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      UPDATE udise_data SET ${TEXT_COLUMNS.map(
+        (col) => `${col} = NULLIF(NULLIF(btrim(${col}), ''), 'NA')`
+      ).join(", ")}
+    `);
+
+    await client.query(`
+      ALTER TABLE udise_data
+        ALTER COLUMN total_students TYPE INTEGER USING COALESCE(
+          ${toInt("total_students")}, ${toInt('"totalStudents"')}, ${toInt("caste_total")}
+        ),
+        ALTER COLUMN total_teachers TYPE INTEGER USING ${toInt("total_teachers")},
+        ALTER COLUMN year_of_establishment TYPE INTEGER USING ${toInt("year_of_establishment")},
+        ADD COLUMN total_boys INTEGER,
+        ADD COLUMN total_girls INTEGER,
+        ADD COLUMN total_classrooms INTEGER,
+        ${BOOLEAN_COLUMNS.map((col) => `ADD COLUMN ${col} BOOLEAN`).join(",\n        ")},
+        ADD COLUMN data_updated_on DATE
+    `);
+
+    await client.query(`
+      UPDATE udise_data SET
+        total_boys = COALESCE(${toInt('"totalBoyStudents"')}, ${toInt("caste_total_boy")}),
+        total_girls = COALESCE(${toInt('"totalGirlStudents"')}, ${toInt("caste_total_girl")})
+    `);
+
+    await client.query(`
+      ALTER TABLE udise_data
+        ${LEGACY_COLUMNS.map((col) => `DROP COLUMN "${col}"`).join(",\n        ")}
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      ALTER TABLE udise_data
+        ${LEGACY_COLUMNS.map((col) => `ADD COLUMN "${col}" TEXT`).join(",\n        ")}
+    `);
+
+    await client.query(`
+      UPDATE udise_data SET
+        "totalStudents" = total_students::text,
+        "totalBoyStudents" = total_boys::text,
+        "totalGirlStudents" = total_girls::text
+    `);
+
+    await client.query(`
+      ALTER TABLE udise_data
+        -- Enrolment was copied to "totalStudents" above; the old dashboard sums both
+        ALTER COLUMN total_students TYPE TEXT USING 'NA',
+        ALTER COLUMN total_teachers TYPE TEXT USING COALESCE(total_teachers::text, 'NA'),
+        ALTER COLUMN year_of_establishment TYPE TEXT USING COALESCE(year_of_establishment::text, 'NA'),
+        DROP COLUMN total_boys,
+        DROP COLUMN total_girls,
+        DROP COLUMN total_classrooms,
+        ${BOOLEAN_COLUMNS.map((col) => `DROP COLUMN ${col}`).join(",\n        ")},
+        DROP COLUMN data_updated_on
+    `);
+
+    await client.query(`
+      UPDATE udise_data SET ${TEXT_COLUMNS.map((col) => `${col} = COALESCE(${col}, 'NA')`).join(", ")}
+    `);
+  },
+};
@@ -0,0 +1,30 @@
+// One row per changed field when /save-schools updates an existing school.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE udise_data ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+
+      CREATE TABLE IF NOT EXISTS udise_data_history (
+        history_id BIGSERIAL PRIMARY KEY,
+        udise_code TEXT NOT NULL,
+        ay TEXT NOT NULL,
+        field TEXT NOT NULL,
+        old_value JSONB,
+        new_value JSONB,
+        batch_id UUID NOT NULL,
+        changed_by INTEGER,
+        changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_udise_history_school ON udise_data_history (udise_code, ay, changed_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_udise_history_batch ON udise_data_history (batch_id);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP TABLE IF EXISTS udise_data_history;
+      ALTER TABLE udise_data DROP COLUMN IF EXISTS updated_at;
+    `);
+  },
+};
@@ -0,0 +1,56 @@
+// Server-side harvesting jobs. A job is split into units: one 'district' unit per
+// requested district (which expands into 'block' units once its blocks are listed)
+// and one 'block' unit per block. Unit status is what lets a job resume after a restart.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS harvest_jobs (
+        job_id SERIAL PRIMARY KEY,
+        created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+        state_id TEXT NOT NULL,
+        state_name TEXT,
+        ay TEXT NOT NULL,
+        year_id TEXT NOT NULL,
+        mode TEXT NOT NULL DEFAULT 'skip',
+        status TEXT NOT NULL DEFAULT 'queued'
+          CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+        cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+        error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        started_at TIMESTAMPTZ,
+        finished_at TIMESTAMPTZ,
+        heartbeat_at TIMESTAMPTZ
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_harvest_jobs_status ON harvest_jobs (status, created_at);
+
+      CREATE TABLE IF NOT EXISTS harvest_job_units (
+        unit_id BIGSERIAL PRIMARY KEY,
+        job_id INTEGER NOT NULL REFERENCES harvest_jobs(job_id) ON DELETE CASCADE,
+        kind TEXT NOT NULL CHECK (kind IN ('district', 'block')),
+        district_id TEXT NOT NULL,
+        district_name TEXT,
+        block_id TEXT,
+        block_name TEXT,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'done', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        schools_found INTEGER NOT NULL DEFAULT 0,
+        inserted INTEGER NOT NULL DEFAULT 0,
+        updated INTEGER NOT NULL DEFAULT 0,
+        unchanged INTEGER NOT NULL DEFAULT 0,
+        failed INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_harvest_units_job ON harvest_job_units (job_id, status, attempts, unit_id);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP TABLE IF EXISTS harvest_job_units;
+      DROP TABLE IF EXISTS harvest_jobs;
+    `);
+  },
+};
@@ -0,0 +1,25 @@
+// Backing table for the /udise proxy cache when UDISE_CACHE_BACKEND=postgres.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS udise_cache (
+        cache_key TEXT PRIMARY KEY,
+        method TEXT NOT NULL,
+        path TEXT NOT NULL,
+        request_body JSONB,
+        response JSONB,
+        hits INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        expires_at TIMESTAMPTZ NOT NULL,
+        last_hit_at TIMESTAMPTZ
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_udise_cache_expires ON udise_cache (expires_at);
+      CREATE INDEX IF NOT EXISTS idx_udise_cache_path ON udise_cache (path text_pattern_ops);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query("DROP TABLE IF EXISTS udise_cache");
+  },
+};
@@ -0,0 +1,31 @@
+// Background school exports. The artifact itself lives on disk under EXPORT_DIR;
+// this table tracks who asked for it, its status and when it expires.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS export_jobs (
+        export_id UUID PRIMARY KEY,
+        created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+        status TEXT NOT NULL DEFAULT 'queued'
+          CHECK (status IN ('queued', 'running', 'completed', 'failed', 'expired')),
+        format TEXT NOT NULL CHECK (format IN ('csv', 'xlsx')),
+        filters JSONB NOT NULL DEFAULT '{}',
+        columns JSONB NOT NULL,
+        row_count INTEGER,
+        file_name TEXT,
+        file_size BIGINT,
+        error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        started_at TIMESTAMPTZ,
+        finished_at TIMESTAMPTZ,
+        expires_at TIMESTAMPTZ
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_export_jobs_created_by ON export_jobs (created_by, created_at DESC);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query("DROP TABLE IF EXISTS export_jobs");
+  },
+};
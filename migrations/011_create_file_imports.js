@@ -0,0 +1,58 @@
+// Spreadsheet imports. An upload is parsed and staged in file_import_rows, previewed
+// as a dry run, and only written to udise_data when it is committed.
+// import_mappings holds reusable "spreadsheet header -> school field" mappings.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS import_mappings (
+        mapping_id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE,
+        mapping JSONB NOT NULL,
+        created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS file_imports (
+        import_id UUID PRIMARY KEY,
+        created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+        file_name TEXT NOT NULL,
+        format TEXT NOT NULL CHECK (format IN ('csv', 'xlsx')),
+        mapping_id INTEGER REFERENCES import_mappings(mapping_id) ON DELETE SET NULL,
+        mapping JSONB NOT NULL,
+        default_ay TEXT,
+        mode TEXT NOT NULL DEFAULT 'skip',
+        status TEXT NOT NULL DEFAULT 'previewed'
+          CHECK (status IN ('previewed', 'committing', 'committed', 'failed')),
+        row_count INTEGER NOT NULL DEFAULT 0,
+        valid_count INTEGER NOT NULL DEFAULT 0,
+        invalid_count INTEGER NOT NULL DEFAULT 0,
+        preview JSONB,
+        batch_id UUID,
+        result JSONB,
+        error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        committed_at TIMESTAMPTZ,
+        expires_at TIMESTAMPTZ NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_file_imports_created_by ON file_imports (created_by, created_at DESC);
+
+      CREATE TABLE IF NOT EXISTS file_import_rows (
+        import_id UUID NOT NULL REFERENCES file_imports(import_id) ON DELETE CASCADE,
+        row_number INTEGER NOT NULL,
+        record JSONB NOT NULL,
+        errors JSONB,
+        PRIMARY KEY (import_id, row_number)
+      );
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP TABLE IF EXISTS file_import_rows;
+      DROP TABLE IF EXISTS file_imports;
+      DROP TABLE IF EXISTS import_mappings;
+    `);
+  },
+};
@@ -0,0 +1,22 @@
+// Indexes behind the /schools/search filters: trigram matching on school names
+// and prefix matching on UDISE codes.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+      CREATE INDEX IF NOT EXISTS idx_udise_data_name_trgm ON udise_data USING gin (school_name gin_trgm_ops);
+      CREATE INDEX IF NOT EXISTS idx_udise_data_code_prefix ON udise_data (udise_code text_pattern_ops);
+      CREATE INDEX IF NOT EXISTS idx_udise_data_cluster ON udise_data (cluster);
+    `);
+  },
+
+  // The extension is left installed; other objects may depend on it
+  down: async (client) => {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_udise_data_cluster;
+      DROP INDEX IF EXISTS idx_udise_data_code_prefix;
+      DROP INDEX IF EXISTS idx_udise_data_name_trgm;
+    `);
+  },
+};
@@ -0,0 +1,56 @@
+// Precomputed /dashboard/stats figures per (state, district, block, ay), maintained by
+// dashboardService. Rows with ay NULL hold the same block across all academic years,
+// for the figures that cannot be summed over years (distinct schools, clusters, villages).
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS dashboard_aggregates (
+        state TEXT,
+        district TEXT,
+        block TEXT,
+        ay TEXT,
+        record_count INTEGER NOT NULL,
+        school_count INTEGER NOT NULL,
+        total_students BIGINT NOT NULL DEFAULT 0,
+        total_boys BIGINT NOT NULL DEFAULT 0,
+        total_girls BIGINT NOT NULL DEFAULT 0,
+        clusters TEXT[] NOT NULL DEFAULT '{}',
+        villages TEXT[] NOT NULL DEFAULT '{}',
+        refreshed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_dashboard_aggregates_geo ON dashboard_aggregates (state, district, block);
+      CREATE INDEX IF NOT EXISTS idx_dashboard_aggregates_ay ON dashboard_aggregates (ay);
+
+      CREATE TABLE IF NOT EXISTS dashboard_breakdowns (
+        state TEXT,
+        district TEXT,
+        block TEXT,
+        ay TEXT,
+        dimension TEXT NOT NULL,
+        value TEXT,
+        record_count INTEGER NOT NULL,
+        refreshed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_dashboard_breakdowns_geo ON dashboard_breakdowns (state, district, block);
+      CREATE INDEX IF NOT EXISTS idx_dashboard_breakdowns_dimension ON dashboard_breakdowns (dimension, ay);
+
+      CREATE TABLE IF NOT EXISTS dashboard_refreshes (
+        refresh_id SERIAL PRIMARY KEY,
+        kind TEXT NOT NULL CHECK (kind IN ('full', 'incremental')),
+        geographies INTEGER,
+        started_at TIMESTAMPTZ NOT NULL,
+        finished_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP TABLE IF EXISTS dashboard_refreshes;
+      DROP TABLE IF EXISTS dashboard_breakdowns;
+      DROP TABLE IF EXISTS dashboard_aggregates;
+    `);
+  },
+};
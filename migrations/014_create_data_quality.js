@@ -0,0 +1,54 @@
+// Data-quality checks over udise_data. The rules themselves are defined in
+// models/dataQualityRules.js; data_quality_rules only stores per-rule overrides.
+// Each run keeps the rows that failed, with their geography for roll-ups.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS data_quality_rules (
+        rule_id TEXT PRIMARY KEY,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        severity TEXT NOT NULL CHECK (severity IN ('error', 'warning')),
+        gate TEXT NOT NULL DEFAULT 'off' CHECK (gate IN ('off', 'warn', 'block')),
+        params JSONB NOT NULL DEFAULT '{}',
+        updated_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS data_quality_runs (
+        run_id SERIAL PRIMARY KEY,
+        created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+        status TEXT NOT NULL DEFAULT 'queued'
+          CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+        rules JSONB NOT NULL,
+        rows_checked INTEGER,
+        failure_count INTEGER,
+        error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        started_at TIMESTAMPTZ,
+        finished_at TIMESTAMPTZ
+      );
+
+      CREATE TABLE IF NOT EXISTS data_quality_failures (
+        run_id INTEGER NOT NULL REFERENCES data_quality_runs(run_id) ON DELETE CASCADE,
+        rule_id TEXT NOT NULL,
+        local_id INTEGER NOT NULL,
+        udise_code TEXT,
+        ay TEXT,
+        state TEXT,
+        district TEXT,
+        block TEXT,
+        PRIMARY KEY (run_id, rule_id, local_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_data_quality_failures_geo ON data_quality_failures (run_id, state, district, block);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP TABLE IF EXISTS data_quality_failures;
+      DROP TABLE IF EXISTS data_quality_runs;
+      DROP TABLE IF EXISTS data_quality_rules;
+    `);
+  },
+};
@@ -0,0 +1,55 @@
+// Location master: states, districts, blocks and clusters with stable (LGD-style)
+// codes, plus the spellings each is known by. udise_data gains a code column per
+// level, filled at ingest when a saved name resolves against the master.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS locations (
+        location_id SERIAL PRIMARY KEY,
+        level TEXT NOT NULL CHECK (level IN ('state', 'district', 'block', 'cluster')),
+        code TEXT NOT NULL,
+        name TEXT NOT NULL,
+        parent_id INTEGER REFERENCES locations(location_id),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (level, code)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_locations_parent ON locations (parent_id);
+
+      -- Includes each location's own name. alias_key is the normalized spelling;
+      -- level and parent_id are copied from the location so a name is unique within its parent.
+      CREATE TABLE IF NOT EXISTS location_aliases (
+        alias_id SERIAL PRIMARY KEY,
+        location_id INTEGER NOT NULL REFERENCES locations(location_id) ON DELETE CASCADE,
+        level TEXT NOT NULL,
+        parent_id INTEGER,
+        alias TEXT NOT NULL,
+        alias_key TEXT NOT NULL
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_location_aliases_key
+        ON location_aliases (level, COALESCE(parent_id, 0), alias_key);
+      CREATE INDEX IF NOT EXISTS idx_location_aliases_location ON location_aliases (location_id);
+
+      ALTER TABLE udise_data ADD COLUMN IF NOT EXISTS state_code TEXT;
+      ALTER TABLE udise_data ADD COLUMN IF NOT EXISTS district_code TEXT;
+      ALTER TABLE udise_data ADD COLUMN IF NOT EXISTS block_code TEXT;
+      ALTER TABLE udise_data ADD COLUMN IF NOT EXISTS cluster_code TEXT;
+
+      CREATE INDEX IF NOT EXISTS idx_udise_data_location_codes ON udise_data (state_code, district_code, block_code);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_udise_data_location_codes;
+      ALTER TABLE udise_data DROP COLUMN IF EXISTS cluster_code;
+      ALTER TABLE udise_data DROP COLUMN IF EXISTS block_code;
+      ALTER TABLE udise_data DROP COLUMN IF EXISTS district_code;
+      ALTER TABLE udise_data DROP COLUMN IF EXISTS state_code;
+      DROP TABLE IF EXISTS location_aliases;
+      DROP TABLE IF EXISTS locations;
+    `);
+  },
+};
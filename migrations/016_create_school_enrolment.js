@@ -0,0 +1,24 @@
+// Enrolment breakdowns decomposed at ingest: one row per grade, social category and
+// gender of a school-year. "all" marks a dimension the source did not break down.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS school_enrolment (
+        udise_code TEXT NOT NULL,
+        ay TEXT NOT NULL,
+        grade TEXT NOT NULL,
+        category TEXT NOT NULL,
+        gender TEXT NOT NULL CHECK (gender IN ('boys', 'girls', 'transgender', 'all')),
+        students INTEGER NOT NULL CHECK (students >= 0),
+        PRIMARY KEY (udise_code, ay, grade, category, gender),
+        FOREIGN KEY (udise_code, ay) REFERENCES udise_data (udise_code, ay) ON DELETE CASCADE ON UPDATE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_school_enrolment_grade_gender ON school_enrolment (grade, gender);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query("DROP TABLE IF EXISTS school_enrolment");
+  },
+};
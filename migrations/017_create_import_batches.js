@@ -0,0 +1,53 @@
+// Provenance for udise_data. Every save is an import batch (who, from where, counts);
+// import_batch_rows lists the rows it inserted or updated, with the stored row as it
+// was before each update so the batch can be rolled back. udise_data.import_batch_id
+// is the batch that last wrote the row.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS import_batches (
+        batch_id UUID PRIMARY KEY,
+        source TEXT NOT NULL CHECK (source IN ('proxy', 'file', 'job')),
+        source_ref TEXT,
+        created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+        mode TEXT NOT NULL,
+        received INTEGER NOT NULL DEFAULT 0,
+        inserted INTEGER NOT NULL DEFAULT 0,
+        updated INTEGER NOT NULL DEFAULT 0,
+        unchanged INTEGER NOT NULL DEFAULT 0,
+        failed INTEGER NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'committed' CHECK (status IN ('committed', 'rolled_back')),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        rolled_back_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+        rolled_back_at TIMESTAMPTZ,
+        rollback_result JSONB
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_import_batches_created ON import_batches (created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_import_batches_source ON import_batches (source, source_ref);
+
+      -- before is NULL for inserts; for updates it is the whole stored row, plus its
+      -- enrolment cells when the update replaced them
+      CREATE TABLE IF NOT EXISTS import_batch_rows (
+        batch_id UUID NOT NULL REFERENCES import_batches(batch_id) ON DELETE CASCADE,
+        udise_code TEXT NOT NULL,
+        ay TEXT NOT NULL,
+        action TEXT NOT NULL CHECK (action IN ('insert', 'update')),
+        before JSONB,
+        PRIMARY KEY (batch_id, udise_code, ay)
+      );
+
+      ALTER TABLE udise_data ADD COLUMN IF NOT EXISTS import_batch_id UUID;
+      CREATE INDEX IF NOT EXISTS idx_udise_data_import_batch ON udise_data (import_batch_id);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_udise_data_import_batch;
+      ALTER TABLE udise_data DROP COLUMN IF EXISTS import_batch_id;
+      DROP TABLE IF EXISTS import_batch_rows;
+      DROP TABLE IF EXISTS import_batches;
+    `);
+  },
+};
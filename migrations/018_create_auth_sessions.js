@@ -0,0 +1,46 @@
+// Sign-in sessions. A session is one device's login: it holds rotating refresh
+// tokens (stored hashed) and the short-lived access tokens in auth_tokens.
+// Refresh tokens are kept after use, until their session ends, so a replayed one can be recognised.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS auth_sessions (
+        session_id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        user_agent TEXT,
+        ip TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        expires_at TIMESTAMPTZ NOT NULL,
+        revoked_at TIMESTAMPTZ,
+        revoked_reason TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions (user_id, last_used_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_auth_sessions_expires ON auth_sessions (expires_at);
+
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        token_hash TEXT PRIMARY KEY,
+        session_id INTEGER NOT NULL REFERENCES auth_sessions(session_id) ON DELETE CASCADE,
+        expires_at TIMESTAMPTZ NOT NULL,
+        used_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens (session_id);
+
+      ALTER TABLE auth_tokens
+        ADD COLUMN IF NOT EXISTS session_id INTEGER REFERENCES auth_sessions(session_id) ON DELETE CASCADE;
+      CREATE INDEX IF NOT EXISTS idx_auth_tokens_session ON auth_tokens (session_id);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_auth_tokens_session;
+      ALTER TABLE auth_tokens DROP COLUMN IF EXISTS session_id;
+      DROP TABLE IF EXISTS refresh_tokens;
+      DROP TABLE IF EXISTS auth_sessions;
+    `);
+  },
+};
@@ -0,0 +1,36 @@
+// API keys for scripted access. A key acts as its user (a person, or a service account
+// that never signs in with Google) and is limited to the permissions listed on it.
+// Only a SHA-256 hash of the key is stored; key_prefix is kept to tell keys apart.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS account_type TEXT NOT NULL DEFAULT 'person'
+        CHECK (account_type IN ('person', 'service'));
+
+      CREATE TABLE IF NOT EXISTS api_keys (
+        key_id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        permissions TEXT[] NOT NULL,
+        expires_at TIMESTAMPTZ,
+        last_used_at TIMESTAMPTZ,
+        last_used_ip TEXT,
+        created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        revoked_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+        revoked_at TIMESTAMPTZ
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys (user_id, created_at DESC);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DROP TABLE IF EXISTS api_keys;
+      ALTER TABLE users DROP COLUMN IF EXISTS account_type;
+    `);
+  },
+};
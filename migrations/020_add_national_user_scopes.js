@@ -0,0 +1,28 @@
+// A user_scopes row with no state is a national assignment: the user is unrestricted.
+// Users without any assignment used to be unrestricted too; they now see nothing, so
+// every existing non-super-admin user without assignments is given a national one here
+// to keep the access they had. Users created after this need their regions (or a
+// national assignment) set through PUT /users/:userId before they can reach school data.
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE user_scopes ALTER COLUMN state DROP NOT NULL;
+      ALTER TABLE user_scopes ADD CONSTRAINT user_scopes_national_check
+        CHECK (state IS NOT NULL OR district IS NULL);
+
+      INSERT INTO user_scopes (user_id, state)
+      SELECT u.user_id, NULL
+      FROM users u
+      WHERE u.role <> 'super_admin'
+        AND NOT EXISTS (SELECT 1 FROM user_scopes s WHERE s.user_id = u.user_id);
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DELETE FROM user_scopes WHERE state IS NULL;
+      ALTER TABLE user_scopes DROP CONSTRAINT IF EXISTS user_scopes_national_check;
+      ALTER TABLE user_scopes ALTER COLUMN state SET NOT NULL;
+    `);
+  },
+};
@@ -0,0 +1,20 @@
+// Renaming a location in the master rewrites the name on its stored rows; that write is
+// now an import batch of its own (source 'location', source_ref "<level>:<code>").
+module.exports = {
+  up: async (client) => {
+    await client.query(`
+      ALTER TABLE import_batches DROP CONSTRAINT IF EXISTS import_batches_source_check;
+      ALTER TABLE import_batches ADD CONSTRAINT import_batches_source_check
+        CHECK (source IN ('proxy', 'file', 'job', 'location'));
+    `);
+  },
+
+  down: async (client) => {
+    await client.query(`
+      DELETE FROM import_batches WHERE source = 'location';
+      ALTER TABLE import_batches DROP CONSTRAINT IF EXISTS import_batches_source_check;
+      ALTER TABLE import_batches ADD CONSTRAINT import_batches_source_check
+        CHECK (source IN ('proxy', 'file', 'job'));
+    `);
+  },
+};
@@ -0,0 +1,145 @@
+// Built-in data-quality rules for udise_data rows.
+//
+// Each rule has an SQL predicate that is true for a failing row (used by runs over
+// the stored data) and, where it makes sense for incoming payloads, a `check` on
+// normalized values (used by the ingest gate). Rules without `check` cannot gate.
+// Admins override enabled / severity / gate / params in data_quality_rules.
+const { SCHOOL_FIELDS, MISSING_MARKERS, UDISE_CODE_PATTERN, isValidAcademicYear } = require("./schoolModel");
+const format = require("pg-format");
+
+const TEXT_FIELDS = SCHOOL_FIELDS.filter((f) => f.type === "text").map((f) => f.name);
+const INTEGER_FIELDS = SCHOOL_FIELDS.filter((f) => f.type === "integer").map((f) => f.name);
+const GEOGRAPHY_FIELDS = ["state", "district", "block", "cluster", "village"];
+
+const SEVERITIES = ["error", "warning"];
+const GATE_MODES = ["off", "warn", "block"];
+
+const isBlank = (val) => val === undefined || val === null || String(val).trim() === "";
+
+// Returns an error message, or null when `fields` is a non-empty subset of `allowed`
+const checkFieldList = (fields, allowed) => {
+  if (!Array.isArray(fields) || fields.length === 0) return "fields must be a non-empty array";
+  const unknown = fields.filter((f) => !allowed.includes(f));
+  return unknown.length > 0 ? `fields must be from: ${allowed.join(", ")}` : null;
+};
+
+const RULES = [
+  {
+    id: "udise_code_format",
+    description: "UDISE code is not exactly 11 digits",
+    severity: "error",
+    params: {},
+    sql: () => "udise_code !~ '^[0-9]{11}$'",
+    check: (values) => !UDISE_CODE_PATTERN.test(values.udise_code ?? ""),
+  },
+  {
+    id: "academic_year_format",
+    description: "Academic year is not written like 2023-24",
+    severity: "error",
+    params: {},
+    sql: () =>
+      "CASE WHEN ay ~ '^[0-9]{4}-[0-9]{2}$' THEN (left(ay, 4)::int + 1) % 100 <> right(ay, 2)::int ELSE TRUE END",
+    check: (values) => !isValidAcademicYear(values.ay),
+  },
+  {
+    id: "placeholder_values",
+    description: "A text field holds a placeholder such as 'NA' instead of a value",
+    severity: "warning",
+    params: { markers: [...MISSING_MARKERS] },
+    validateParams: ({ markers }) =>
+      Array.isArray(markers) && markers.length > 0 && markers.every((m) => typeof m === "string")
+        ? null
+        : "markers must be a non-empty array of strings",
+    // Ingest already turns these markers into NULL, so this rule only applies to stored rows
+    sql: ({ markers }) =>
+      `(${TEXT_FIELDS.map((f) =>
+        format("lower(btrim(%I)) = ANY(ARRAY[%L])", f, markers.map((m) => m.toLowerCase()))
+      ).join(" OR ")})`,
+  },
+  {
+    id: "missing_geography",
+    description: "A geography name is missing",
+    severity: "warning",
+    params: { fields: ["state", "district", "block", "cluster"] },
+    validateParams: ({ fields }) => checkFieldList(fields, GEOGRAPHY_FIELDS),
+    sql: ({ fields }) => `(${fields.map((f) => format("btrim(COALESCE(%I, '')) = ''", f)).join(" OR ")})`,
+    check: (values, { fields }) => fields.some((f) => isBlank(values[f])),
+  },
+  {
+    id: "enrolment_mismatch",
+    description: "Total enrolment does not equal boys plus girls",
+    severity: "error",
+    params: { tolerance: 0 },
+    validateParams: ({ tolerance }) =>
+      Number.isInteger(tolerance) && tolerance >= 0 ? null : "tolerance must be a non-negative integer",
+    sql: ({ tolerance }) => format("abs(total_students - (total_boys + total_girls)) > %L", tolerance),
+    check: (values, { tolerance }) =>
+      [values.total_students, values.total_boys, values.total_girls].every(Number.isInteger) &&
+      Math.abs(values.total_students - (values.total_boys + values.total_girls)) > tolerance,
+  },
+  {
+    id: "negative_counts",
+    description: "A count field is negative",
+    severity: "error",
+    params: { fields: INTEGER_FIELDS.filter((f) => f !== "year_of_establishment") },
+    validateParams: ({ fields }) => checkFieldList(fields, INTEGER_FIELDS),
+    sql: ({ fields }) => `(${fields.map((f) => format("%I < 0", f)).join(" OR ")})`,
+    check: (values, { fields }) => fields.some((f) => Number.isInteger(values[f]) && values[f] < 0),
+  },
+  {
+    id: "missing_school_name",
+    description: "School name is missing",
+    severity: "warning",
+    params: {},
+    sql: () => "btrim(COALESCE(school_name, '')) = ''",
+    check: (values) => isBlank(values.school_name),
+  },
+];
+
+const RULES_BY_ID = new Map(RULES.map((rule) => [rule.id, rule]));
+
+// Merges a data_quality_rules row (or nothing) over a rule's defaults
+const effectiveRule = (rule, override) => ({
+  id: rule.id,
+  description: rule.description,
+  enabled: override ? override.enabled : true,
+  severity: override ? override.severity : rule.severity,
+  gate: override ? override.gate : "off",
+  params: { ...rule.params, ...(override ? override.params : {}) },
+  canGate: typeof rule.check === "function",
+});
+
+// Validates an override for one rule. Returns a list of problems.
+const validateOverride = (rule, { enabled, severity, gate, params }) => {
+  const errors = [];
+  if (enabled !== undefined && typeof enabled !== "boolean") errors.push("enabled must be true or false");
+  if (severity !== undefined && !SEVERITIES.includes(severity)) {
+    errors.push(`severity must be one of: ${SEVERITIES.join(", ")}`);
+  }
+  if (gate !== undefined && !GATE_MODES.includes(gate)) errors.push(`gate must be one of: ${GATE_MODES.join(", ")}`);
+  if (gate !== undefined && gate !== "off" && typeof rule.check !== "function") {
+    errors.push(`${rule.id} only applies to stored rows and cannot gate ingest`);
+  }
+  if (params !== undefined) {
+    if (params === null || typeof params !== "object" || Array.isArray(params)) {
+      errors.push("params must be an object");
+    } else {
+      const unknown = Object.keys(params).filter((key) => !(key in rule.params));
+      if (unknown.length > 0) errors.push(`unknown params: ${unknown.join(", ")}`);
+      else if (rule.validateParams) {
+        const error = rule.validateParams({ ...rule.params, ...params });
+        if (error) errors.push(error);
+      }
+    }
+  }
+  return errors;
+};
+
+module.exports = {
+  RULES,
+  RULES_BY_ID,
+  SEVERITIES,
+  GATE_MODES,
+  effectiveRule,
+  validateOverride,
+};
@@ -0,0 +1,278 @@
+// Enrolment breakdowns: students per (grade, social category, gender) for one
+// school and academic year, stored one cell per row in school_enrolment.
+//
+// Payloads carry them in several shapes, all read from the ENROLMENT_KEYS:
+//   [{ grade: "1", category: "SC", gender: "girls", students: 12 }, ...]      one cell per entry
+//   [{ casteName: "SC", c1_b: 10, c1_g: 12, ..., caste_total: 90 }, ...]       UDISE+ caste-wise rows
+//   [{ grade: "Class 1", boys: 10, girls: 12 }, ...]                           one entry per grade
+//   { "1": { boys: 10, girls: 12 }, "2": { ... } }                             keyed by grade
+// and UDISE+ class-wise columns (c1_b, c1_g, cpp_t, ...) may also sit on the record itself.
+// A dimension a source does not break down is stored as "all".
+
+const GRADES = ["pp", "1", "2", "3", "4", "5", "6", "7", "8", "9", "10", "11", "12"];
+const GENDERS = ["boys", "girls", "transgender"];
+const ALL = "all";
+
+const ENROLMENT_KEYS = ["enrolment", "enrollment", "enrolmentBreakdown", "gradeWiseEnrolment", "casteWiseEnrolment"];
+
+// c1_b, c12_g, cpp_t: grade, then b(oys) / g(irls) / t(otal)
+const CLASS_COLUMN_PATTERN = /^c(pp|\d{1,2})_([bgt])$/i;
+const CLASS_COLUMN_GENDERS = { b: "boys", g: "girls", t: ALL };
+// UDISE+ caste-wise rows end with per-category totals over all grades
+const CASTE_TOTAL_COLUMNS = { caste_total: ALL, caste_total_boy: "boys", caste_total_girl: "girls" };
+
+const WIDE_GENDER_KEYS = {
+  boys: "boys",
+  boy: "boys",
+  girls: "girls",
+  girl: "girls",
+  transgender: "transgender",
+  total: ALL,
+};
+const GRADE_KEYS = ["grade", "class", "className"];
+const CATEGORY_KEYS = ["category", "casteName", "caste", "socialCategory"];
+const COUNT_KEYS = ["students", "count", "value", "enrolment"];
+
+const isMissing = (val) =>
+  val === undefined ||
+  val === null ||
+  (typeof val === "string" && ["", "na", "n/a", "null", "-"].includes(val.trim().toLowerCase()));
+
+const isPlainObject = (val) => val !== null && typeof val === "object" && !Array.isArray(val);
+
+const firstPresent = (entry, keys) => {
+  const key = keys.find((k) => !isMissing(entry[k]));
+  return key === undefined ? undefined : entry[key];
+};
+
+// 3, "3", "c3", "Class 3", "grade 3", "PP" or "pre-primary". Returns a GRADES value or null.
+const parseGrade = (val) => {
+  const str = String(val).trim().toLowerCase();
+  if (/^(c|class|grade|std)?[\s_-]*(pp|pre[\s_-]*primary)$/.test(str)) return "pp";
+  const match = /^(?:c|class|grade|std)?[\s_-]*(\d{1,2})$/.exec(str);
+  if (!match) return null;
+  const grade = String(Number(match[1]));
+  return GRADES.includes(grade) ? grade : null;
+};
+
+// Social categories are free text from the source; stored as a lowercase slug ("OBC" -> "obc")
+const parseCategory = (val) => {
+  const slug = String(val)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+  if (slug === "" || slug.length > 40) return null;
+  return slug === "total" ? ALL : slug;
+};
+
+const parseGender = (val) => {
+  const str = String(val).trim().toLowerCase();
+  if (["b", "boy", "boys", "m", "male"].includes(str)) return "boys";
+  if (["g", "girl", "girls", "f", "female"].includes(str)) return "girls";
+  if (["t", "trans", "transgender"].includes(str)) return "transgender";
+  if (["all", "total"].includes(str)) return ALL;
+  return null;
+};
+
+const parseCount = (val) => {
+  if (typeof val === "number") return Number.isInteger(val) && val >= 0 ? val : null;
+  const str = String(val).trim().replace(/,/g, "");
+  return /^\d+$/.test(str) && Number(str) <= 2147483647 ? Number(str) : null;
+};
+
+// Collects the cells of one entry (an object) into `cells`, inheriting grade/category
+const readEntry = (entry, inherited, cells, errors, label) => {
+  const dims = { ...inherited };
+  const gradeValue = firstPresent(entry, GRADE_KEYS);
+  if (gradeValue !== undefined) {
+    dims.grade = parseGrade(gradeValue);
+    if (!dims.grade) return errors.push(`${label} has an unknown grade '${gradeValue}'`);
+  }
+  const categoryValue = firstPresent(entry, CATEGORY_KEYS);
+  if (categoryValue !== undefined) {
+    dims.category = parseCategory(categoryValue);
+    if (!dims.category) return errors.push(`${label} has an invalid category '${categoryValue}'`);
+  }
+
+  const add = (grade, gender, raw, key) => {
+    if (isMissing(raw)) return;
+    const students = parseCount(raw);
+    if (students === null) return errors.push(`${label}.${key} must be a non-negative integer`);
+    cells.push({ grade: grade ?? ALL, category: dims.category ?? ALL, gender, students });
+  };
+
+  if (!isMissing(entry.gender)) {
+    const gender = parseGender(entry.gender);
+    if (!gender) return errors.push(`${label} has an unknown gender '${entry.gender}'`);
+    const countKey = COUNT_KEYS.find((k) => !isMissing(entry[k]));
+    if (countKey === undefined) return errors.push(`${label} has no students count`);
+    return add(dims.grade, gender, entry[countKey], countKey);
+  }
+
+  for (const [key, raw] of Object.entries(entry)) {
+    const column = CLASS_COLUMN_PATTERN.exec(key);
+    if (column) {
+      const grade = parseGrade(column[1]);
+      if (grade) add(grade, CLASS_COLUMN_GENDERS[column[2].toLowerCase()], raw, key);
+      else errors.push(`${label}.${key} is not a known grade`);
+    } else if (key in CASTE_TOTAL_COLUMNS) add(ALL, CASTE_TOTAL_COLUMNS[key], raw, key);
+    else if (key in WIDE_GENDER_KEYS) add(dims.grade, WIDE_GENDER_KEYS[key], raw, key);
+  }
+};
+
+// Keeps the finest breakdown the source gave: once any cell names a specific grade or
+// category, the "all" cells for that dimension are totals of the others and are dropped.
+// Gender is decided per grade and category, so a grade reported only as a total keeps
+// its total. That way the cells of one school and year add up to its enrolment exactly once.
+const dropTotals = (cells) => {
+  let kept = cells;
+  for (const dim of ["grade", "category"]) {
+    if (kept.some((cell) => cell[dim] !== ALL)) kept = kept.filter((cell) => cell[dim] !== ALL);
+  }
+  const splitByGender = new Set(
+    kept.filter((cell) => cell.gender !== ALL).map((cell) => `${cell.grade}|${cell.category}`)
+  );
+  return kept.filter((cell) => cell.gender !== ALL || !splitByGender.has(`${cell.grade}|${cell.category}`));
+};
+
+const cellKey = (cell) => `${cell.grade}|${cell.category}|${cell.gender}`;
+
+// Stable order for comparing and storing: grade order, then category, then gender
+const sortCells = (cells) => {
+  const gradeOrder = (grade) => (grade === ALL ? -1 : GRADES.indexOf(grade));
+  return [...cells].sort(
+    (a, b) =>
+      gradeOrder(a.grade) - gradeOrder(b.grade) ||
+      a.category.localeCompare(b.category) ||
+      a.gender.localeCompare(b.gender)
+  );
+};
+
+// Reads the enrolment breakdown out of a raw payload.
+// Returns { cells, keys, errors }: cells is null when the payload has no breakdown,
+// keys lists the payload keys it consumed (so they are not kept in `extra`).
+const extractEnrolment = (record) => {
+  const cells = [];
+  const errors = [];
+  const keys = [];
+
+  const classColumns = Object.keys(record).filter((key) => CLASS_COLUMN_PATTERN.test(key));
+  if (classColumns.length > 0) {
+    readEntry(Object.fromEntries(classColumns.map((key) => [key, record[key]])), {}, cells, errors, "record");
+    keys.push(...classColumns);
+  }
+
+  for (const key of ENROLMENT_KEYS) {
+    let value = record[key];
+    if (isMissing(value)) continue;
+    keys.push(key);
+    // Older saves stored breakdowns as JSON text
+    if (typeof value === "string") {
+      try {
+        value = JSON.parse(value);
+      } catch {
+        // reported below as neither a list nor an object
+      }
+    }
+
+    if (Array.isArray(value)) {
+      value.forEach((entry, i) => {
+        if (isPlainObject(entry)) readEntry(entry, {}, cells, errors, `${key}[${i}]`);
+        else errors.push(`${key}[${i}] must be an object`);
+      });
+    } else if (isPlainObject(value)) {
+      for (const [gradeKey, entry] of Object.entries(value)) {
+        const grade = parseGrade(gradeKey);
+        if (!grade) errors.push(`${key} has an unknown grade '${gradeKey}'`);
+        else if (!isPlainObject(entry)) errors.push(`${key}.${gradeKey} must be an object`);
+        else readEntry(entry, { grade }, cells, errors, `${key}.${gradeKey}`);
+      }
+    } else {
+      errors.push(`${key} must be a list or an object keyed by grade`);
+    }
+  }
+
+  if (keys.length === 0) return { cells: null, keys, errors };
+
+  const kept = dropTotals(cells);
+  const seen = new Set();
+  for (const cell of kept) {
+    const key = cellKey(cell);
+    if (seen.has(key)) errors.push(`enrolment lists grade ${cell.grade} / ${cell.category} / ${cell.gender} twice`);
+    seen.add(key);
+  }
+  return { cells: sortCells(kept), keys, errors };
+};
+
+// Rows for INSERT INTO school_enrolment (udise_code, ay, grade, category, gender, students)
+const ENROLMENT_COLUMNS = ["udise_code", "ay", "grade", "category", "gender", "students"];
+const toEnrolmentRows = ({ udise_code, ay }, cells) =>
+  cells.map((cell) => [udise_code, ay, cell.grade, cell.category, cell.gender, cell.students]);
+
+// --- Selections: which cells to add up in search and analytics ---
+
+// Validates { grades?, categories?, genders?, min?, max? }. Grades are a list or a
+// { min, max } range ("Class 1-3" is { min: 1, max: 3 }); min/max bound the per-school sum.
+// Returns [selection, errors].
+const parseEnrolmentSelection = (input) => {
+  if (!isPlainObject(input)) return [undefined, ["enrolment must be an object"]];
+  const errors = [];
+  const selection = { grades: null, categories: null, genders: null };
+
+  if (input.grades !== undefined && input.grades !== null) {
+    if (Array.isArray(input.grades)) {
+      selection.grades = [...new Set(input.grades.map(parseGrade))];
+      if (selection.grades.length === 0 || selection.grades.includes(null)) {
+        errors.push(`enrolment.grades must be grades from: ${GRADES.join(", ")}`);
+      }
+    } else if (isPlainObject(input.grades)) {
+      const from = input.grades.min === undefined ? "pp" : parseGrade(input.grades.min);
+      const to = input.grades.max === undefined ? "12" : parseGrade(input.grades.max);
+      if (!from || !to || GRADES.indexOf(from) > GRADES.indexOf(to)) {
+        errors.push("enrolment.grades range must run from a lower to a higher grade");
+      } else {
+        selection.grades = GRADES.slice(GRADES.indexOf(from), GRADES.indexOf(to) + 1);
+      }
+    } else {
+      errors.push("enrolment.grades must be a list or a { min, max } range");
+    }
+  }
+
+  if (input.categories !== undefined && input.categories !== null) {
+    selection.categories = Array.isArray(input.categories) ? [...new Set(input.categories.map(parseCategory))] : [];
+    if (selection.categories.length === 0 || selection.categories.includes(null)) {
+      errors.push("enrolment.categories must be a list of category names");
+    }
+  }
+
+  if (input.genders !== undefined && input.genders !== null) {
+    selection.genders = Array.isArray(input.genders) ? [...new Set(input.genders.map(parseGender))] : [];
+    if (selection.genders.length === 0 || selection.genders.some((g) => !GENDERS.includes(g))) {
+      errors.push(`enrolment.genders must be from: ${GENDERS.join(", ")}`);
+    }
+  }
+
+  for (const bound of ["min", "max"]) {
+    if (input[bound] === undefined || input[bound] === null) continue;
+    selection[bound] = parseCount(input[bound]);
+    if (selection[bound] === null) errors.push(`enrolment.${bound} must be a non-negative integer`);
+  }
+  if (selection.min !== undefined && selection.max !== undefined && selection.min > selection.max) {
+    errors.push("enrolment min is greater than max");
+  }
+
+  return [selection, errors];
+};
+
+module.exports = {
+  GRADES,
+  GENDERS,
+  ALL,
+  ENROLMENT_KEYS,
+  ENROLMENT_COLUMNS,
+  extractEnrolment,
+  sortCells,
+  toEnrolmentRows,
+  parseEnrolmentSelection,
+};
@@ -0,0 +1,49 @@
+// Location master levels, coarsest first. Each level has a name column in
+// udise_data (state, district, ...) and a code column holding the master's code.
+const LOCATION_LEVELS = ["state", "district", "block", "cluster"];
+const codeColumn = (level) => `${level}_code`;
+const LOCATION_CODE_COLUMNS = LOCATION_LEVELS.map(codeColumn);
+
+const parentLevel = (level) => LOCATION_LEVELS[LOCATION_LEVELS.indexOf(level) - 1] || null;
+
+const isBlank = (val) => val === undefined || val === null || String(val).trim() === "";
+
+// The spelling-insensitive key names are matched on:
+// "North 24-Parganas", "NORTH 24 PARGANAS " and "north 24 parganas" share one key
+const normalizeLocationName = (name) =>
+  String(name)
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, " ")
+    .trim();
+
+// Checks one { level, code, name, parentCode?, aliases? } entry. Returns a list of problems.
+const validateLocation = (location) => {
+  if (!location || typeof location !== "object" || Array.isArray(location)) return ["location must be an object"];
+  const { level, code, name, parentCode, aliases } = location;
+  const errors = [];
+  if (!LOCATION_LEVELS.includes(level)) errors.push(`level must be one of: ${LOCATION_LEVELS.join(", ")}`);
+  if (typeof code !== "string" || isBlank(code)) errors.push("code is required");
+  if (typeof name !== "string" || isBlank(name) || normalizeLocationName(name) === "") errors.push("name is required");
+  if (level === "state" && !isBlank(parentCode)) errors.push("states have no parentCode");
+  if (level && level !== "state" && LOCATION_LEVELS.includes(level) && isBlank(parentCode)) {
+    errors.push(`parentCode (the ${parentLevel(level)} code) is required`);
+  }
+  if (
+    aliases !== undefined &&
+    (!Array.isArray(aliases) || aliases.some((a) => typeof a !== "string" || normalizeLocationName(a) === ""))
+  ) {
+    errors.push("aliases must be an array of non-empty names");
+  }
+  return errors;
+};
+
+module.exports = {
+  LOCATION_LEVELS,
+  LOCATION_CODE_COLUMNS,
+  codeColumn,
+  parentLevel,
+  normalizeLocationName,
+  validateLocation,
+};
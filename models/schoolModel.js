@@ -0,0 +1,286 @@
+// Canonical school model for udise_data, as defined by the migrations.
+// Each field lists the payload keys it is read from, in priority order: the
+// UDISE APIs and older frontends use several names for the same value.
+// Payload keys that match no field are stored in the `extra` JSONB column, except
+// enrolment breakdowns, which go to school_enrolment (see enrolmentModel).
+const { LOCATION_CODE_COLUMNS } = require("./locationModel");
+const { extractEnrolment } = require("./enrolmentModel");
+
+const SCHOOL_FIELDS = [
+  { name: "udise_code", type: "text", aliases: ["udiseCode", "udiseschCode", "udise_sch_code"] },
+  { name: "ay", type: "text", aliases: ["academicYear", "academic_year"] },
+  { name: "school_name", type: "text", aliases: ["schoolName", "schName"] },
+  { name: "state", type: "text", aliases: ["stateName", "state_name"] },
+  { name: "district", type: "text", aliases: ["districtName", "district_name"] },
+  { name: "block", type: "text", aliases: ["blockName", "block_name"] },
+  { name: "cluster", type: "text", aliases: ["clusterName", "cluster_name"] },
+  { name: "village", type: "text", aliases: ["villageName", "village_name"] },
+  { name: "pincode", type: "text", aliases: ["pinCode", "pin_code"] },
+  { name: "rural_urban", type: "text", aliases: ["ruralUrban", "schLocRuralUrban", "location"] },
+  { name: "school_category", type: "text", aliases: ["schoolCategory", "schCategoryDesc", "category"] },
+  { name: "school_management", type: "text", aliases: ["schoolManagement", "schMgmtDesc", "management"] },
+  { name: "school_type", type: "text", aliases: ["schoolType", "schTypeDesc"] },
+  { name: "school_status", type: "text", aliases: ["schoolStatus", "schStatusName"] },
+  { name: "year_of_establishment", type: "integer", aliases: ["yearOfEstablishment", "estdYear"] },
+  { name: "total_students", type: "integer", aliases: ["totalStudents", "caste_total", "totalEnrolment"] },
+  { name: "total_boys", type: "integer", aliases: ["totalBoyStudents", "caste_total_boy", "totalBoys"] },
+  { name: "total_girls", type: "integer", aliases: ["totalGirlStudents", "caste_total_girl", "totalGirls"] },
+  { name: "total_teachers", type: "integer", aliases: ["totalTeachers", "totTeacher"] },
+  { name: "total_classrooms", type: "integer", aliases: ["totalClassrooms", "totClassRooms"] },
+  { name: "has_electricity", type: "boolean", aliases: ["electricity", "electricityAvailable"] },
+  { name: "has_drinking_water", type: "boolean", aliases: ["drinkingWater", "drinkingWaterAvailable"] },
+  { name: "has_boys_toilet", type: "boolean", aliases: ["boysToilet", "toiletBoys"] },
+  { name: "has_girls_toilet", type: "boolean", aliases: ["girlsToilet", "toiletGirls"] },
+  { name: "has_library", type: "boolean", aliases: ["library", "libraryAvailable"] },
+  { name: "has_playground", type: "boolean", aliases: ["playground", "playgroundAvailable"] },
+  { name: "has_ramp", type: "boolean", aliases: ["ramps", "rampAvailable"] },
+  { name: "has_internet", type: "boolean", aliases: ["internet", "internetAvailable"] },
+  { name: "data_updated_on", type: "date", aliases: ["updatedOn", "lastUpdated", "updated_on"] },
+];
+
+const SCHOOL_COLUMNS = SCHOOL_FIELDS.map((f) => f.name);
+const REQUIRED_FIELDS = ["udise_code", "ay"];
+
+// Every payload key that maps onto a canonical field
+const KNOWN_KEYS = new Set(SCHOOL_FIELDS.flatMap((f) => [f.name, ...f.aliases]));
+
+const MISSING_MARKERS = new Set(["", "na", "n/a", "null", "-"]);
+const TRUE_VALUES = new Set(["true", "yes", "y", "1", "1-yes"]);
+const FALSE_VALUES = new Set(["false", "no", "n", "0", "2-no"]);
+
+const isMissing = (val) =>
+  val === undefined ||
+  val === null ||
+  (typeof val === "string" && MISSING_MARKERS.has(val.trim().toLowerCase()));
+
+// "YYYY-MM-DD" when the parts name a real calendar day, otherwise null. Date.parse rolls
+// impossible days over (2023-02-30 becomes March 2), so the parts are checked after a round trip.
+const toIsoDate = (y, m, d) => {
+  const date = new Date(Date.UTC(Number(y), Number(m) - 1, Number(d)));
+  if (
+    date.getUTCFullYear() !== Number(y) ||
+    date.getUTCMonth() !== Number(m) - 1 ||
+    date.getUTCDate() !== Number(d)
+  ) {
+    return null;
+  }
+  return `${String(y).padStart(4, "0")}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+};
+
+const MAX_INTEGER = 2147483647;
+
+// Each parser returns { value } or { error }.
+const PARSERS = {
+  text: (val) => ({ value: typeof val === "object" ? JSON.stringify(val) : String(val).trim() }),
+
+  // Bounded to the int4 columns the values are stored in
+  integer: (val) => {
+    if (typeof val === "number") {
+      return Number.isInteger(val) && Math.abs(val) <= MAX_INTEGER ? { value: val } : { error: "must be an integer" };
+    }
+    const str = String(val).trim().replace(/,/g, "");
+    if (/^-?\d+$/.test(str) && Math.abs(Number(str)) <= MAX_INTEGER) return { value: Number(str) };
+    return { error: "must be an integer" };
+  },
+
+  boolean: (val) => {
+    if (typeof val === "boolean") return { value: val };
+    const str = String(val).trim().toLowerCase();
+    if (TRUE_VALUES.has(str)) return { value: true };
+    if (FALSE_VALUES.has(str)) return { value: false };
+    return { error: "must be yes/no" };
+  },
+
+  // Accepts YYYY-MM-DD and DD/MM/YYYY (or DD-MM-YYYY), stored as YYYY-MM-DD
+  date: (val) => {
+    const str = String(val).trim();
+    let match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str);
+    let [y, m, d] = match ? [match[1], match[2], match[3]] : [];
+    if (!match) {
+      match = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/.exec(str);
+      if (match) [d, m, y] = [match[1], match[2], match[3]];
+    }
+    const iso = match ? toIsoDate(y, m, d) : null;
+    if (!iso) return { error: "must be a date (YYYY-MM-DD or DD/MM/YYYY)" };
+    return { value: iso };
+  },
+};
+
+// The payload key a field is read from: its name, or else the first alias, holding data
+const sourceKeyOf = (record, field) => [field.name, ...field.aliases].find((k) => !isMissing(record[k]));
+
+const FIELDS_BY_NAME = new Map(SCHOOL_FIELDS.map((f) => [f.name, f]));
+const sourceKey = (record, fieldName) => sourceKeyOf(record, FIELDS_BY_NAME.get(fieldName));
+
+// Maps a raw payload onto canonical, typed values.
+// Returns { values, extra, enrolment, errors }: values holds only fields that had data,
+// enrolment is the breakdown's cells, or null when the payload carried none.
+const normalizeSchool = (record) => {
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    return { values: {}, extra: {}, enrolment: null, errors: ["Record must be an object"] };
+  }
+
+  const values = {};
+  const errors = [];
+
+  for (const field of SCHOOL_FIELDS) {
+    const key = sourceKeyOf(record, field);
+    if (key === undefined) continue;
+
+    const parsed = PARSERS[field.type](record[key]);
+    if (parsed.error) errors.push(`${key} ${parsed.error}`);
+    else values[field.name] = parsed.value;
+  }
+
+  for (const field of REQUIRED_FIELDS) {
+    if (values[field] === undefined && !errors.some((e) => e.startsWith(field))) {
+      errors.push(`${field} is required`);
+    }
+  }
+
+  const enrolment = extractEnrolment(record);
+  errors.push(...enrolment.errors);
+  const enrolmentKeys = new Set(enrolment.keys);
+
+  const extra = {};
+  for (const [key, val] of Object.entries(record)) {
+    if (!KNOWN_KEYS.has(key) && !enrolmentKeys.has(key) && val !== undefined) extra[key] = val;
+  }
+
+  return { values, extra, enrolment: enrolment.cells, errors };
+};
+
+// Returns a list of problems with the record; empty when it can be saved.
+const validateSchool = (record) => normalizeSchool(record).errors;
+
+// UDISE+ school codes are 11 digits; academic years are written "2023-24"
+const UDISE_CODE_PATTERN = /^\d{11}$/;
+
+const isValidAcademicYear = (ay) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(ay || "");
+  return !!match && (Number(match[1]) + 1) % 100 === Number(match[2]);
+};
+
+// Stricter checks on the identifying fields of normalized values, for sources
+// typed by hand (spreadsheets) rather than pulled from UDISE+.
+const checkIdentifiers = (values) => {
+  const errors = [];
+  if (values.udise_code !== undefined && !UDISE_CODE_PATTERN.test(values.udise_code)) {
+    errors.push(`udise_code '${values.udise_code}' must be 11 digits`);
+  }
+  if (values.ay !== undefined && !isValidAcademicYear(values.ay)) {
+    errors.push(`ay '${values.ay}' must look like 2023-24`);
+  }
+  return errors;
+};
+
+// Spreadsheet headers ("UDISE Code", "Total Students") matched against field names
+// and aliases, ignoring case, spaces and punctuation
+const squash = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+const FIELD_BY_SQUASHED_KEY = new Map(
+  SCHOOL_FIELDS.flatMap((f) => [f.name, ...f.aliases].map((key) => [squash(key), f.name]))
+);
+
+// Returns the canonical field a header most likely means, or null
+const suggestField = (header) => FIELD_BY_SQUASHED_KEY.get(squash(header)) || null;
+
+// Turns normalized records into rows for the canonical columns present anywhere
+// in the batch (including location codes filled in at ingest), plus an `extra`
+// column when any record carried unknown keys.
+const toRows = (normalized) => {
+  const present = new Set(normalized.flatMap((n) => Object.keys(n.values)));
+  const unknownFields = [...new Set(normalized.flatMap((n) => Object.keys(n.extra)))];
+
+  const columns = [...SCHOOL_COLUMNS, ...LOCATION_CODE_COLUMNS].filter((col) => present.has(col));
+  const rows = normalized.map((n) => {
+    const row = columns.map((col) => (n.values[col] === undefined ? null : n.values[col]));
+    if (unknownFields.length > 0) {
+      row.push(Object.keys(n.extra).length > 0 ? JSON.stringify(n.extra) : null);
+    }
+    return row;
+  });
+
+  if (unknownFields.length > 0) columns.push("extra");
+
+  return { columns, rows, unknownFields };
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Lists the fields of a normalized record that differ from the stored row.
+// Unknown keys are compared against the row's `extra` and reported as `extra.<key>`;
+// a supplied enrolment breakdown against `row.enrolment` (the stored cells, if loaded).
+const diffSchool = (row, normalized) => {
+  const changes = [];
+
+  for (const [field, newValue] of Object.entries(normalized.values)) {
+    if (REQUIRED_FIELDS.includes(field)) continue;
+    if (!sameValue(row[field], newValue)) {
+      changes.push({ field, oldValue: row[field] ?? null, newValue });
+    }
+  }
+
+  for (const [key, newValue] of Object.entries(normalized.extra)) {
+    const oldValue = row.extra ? row.extra[key] : undefined;
+    if (!sameValue(oldValue, newValue)) {
+      changes.push({ field: `extra.${key}`, oldValue: oldValue ?? null, newValue });
+    }
+  }
+
+  if (normalized.enrolment && !sameValue(row.enrolment || [], normalized.enrolment)) {
+    changes.push({ field: "enrolment", oldValue: row.enrolment || [], newValue: normalized.enrolment });
+  }
+
+  return changes;
+};
+
+// Fields compared between consecutive academic years on the school profile
+const YEAR_OVER_YEAR_FIELDS = [
+  "total_students",
+  "total_boys",
+  "total_girls",
+  "total_teachers",
+  "total_classrooms",
+  "school_category",
+  "school_management",
+  "school_type",
+  "school_status",
+];
+
+// Changes in YEAR_OVER_YEAR_FIELDS from one year's row to the next. Numeric fields
+// carry the absolute change and, when the earlier value is non-zero, the percentage.
+const diffAcademicYears = (previous, current) => {
+  const fields = [];
+  for (const field of YEAR_OVER_YEAR_FIELDS) {
+    const from = previous[field] ?? null;
+    const to = current[field] ?? null;
+    if (sameValue(from, to)) continue;
+
+    const change = { field, from, to };
+    if (typeof from === "number" && typeof to === "number") {
+      change.change = to - from;
+      change.changePercent = from !== 0 ? Math.round(((to - from) / from) * 1000) / 10 : null;
+    }
+    fields.push(change);
+  }
+  return { fromAy: previous.ay, toAy: current.ay, fields };
+};
+
+module.exports = {
+  SCHOOL_FIELDS,
+  SCHOOL_COLUMNS,
+  REQUIRED_FIELDS,
+  toIsoDate,
+  sourceKey,
+  normalizeSchool,
+  validateSchool,
+  MISSING_MARKERS,
+  UDISE_CODE_PATTERN,
+  isValidAcademicYear,
+  checkIdentifiers,
+  suggestField,
+  toRows,
+  diffSchool,
+  YEAR_OVER_YEAR_FIELDS,
+  diffAcademicYears,
+};
@@ -0,0 +1,195 @@
+// Validated search query for udise_data, shared by /schools/search and exports.
+//
+// Input shape (all optional):
+//   {
+//     filters: {
+//       state: "Bihar" | ["Bihar", ...],          // text fields: one value or a list
+//       total_students: { min: 10, max: 500 },    // integer and date fields: a range
+//       has_library: true                          // boolean fields: true / false
+//     },
+//     q: "govt primary",                           // fuzzy match on school_name
+//     udiseCodePrefix: "1001",
+//     enrolment: { grades: { min: 1, max: 3 }, genders: ["girls"], min: 50 },  // see enrolmentModel
+//     sort: [{ field: "total_students", direction: "desc" }, "school_name"]
+//   }
+// An enrolment selection adds a `selected_enrolment` sum to each result; its min / max
+// keep only schools whose sum is in range.
+// The legacy top-level `state` and `districts` keys are still accepted.
+const crypto = require("crypto");
+const { SCHOOL_FIELDS, SCHOOL_COLUMNS, toIsoDate } = require("./schoolModel");
+const { parseEnrolmentSelection } = require("./enrolmentModel");
+
+const FIELD_TYPES = Object.fromEntries(SCHOOL_FIELDS.map((f) => [f.name, f.type]));
+// Free-text columns where an exact-match filter is meaningless
+const UNFILTERABLE_FIELDS = ["udise_code", "school_name"];
+const SORTABLE_FIELDS = [...SCHOOL_COLUMNS, "created_at", "updated_at"];
+
+const MAX_FILTER_VALUES = 500;
+const MAX_SORT_FIELDS = 5;
+const MIN_QUERY_LENGTH = 2;
+
+const isPlainObject = (val) => val !== null && typeof val === "object" && !Array.isArray(val);
+
+// Integer bounds are numbers or digit strings (not booleans or blanks, which Number() turns
+// into 0 / 1); date bounds are YYYY-MM-DD strings naming a real day.
+const parseBound = (type, val) => {
+  if (type === "integer") {
+    if (typeof val === "number") return Number.isInteger(val) ? val : undefined;
+    return typeof val === "string" && /^-?\d+$/.test(val.trim()) ? Number(val) : undefined;
+  }
+  const match = typeof val === "string" ? /^(\d{4})-(\d{2})-(\d{2})$/.exec(val) : null;
+  return match ? toIsoDate(match[1], match[2], match[3]) ?? undefined : undefined;
+};
+
+// Returns [normalizedValue, error]
+const parseFilter = (field, value) => {
+  const type = FIELD_TYPES[field];
+  if (!type || UNFILTERABLE_FIELDS.includes(field)) return [undefined, `'${field}' cannot be filtered`];
+
+  if (type === "text") {
+    const list = Array.isArray(value) ? value : [value];
+    if (list.length === 0 || list.length > MAX_FILTER_VALUES) {
+      return [undefined, `'${field}' needs between 1 and ${MAX_FILTER_VALUES} values`];
+    }
+    if (list.some((v) => typeof v !== "string" && typeof v !== "number")) {
+      return [undefined, `'${field}' values must be strings`];
+    }
+    return [list.map(String)];
+  }
+
+  if (type === "boolean") {
+    return typeof value === "boolean" ? [value] : [undefined, `'${field}' must be true or false`];
+  }
+
+  // integer and date fields take { min, max }
+  if (!isPlainObject(value) || (value.min === undefined && value.max === undefined)) {
+    return [undefined, `'${field}' must be a range like { "min": ..., "max": ... }`];
+  }
+  const range = {};
+  for (const bound of ["min", "max"]) {
+    if (value[bound] === undefined || value[bound] === null) continue;
+    range[bound] = parseBound(type, value[bound]);
+    if (range[bound] === undefined) {
+      return [undefined, `'${field}.${bound}' must be ${type === "integer" ? "an integer" : "a YYYY-MM-DD date"}`];
+    }
+  }
+  if (range.min !== undefined && range.max !== undefined && range.min > range.max) {
+    return [undefined, `'${field}' min is greater than max`];
+  }
+  return [range];
+};
+
+// Accepts "field", "-field" (descending) or { field, direction }
+const parseSort = (entry) => {
+  let field = entry;
+  let direction = "asc";
+  if (typeof entry === "string" && entry.startsWith("-")) {
+    field = entry.slice(1);
+    direction = "desc";
+  } else if (isPlainObject(entry)) {
+    field = entry.field;
+    direction = String(entry.direction || "asc").toLowerCase();
+  }
+  if (!SORTABLE_FIELDS.includes(field)) return [undefined, `cannot sort by '${field}'`];
+  if (!["asc", "desc"].includes(direction)) return [undefined, `sort direction for '${field}' must be asc or desc`];
+  return [{ field, direction }];
+};
+
+// Returns { filters, q, udiseCodePrefix, enrolment, sort }, or throws an error with
+// status 400 and `errors` listing every problem found.
+const parseSchoolQuery = (input = {}) => {
+  const errors = [];
+  const rawFilters = input.filters ?? {};
+  if (!isPlainObject(rawFilters)) errors.push("filters must be an object");
+
+  const merged = { ...(isPlainObject(rawFilters) ? rawFilters : {}) };
+  if (input.state && merged.state === undefined) merged.state = input.state;
+  if (Array.isArray(input.districts) && input.districts.length > 0 && merged.district === undefined) {
+    merged.district = input.districts;
+  }
+
+  const filters = {};
+  for (const [field, value] of Object.entries(merged)) {
+    if (value === undefined || value === null) continue;
+    const [parsed, error] = parseFilter(field, value);
+    if (error) errors.push(error);
+    else filters[field] = parsed;
+  }
+
+  let q = null;
+  if (input.q !== undefined && input.q !== null && input.q !== "") {
+    q = typeof input.q === "string" ? input.q.trim() : "";
+    if (q.length < MIN_QUERY_LENGTH) errors.push(`q must be at least ${MIN_QUERY_LENGTH} characters`);
+  }
+
+  let udiseCodePrefix = null;
+  if (input.udiseCodePrefix !== undefined && input.udiseCodePrefix !== null && input.udiseCodePrefix !== "") {
+    udiseCodePrefix = String(input.udiseCodePrefix).trim();
+    if (!/^\d{1,11}$/.test(udiseCodePrefix)) errors.push("udiseCodePrefix must be 1 to 11 digits");
+  }
+
+  let enrolment = null;
+  if (input.enrolment !== undefined && input.enrolment !== null) {
+    const [selection, enrolmentErrors] = parseEnrolmentSelection(input.enrolment);
+    errors.push(...enrolmentErrors);
+    enrolment = selection;
+  }
+
+  const sort = [];
+  const rawSort = input.sort === undefined || input.sort === null ? [] : [].concat(input.sort);
+  if (rawSort.length > MAX_SORT_FIELDS) errors.push(`sort accepts at most ${MAX_SORT_FIELDS} fields`);
+  for (const entry of rawSort.slice(0, MAX_SORT_FIELDS)) {
+    const [parsed, error] = parseSort(entry);
+    if (error) errors.push(error);
+    else if (!sort.some((s) => s.field === parsed.field)) sort.push(parsed);
+  }
+
+  if (errors.length > 0) {
+    const err = new Error(`Invalid search: ${errors.join("; ")}`);
+    err.status = 400;
+    err.errors = errors;
+    throw err;
+  }
+
+  return { filters, q, udiseCodePrefix, enrolment, sort };
+};
+
+// --- Keyset cursors ---
+// A cursor is opaque to clients: base64url JSON of the boundary row's sort-key values,
+// the walking direction, and a fingerprint of the query it was issued for.
+
+const queryFingerprint = ({ filters, q, udiseCodePrefix, enrolment = null, sort }) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify([filters, q, udiseCodePrefix, sort, ...(enrolment ? [enrolment] : [])]))
+    .digest("base64url")
+    .slice(0, 16);
+
+const encodeCursor = ({ direction, values }, query) =>
+  Buffer.from(JSON.stringify({ d: direction, v: values, f: queryFingerprint(query) })).toString("base64url");
+
+// Returns { direction, values }, or throws a 400 for garbage or a cursor from another search
+const decodeCursor = (cursor, query) => {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400, errors: [message] });
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    throw invalid("cursor is not valid");
+  }
+  if (!decoded || !["after", "before"].includes(decoded.d) || !Array.isArray(decoded.v)) {
+    throw invalid("cursor is not valid");
+  }
+  if (decoded.f !== queryFingerprint(query)) {
+    throw invalid("cursor belongs to a different search; restart from the first page");
+  }
+  return { direction: decoded.d, values: decoded.v };
+};
+
+module.exports = {
+  FIELD_TYPES,
+  SORTABLE_FIELDS,
+  parseSchoolQuery,
+  encodeCursor,
+  decodeCursor,
+};
@@ -3,10 +3,24 @@ const router = express.Router();
 const schoolController = require('../controllers/schoolController');
 const authController = require('../controllers/authController');
 const userController = require('../controllers/userController');
+const roleController = require('../controllers/roleController');
+const auditController = require('../controllers/auditController');
+const jobController = require('../controllers/jobController');
+const cacheController = require('../controllers/cacheController');
+const exportController = require('../controllers/exportController');
+const fileImportController = require('../controllers/fileImportController');
+const reportController = require('../controllers/reportController');
+const dataQualityController = require('../controllers/dataQualityController');
+const locationController = require('../controllers/locationController');
+const importBatchController = require('../controllers/importBatchController');
+const apiKeyController = require('../controllers/apiKeyController');
+
+const { requirePermission } = authController;
 
 // PUBLIC AUTH ROUTES
 router.post('/auth/google', authController.googleAuth);
 router.post('/auth/logout', authController.logout);
+router.post('/auth/refresh', authController.refreshToken);
 router.get('/auth/cleanup-tokens', authController.cleanupTokens);
 
 // PROTECTED ROUTES (require authentication)
@@ -14,21 +28,96 @@ router.use(authController.verifyToken);
 
 // Profile
 router.get('/auth/profile', authController.getProfile);
+router.get('/auth/sessions', authController.getSessions);
+router.delete('/auth/sessions/:sessionId', authController.revokeSession);
 
 // School Routes
-router.use('/udise', schoolController.proxyUdise);
-router.post('/save-schools', schoolController.saveSchools);
-router.get('/filters', schoolController.getFilters);
-router.post('/schools/search', schoolController.searchSchools);
-router.post('/check-existing', schoolController.checkExisting);
-router.get('/dashboard/stats', schoolController.getDashboardStats);
-router.get('/academic-years', schoolController.getAcademicYears);
-router.get('/filter-options', schoolController.getAllFilterOptions);
-
-// User Management (Admin only)
-router.get('/users', userController.getUsers);
-router.get('/users/stats', userController.getUserStats);
-router.put('/users/:userId', userController.updateUser);
-router.delete('/users/:userId', userController.deleteUser);
-
-module.exports = router;
\ No newline at end of file
+router.use('/udise', requirePermission('udise:proxy'), schoolController.proxyUdise);
+router.post('/save-schools', requirePermission('schools:write'), schoolController.saveSchools);
+router.get('/filters', requirePermission('schools:read'), schoolController.getFilters);
+router.post('/schools/search', requirePermission('schools:read'), schoolController.searchSchools);
+router.post('/schools/export', requirePermission('schools:read', 'schools:export'), exportController.exportSchools);
+router.get('/schools/:udiseCode', requirePermission('schools:read'), schoolController.getSchoolProfile);
+router.post('/check-existing', requirePermission('schools:read'), schoolController.checkExisting);
+router.get('/dashboard/stats', requirePermission('schools:read'), schoolController.getDashboardStats);
+router.get('/academic-years', requirePermission('schools:read'), schoolController.getAcademicYears);
+router.get('/filter-options', requirePermission('schools:read'), schoolController.getAllFilterOptions);
+
+// Reports (CSV output also needs schools:export)
+router.get('/reports/year-over-year', requirePermission('schools:read'), reportController.getYearOverYear);
+router.get('/reports/pivot/options', requirePermission('schools:read'), reportController.getPivotOptions);
+router.post('/reports/pivot', requirePermission('schools:read'), reportController.getPivot);
+
+// Data Quality
+router.get('/data-quality', requirePermission('quality:read'), dataQualityController.getSummary);
+router.get('/data-quality/failures', requirePermission('quality:read'), dataQualityController.getFailures);
+router.get('/data-quality/runs', requirePermission('quality:read'), dataQualityController.getRuns);
+router.post('/data-quality/runs', requirePermission('quality:manage'), dataQualityController.createRun);
+router.get('/data-quality/runs/:runId', requirePermission('quality:read'), dataQualityController.getRun);
+router.get('/data-quality/rules', requirePermission('quality:read'), dataQualityController.getRules);
+router.put('/data-quality/rules/:ruleId', requirePermission('quality:manage'), dataQualityController.updateRule);
+
+// Location Master (static paths before /:level/:code)
+router.get('/locations', requirePermission('schools:read'), locationController.getLocations);
+router.post('/locations', requirePermission('locations:manage'), locationController.upsertLocations);
+router.get('/locations/unresolved', requirePermission('locations:manage'), locationController.getUnresolved);
+router.post('/locations/resolve', requirePermission('locations:manage'), locationController.resolveStored);
+router.put('/locations/:level/:code', requirePermission('locations:manage'), locationController.updateLocation);
+router.delete('/locations/:level/:code', requirePermission('locations:manage'), locationController.deleteLocation);
+
+// Spreadsheet Imports (upload -> preview -> commit)
+router.post('/file-imports', requirePermission('schools:write'), fileImportController.receiveFile, fileImportController.uploadImport);
+router.get('/file-imports/:importId', requirePermission('schools:write'), fileImportController.getImport);
+router.get('/file-imports/:importId/rows', requirePermission('schools:write'), fileImportController.getImportRows);
+router.post('/file-imports/:importId/commit', requirePermission('schools:write'), fileImportController.commitImport);
+router.get('/import-mappings', requirePermission('schools:write'), fileImportController.getMappings);
+router.post('/import-mappings', requirePermission('schools:write'), fileImportController.createMapping);
+router.put('/import-mappings/:mappingId', requirePermission('schools:write'), fileImportController.updateMapping);
+router.delete('/import-mappings/:mappingId', requirePermission('schools:write'), fileImportController.deleteMapping);
+
+// Import Batches (every save, with its rows and rollback)
+router.get('/imports', requirePermission('schools:write'), importBatchController.getBatches);
+router.get('/imports/:batchId', requirePermission('schools:write'), importBatchController.getBatch);
+router.get('/imports/:batchId/rows', requirePermission('schools:write'), importBatchController.getBatchRows);
+router.post('/imports/:batchId/rollback', requirePermission('schools:write'), importBatchController.rollbackBatch);
+
+// Exports
+router.get('/exports', requirePermission('schools:export'), exportController.getExports);
+router.get('/exports/:exportId', requirePermission('schools:export'), exportController.getExport);
+router.get('/exports/:exportId/download', requirePermission('schools:export'), exportController.downloadExport);
+
+// Harvest Jobs
+router.post('/jobs', requirePermission('schools:write', 'udise:proxy'), jobController.createJob);
+router.get('/jobs', requirePermission('schools:write'), jobController.getJobs);
+router.get('/jobs/:jobId', requirePermission('schools:write'), jobController.getJob);
+router.post('/jobs/:jobId/cancel', requirePermission('schools:write'), jobController.cancelJob);
+
+// User Management
+router.get('/users', requirePermission('users:manage'), userController.getUsers);
+router.get('/users/stats', requirePermission('users:manage'), userController.getUserStats);
+router.get('/users/:userId', requirePermission('users:manage'), userController.getUser);
+router.put('/users/:userId', requirePermission('users:manage'), userController.updateUser);
+router.delete('/users/:userId', requirePermission('users:delete'), userController.deleteUser);
+router.delete('/users/:userId/sessions', requirePermission('users:manage'), userController.revokeSessions);
+
+// API Keys and Service Accounts
+router.get('/api-keys', requirePermission('apikeys:manage'), apiKeyController.getApiKeys);
+router.post('/api-keys', requirePermission('apikeys:manage'), apiKeyController.createApiKey);
+router.delete('/api-keys/:keyId', requirePermission('apikeys:manage'), apiKeyController.revokeApiKey);
+router.post('/service-accounts', requirePermission('users:manage', 'apikeys:manage'), apiKeyController.createServiceAccount);
+
+// Role Management
+router.get('/roles', requirePermission('users:manage'), roleController.getRoles);
+router.post('/roles', requirePermission('roles:manage'), roleController.createRole);
+router.put('/roles/:roleName', requirePermission('roles:manage'), roleController.updateRole);
+router.delete('/roles/:roleName', requirePermission('roles:manage'), roleController.deleteRole);
+
+// UDISE Proxy Cache (kept outside /udise so the proxy does not swallow it)
+router.get('/udise-cache', requirePermission('cache:manage'), cacheController.getCacheEntries);
+router.delete('/udise-cache', requirePermission('cache:manage'), cacheController.purgeCache);
+router.delete('/udise-cache/:cacheKey', requirePermission('cache:manage'), cacheController.deleteCacheEntry);
+
+// Audit Log
+router.get('/audit', requirePermission('audit:read'), auditController.getAuditLogs);
+
+module.exports = router;
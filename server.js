@@ -2,6 +2,13 @@ const express = require("express");
 const cors = require("cors");
 const pool = require("./db");
 const schoolRoutes = require("./routes/schoolRoutes");
+const migrationService = require("./services/migrationService");
+const harvestService = require("./services/harvestService");
+const udiseCacheService = require("./services/udiseCacheService");
+const exportService = require("./services/exportService");
+const fileImportService = require("./services/fileImportService");
+const dashboardService = require("./services/dashboardService");
+const dataQualityService = require("./services/dataQualityService");
 
 const app = express();
 const PORT = 3000;
@@ -28,6 +35,37 @@ pool.query("SELECT NOW()", (err, res) => {
   }
 });
 
+migrationService
+  .getStatus()
+  .then(({ migrations }) => {
+    const pending = migrations.filter((m) => !m.applied);
+    if (pending.length > 0) {
+      console.warn(`⚠️ ${pending.length} pending migration(s). Run "npm run migrate:up".`);
+    }
+  })
+  .catch((err) => console.error("❌ MIGRATION STATUS CHECK FAILED:", err.message));
+
+exportService
+  .failInterruptedExports()
+  .then((count) => {
+    if (count > 0) console.warn(`⚠️ Marked ${count} interrupted export(s) as failed`);
+  })
+  .catch((err) => console.error("❌ EXPORT RECOVERY FAILED:", err.message));
+
+dataQualityService
+  .failInterruptedRuns()
+  .then((count) => {
+    if (count > 0) console.warn(`⚠️ Marked ${count} interrupted data quality run(s) as failed`);
+  })
+  .catch((err) => console.error("❌ DATA QUALITY RECOVERY FAILED:", err.message));
+
+dashboardService
+  .ensureAggregates()
+  .then((built) => {
+    if (built) console.log("📊 Built dashboard aggregates");
+  })
+  .catch((err) => console.error("❌ DASHBOARD AGGREGATE BUILD FAILED:", err.message));
+
 app.use("/api", schoolRoutes);
 
 // Token cleanup cron
@@ -39,8 +77,42 @@ setInterval(async () => {
   } catch (error) {
     console.error("Token cleanup failed:", error);
   }
+
+  try {
+    const purged = await udiseCacheService.purgeExpired();
+    console.log(`🗑️ Purged ${purged} expired UDISE cache entries`);
+  } catch (error) {
+    console.error("UDISE cache cleanup failed:", error);
+  }
+
+  try {
+    const expired = await exportService.expireExports();
+    console.log(`🗑️ Expired ${expired} export artifacts`);
+  } catch (error) {
+    console.error("Export cleanup failed:", error);
+  }
+
+  try {
+    const discarded = await fileImportService.expireImports();
+    console.log(`🗑️ Discarded ${discarded} uncommitted file imports`);
+  } catch (error) {
+    console.error("File import cleanup failed:", error);
+  }
+
+  // Catches up on writes that bypassed saveSchoolsToDb or whose incremental refresh failed
+  try {
+    await dashboardService.refreshAggregates();
+    console.log("📊 Refreshed dashboard aggregates");
+  } catch (error) {
+    console.error("Dashboard refresh failed:", error);
+  }
 }, 60 * 60 * 1000);
 
+// Harvest job worker (set HARVEST_WORKER=off to run API-only instances)
+if (process.env.HARVEST_WORKER !== "off") {
+  harvestService.startWorker();
+}
+
 app.get("/", (req, res) => {
   res.json({
     status: "ok",
@@ -0,0 +1,133 @@
+const pool = require("../db");
+const crypto = require("crypto");
+
+// Keys look like "udk_<48 hex>"; verifyToken tells them from session tokens by this prefix
+const API_KEY_PREFIX = "udk_";
+// Characters of the key kept in clear so a listed key can be matched to the one in a script
+const DISPLAY_PREFIX_LENGTH = API_KEY_PREFIX.length + 8;
+const API_KEY_STATUSES = ["active", "expired", "revoked"];
+
+// last_used_at is written at most this often per key, so busy scripts do not write on every request
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+const isApiKey = (token) => typeof token === "string" && token.startsWith(API_KEY_PREFIX);
+
+const KEY_COLUMNS = `k.key_id, k.user_id, u.email, u.name AS user_name, u.account_type, k.name, k.key_prefix,
+  k.permissions, k.expires_at, k.last_used_at, k.last_used_ip, k.created_by, k.created_at, k.revoked_by, k.revoked_at,
+  CASE
+    WHEN k.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN k.expires_at <= NOW() THEN 'expired'
+    ELSE 'active'
+  END AS status`;
+
+// Returns the new key's row plus `key`, the only time the key itself is available
+const createApiKey = async ({ userId, name, permissions, expiresAt = null, createdBy = null }) => {
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString("hex");
+  const result = await pool.query(
+    `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, permissions, expires_at, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING key_id`,
+    [userId, name, key.slice(0, DISPLAY_PREFIX_LENGTH), hashKey(key), permissions, expiresAt, createdBy]
+  );
+  return { ...(await getApiKey(result.rows[0].key_id)), key };
+};
+
+const getApiKey = async (keyId) => {
+  const result = await pool.query(
+    `SELECT ${KEY_COLUMNS} FROM api_keys k JOIN users u ON u.user_id = k.user_id WHERE k.key_id = $1`,
+    [keyId]
+  );
+  return result.rows[0] || null;
+};
+
+const listApiKeys = async ({ userId = null, status = "", page = 1, limit = 50 }) => {
+  const offset = (page - 1) * limit;
+  const conditions = [];
+  const params = [];
+  let paramCount = 1;
+
+  if (userId) {
+    conditions.push(`k.user_id = $${paramCount++}`);
+    params.push(userId);
+  }
+
+  if (status === "active") {
+    conditions.push("k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > NOW())");
+  } else if (status === "expired") {
+    conditions.push("k.revoked_at IS NULL AND k.expires_at <= NOW()");
+  } else if (status === "revoked") {
+    conditions.push("k.revoked_at IS NOT NULL");
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const [keysResult, countResult] = await Promise.all([
+    pool.query(
+      `SELECT ${KEY_COLUMNS}
+       FROM api_keys k
+       JOIN users u ON u.user_id = k.user_id
+       ${whereClause}
+       ORDER BY k.created_at DESC
+       LIMIT $${paramCount} OFFSET $${paramCount + 1}`,
+      [...params, limit, offset]
+    ),
+    pool.query(`SELECT COUNT(*) FROM api_keys k ${whereClause}`, params),
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+  return { keys: keysResult.rows, total, page, totalPages: Math.ceil(total / limit) };
+};
+
+// Returns the revoked key, or null when there is no such unrevoked key
+const revokeApiKey = async (keyId, { revokedBy = null } = {}) => {
+  const result = await pool.query(
+    "UPDATE api_keys SET revoked_at = NOW(), revoked_by = $2 WHERE key_id = $1 AND revoked_at IS NULL RETURNING key_id",
+    [keyId, revokedBy]
+  );
+  return result.rowCount > 0 ? getApiKey(keyId) : null;
+};
+
+// Same shape as authService.verifyToken. The user carries the key's permission list,
+// which permissionService intersects with the user's role on every check.
+const verifyApiKey = async (key, { ip = null } = {}) => {
+  const result = await pool.query(
+    `SELECT k.key_id, k.permissions, u.user_id, u.email, u.name, u.role, u.status
+     FROM api_keys k
+     JOIN users u ON u.user_id = k.user_id
+     WHERE k.key_hash = $1 AND k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > NOW())
+       AND u.status = 'active'`,
+    [hashKey(key)]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+
+  await pool.query(
+    `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2
+     WHERE key_id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - make_interval(secs => $3))`,
+    [row.key_id, ip, LAST_USED_RESOLUTION_SECONDS]
+  );
+
+  return {
+    sessionId: null,
+    user: {
+      user_id: row.user_id,
+      email: row.email,
+      name: row.name,
+      role: row.role,
+      status: row.status,
+      apiKeyId: row.key_id,
+      apiKeyPermissions: row.permissions,
+    },
+  };
+};
+
+module.exports = {
+  API_KEY_STATUSES,
+  isApiKey,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  revokeApiKey,
+  verifyApiKey,
+};
@@ -0,0 +1,120 @@
+const pool = require("../db");
+
+const AUDIT_ACTIONS = {
+  LOGIN: "auth.login",
+  LOGIN_FAILED: "auth.login_failed",
+  LOGOUT: "auth.logout",
+  REFRESH_TOKEN_REUSE: "auth.refresh_token_reuse",
+  SESSION_REVOKE: "auth.session_revoke",
+  USER_ROLE_CHANGE: "user.role_change",
+  USER_STATUS_CHANGE: "user.status_change",
+  USER_SCOPE_CHANGE: "user.scope_change",
+  USER_DELETE: "user.delete",
+  USER_SESSIONS_REVOKE: "user.sessions_revoke",
+  SERVICE_ACCOUNT_CREATE: "user.service_account_create",
+  API_KEY_CREATE: "api_key.create",
+  API_KEY_REVOKE: "api_key.revoke",
+  ROLE_CREATE: "role.create",
+  ROLE_UPDATE: "role.update",
+  ROLE_DELETE: "role.delete",
+  SCHOOLS_SAVE: "schools.save",
+  SCHOOLS_EXPORT: "schools.export",
+  SCHOOLS_IMPORT: "schools.import",
+  JOB_CREATE: "job.create",
+  JOB_CANCEL: "job.cancel",
+  CACHE_PURGE: "cache.purge",
+  DATA_QUALITY_RUN: "data_quality.run",
+  DATA_QUALITY_RULE_UPDATE: "data_quality.rule_update",
+  LOCATION_UPSERT: "location.upsert",
+  LOCATION_UPDATE: "location.update",
+  LOCATION_DELETE: "location.delete",
+  LOCATION_RESOLVE: "location.resolve",
+  IMPORT_ROLLBACK: "import.rollback",
+};
+
+// Audit writes never fail the request that triggered them; failures are logged instead.
+const recordAudit = async ({ actor, action, targetType, targetId, before, after, metadata, ip }) => {
+  try {
+    await pool.query(
+      `INSERT INTO audit_log (actor_id, actor_email, action, target_type, target_id, before, after, metadata, ip)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        actor?.user_id ?? null,
+        actor?.email ?? null,
+        action,
+        targetType || null,
+        targetId != null ? String(targetId) : null,
+        before !== undefined ? JSON.stringify(before) : null,
+        after !== undefined ? JSON.stringify(after) : null,
+        metadata !== undefined ? JSON.stringify(metadata) : null,
+        ip || null,
+      ]
+    );
+  } catch (error) {
+    console.error("Audit Write Error:", error.message);
+  }
+};
+
+const listAuditLogs = async ({ actor = "", action = "", from = "", to = "", page = 1, limit = 50 }) => {
+  const offset = (page - 1) * limit;
+  const conditions = [];
+  const params = [];
+  let paramCount = 1;
+
+  if (actor) {
+    if (/^\d+$/.test(actor)) {
+      conditions.push(`actor_id = $${paramCount++}`);
+      params.push(parseInt(actor));
+    } else {
+      conditions.push(`actor_email ILIKE $${paramCount++}`);
+      params.push(`%${actor}%`);
+    }
+  }
+
+  if (action) {
+    // "user.*" style prefixes match every action in that group
+    if (action.endsWith(".*")) {
+      conditions.push(`action LIKE $${paramCount++}`);
+      params.push(`${action.slice(0, -1)}%`);
+    } else {
+      conditions.push(`action = $${paramCount++}`);
+      params.push(action);
+    }
+  }
+
+  if (from) {
+    conditions.push(`created_at >= $${paramCount++}`);
+    params.push(from);
+  }
+
+  if (to) {
+    conditions.push(`created_at <= $${paramCount++}`);
+    params.push(to);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const [logsResult, countResult] = await Promise.all([
+    pool.query(
+      `SELECT * FROM audit_log ${whereClause} ORDER BY created_at DESC, audit_id DESC
+       LIMIT $${paramCount} OFFSET $${paramCount + 1}`,
+      [...params, limit, offset]
+    ),
+    pool.query(`SELECT COUNT(*) FROM audit_log ${whereClause}`, params),
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+
+  return {
+    logs: logsResult.rows,
+    total,
+    page,
+    totalPages: Math.ceil(total / limit),
+  };
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  recordAudit,
+  listAuditLogs,
+};
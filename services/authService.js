@@ -1,4 +1,13 @@
 const pool = require("../db");
+const crypto = require("crypto");
+
+// Access tokens are short-lived; clients renew them with the session's refresh token
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+// A refresh token lapses when unused this long; a session ends this long after sign-in regardless
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 14;
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 const findUserByEmail = async (email) => {
   const result = await pool.query("SELECT * FROM users WHERE email = $1", [email]);
@@ -19,6 +28,18 @@ const createUser = async ({ email, google_id, name, profile_picture, role, statu
   return result.rows[0];
 };
 
+// Service accounts only authenticate with API keys. Their `email` is an identifier
+// that can never match a Google account.
+const createServiceAccount = async ({ name, role }) => {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "account";
+  const result = await pool.query(
+    `INSERT INTO users (email, name, role, status, account_type)
+     VALUES ($1, $2, $3, 'active', 'service') RETURNING *`,
+    [`service:${slug}`, name, role]
+  );
+  return result.rows[0];
+};
+
 const updateUserLogin = async (userId, { google_id, name, profile_picture }) => {
   await pool.query(
     `UPDATE users SET google_id = $1, name = $2, profile_picture = $3, 
@@ -27,16 +48,179 @@ const updateUserLogin = async (userId, { google_id, name, profile_picture }) =>
   );
 };
 
-const createAuthToken = async ({ user_id, token, expires_at }) => {
-  await pool.query(
-    "INSERT INTO auth_tokens (user_id, token, expires_at) VALUES ($1, $2, $3)",
-    [user_id, token, expires_at]
+const generateToken = () => crypto.randomBytes(32).toString("hex");
+
+// Refresh tokens are stored hashed, so a leaked table cannot be replayed
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const sessionError = (code, message, status = 401) => {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+};
+
+// Issues an access token and a refresh token for the session, inside the caller's transaction
+const issueSessionTokens = async (client, session) => {
+  const token = generateToken();
+  const refreshToken = generateToken();
+  const expiresAt = new Date(Date.now() + ACCESS_TOKEN_TTL_MINUTES * 60 * 1000);
+  const refreshExpiresAt = new Date(
+    Math.min(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS, new Date(session.expires_at).getTime())
+  );
+
+  await client.query(
+    "INSERT INTO auth_tokens (user_id, token, expires_at, session_id) VALUES ($1, $2, $3, $4)",
+    [session.user_id, token, expiresAt, session.session_id]
+  );
+  await client.query(
+    "INSERT INTO refresh_tokens (token_hash, session_id, expires_at) VALUES ($1, $2, $3)",
+    [hashToken(refreshToken), session.session_id, refreshExpiresAt]
   );
+
+  return { token, expiresAt, refreshToken, refreshExpiresAt, sessionId: session.session_id };
+};
+
+// Starts a session for a sign-in and returns its first tokens
+const createSession = async ({ user_id, ip = null, userAgent = null }) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const created = await client.query(
+      `INSERT INTO auth_sessions (user_id, ip, user_agent, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(days => $4)) RETURNING *`,
+      [user_id, ip, userAgent, SESSION_TTL_DAYS]
+    );
+    const tokens = await issueSessionTokens(client, created.rows[0]);
+    await client.query("COMMIT");
+    return tokens;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Ends a session: its refresh tokens stop working and its access tokens are deleted.
+// With userId, only that user's session is revoked. Returns null when nothing was revoked.
+const revokeSession = async (sessionId, { userId = null, reason = "revoked", db = pool } = {}) => {
+  const result = await db.query(
+    `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE session_id = $1 AND revoked_at IS NULL AND ($3::int IS NULL OR user_id = $3)
+     RETURNING session_id, user_id`,
+    [sessionId, reason, userId]
+  );
+  if (result.rowCount === 0) return null;
+  await db.query("DELETE FROM auth_tokens WHERE session_id = $1", [sessionId]);
+  return result.rows[0];
+};
+
+// Signs a user out everywhere, including access tokens issued before sessions existed.
+// Returns the number of sessions revoked.
+const revokeUserSessions = async (userId, reason) => {
+  const result = await pool.query(
+    `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId, reason]
+  );
+  await pool.query("DELETE FROM auth_tokens WHERE user_id = $1", [userId]);
+  return result.rowCount;
+};
+
+// Exchanges a refresh token for new tokens. Each refresh token works once: one that
+// was already used has been copied, so its whole session is revoked and the error
+// (code REFRESH_TOKEN_REUSED) carries that session for auditing.
+const refreshSession = async (refreshToken, { ip = null, userAgent = null } = {}) => {
+  if (!refreshToken || typeof refreshToken !== "string") {
+    throw sessionError("REFRESH_TOKEN_MISSING", "refreshToken is required", 400);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const found = await client.query(
+      `SELECT r.expires_at AS token_expires_at, r.used_at, s.*, u.email, u.name, u.role, u.status
+       FROM refresh_tokens r
+       JOIN auth_sessions s ON s.session_id = r.session_id
+       JOIN users u ON u.user_id = s.user_id
+       WHERE r.token_hash = $1
+       FOR UPDATE OF r, s`,
+      [hashToken(refreshToken)]
+    );
+    const session = found.rows[0];
+
+    let failure = null;
+    if (!session || session.revoked_at) {
+      failure = sessionError("REFRESH_TOKEN_INVALID", "Invalid refresh token");
+    } else if (session.used_at) {
+      await revokeSession(session.session_id, { reason: "refresh_token_reuse", db: client });
+      failure = Object.assign(sessionError("REFRESH_TOKEN_REUSED", "Refresh token was already used; session revoked"), {
+        session: { session_id: session.session_id, user_id: session.user_id, email: session.email },
+      });
+    } else if (session.token_expires_at <= new Date() || session.expires_at <= new Date()) {
+      failure = sessionError("REFRESH_TOKEN_EXPIRED", "Refresh token has expired");
+    } else if (session.status !== "active") {
+      failure = sessionError("REFRESH_TOKEN_INVALID", "Invalid refresh token");
+    }
+    if (failure) {
+      // Keeps the revocation of a reused token's session
+      await client.query("COMMIT");
+      throw failure;
+    }
+
+    await client.query("UPDATE refresh_tokens SET used_at = NOW() WHERE token_hash = $1", [hashToken(refreshToken)]);
+    await client.query(
+      "UPDATE auth_sessions SET last_used_at = NOW(), ip = $2, user_agent = COALESCE($3, user_agent) WHERE session_id = $1",
+      [session.session_id, ip, userAgent]
+    );
+    const tokens = await issueSessionTokens(client, session);
+    await client.query("COMMIT");
+
+    return {
+      ...tokens,
+      user: { user_id: session.user_id, email: session.email, name: session.name, role: session.role },
+    };
+  } catch (error) {
+    await client.query("ROLLBACK"); // a no-op after the COMMIT above
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Session a refresh token belongs to, used to sign out with an expired access token
+const findSessionByRefreshToken = async (refreshToken) => {
+  const result = await pool.query(
+    `SELECT s.session_id, s.user_id, u.email
+     FROM refresh_tokens r
+     JOIN auth_sessions s ON s.session_id = r.session_id
+     JOIN users u ON u.user_id = s.user_id
+     WHERE r.token_hash = $1 AND s.revoked_at IS NULL`,
+    [hashToken(refreshToken)]
+  );
+  return result.rows[0] || null;
+};
+
+// A user's live sessions, most recently used first
+const listSessions = async (userId) => {
+  const result = await pool.query(
+    `SELECT s.session_id, s.user_agent, s.ip, s.created_at, s.last_used_at, s.expires_at
+     FROM auth_sessions s
+     WHERE s.user_id = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW()
+       AND EXISTS (
+         SELECT 1 FROM refresh_tokens r
+         WHERE r.session_id = s.session_id AND r.used_at IS NULL AND r.expires_at > NOW()
+       )
+     ORDER BY s.last_used_at DESC`,
+    [userId]
+  );
+  return result.rows;
 };
 
 const verifyToken = async (token) => {
   const result = await pool.query(
-    `SELECT t.*, u.user_id, u.email, u.name, u.role, u.status
+    `SELECT t.token, t.session_id, u.user_id, u.email, u.name, u.role, u.status
      FROM auth_tokens t
      JOIN users u ON t.user_id = u.user_id
      WHERE t.token = $1 AND t.expires_at > NOW() AND u.status = 'active'`,
@@ -47,6 +231,7 @@ const verifyToken = async (token) => {
   
   return {
     token: result.rows[0].token,
+    sessionId: result.rows[0].session_id,
     user: {
       user_id: result.rows[0].user_id,
       email: result.rows[0].email,
@@ -58,17 +243,29 @@ const verifyToken = async (token) => {
 };
 
 const deleteToken = async (token) => {
-  await pool.query("DELETE FROM auth_tokens WHERE token = $1", [token]);
+  const result = await pool.query(
+    `DELETE FROM auth_tokens t USING users u
+     WHERE t.token = $1 AND t.user_id = u.user_id
+     RETURNING t.session_id, u.user_id, u.email`,
+    [token]
+  );
+  return result.rows[0] || null;
 };
 
+// Also drops sessions that can no longer be used: expired, revoked, or idle past the refresh token lifetime
 const cleanupExpiredTokens = async () => {
   const result = await pool.query("DELETE FROM auth_tokens WHERE expires_at < NOW()");
-  return result.rowCount;
+  const sessions = await pool.query(
+    `DELETE FROM auth_sessions
+     WHERE expires_at < NOW() OR revoked_at IS NOT NULL OR last_used_at < NOW() - make_interval(days => $1)`,
+    [REFRESH_TOKEN_TTL_DAYS]
+  );
+  return result.rowCount + sessions.rowCount;
 };
 
 const getAllUsers = async ({ page = 1, limit = 50, search = "", role = "" }) => {
   const offset = (page - 1) * limit;
-  let query = `SELECT user_id, email, name, role, status, profile_picture, last_login, created_at FROM users WHERE 1=1`;
+  let query = `SELECT user_id, email, name, role, status, account_type, profile_picture, last_login, created_at FROM users WHERE 1=1`;
   const params = [];
   let paramCount = 1;
 
@@ -131,8 +328,14 @@ module.exports = {
   findUserByEmail,
   findUserById,
   createUser,
+  createServiceAccount,
   updateUserLogin,
-  createAuthToken,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  findSessionByRefreshToken,
+  listSessions,
   verifyToken,
   deleteToken,
   cleanupExpiredTokens,
@@ -0,0 +1,111 @@
+const pool = require("../db");
+const format = require("pg-format");
+const schoolModel = require("../models/schoolModel");
+const enrolmentModel = require("../models/enrolmentModel");
+
+const TABLE_NAME = "udise_data";
+const ROW_METADATA_COLUMNS = new Set(["local_id", "created_at", "extra"]);
+
+// Re-reads every udise_data row through the ingest mapping and fills canonical
+// columns that are still NULL from `extra` or from ad-hoc columns added before
+// migrations existed. Enrolment breakdowns found this way are decomposed into
+// school_enrolment unless the school-year already has cells there. Keys consumed
+// this way are removed from `extra`.
+const backfillCanonicalFields = async ({ batchSize = 1000, onProgress } = {}) => {
+  const totals = { scanned: 0, updated: 0, invalidValues: 0, enrolmentRows: 0 };
+  let lastId = 0;
+
+  for (;;) {
+    const batch = await pool.query(
+      format(
+        "SELECT local_id, extra, to_jsonb(t) AS data FROM %I t WHERE local_id > $1 ORDER BY local_id LIMIT $2",
+        TABLE_NAME
+      ),
+      [lastId, batchSize]
+    );
+    if (batch.rows.length === 0) break;
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      for (const row of batch.rows) {
+        const raw = { ...(row.extra || {}) };
+        for (const [key, val] of Object.entries(row.data)) {
+          if (!ROW_METADATA_COLUMNS.has(key) && val !== null) raw[key] = val;
+        }
+
+        const { values, errors } = schoolModel.normalizeSchool(raw);
+        totals.invalidValues += errors.length;
+
+        // A breakdown that does not parse cleanly stays in `extra` untouched
+        const enrolment = enrolmentModel.extractEnrolment(raw);
+        const consumed = new Set();
+        if (enrolment.cells && enrolment.errors.length === 0) {
+          for (const key of enrolment.keys) consumed.add(key);
+        }
+        if (enrolment.cells && enrolment.errors.length === 0 && enrolment.cells.length > 0) {
+          const stored = await client.query(
+            "SELECT 1 FROM school_enrolment WHERE udise_code = $1 AND ay = $2 LIMIT 1",
+            [row.data.udise_code, row.data.ay]
+          );
+          if (stored.rows.length === 0) {
+            const inserted = await client.query(
+              format(
+                "INSERT INTO school_enrolment (%I) VALUES %L",
+                enrolmentModel.ENROLMENT_COLUMNS,
+                enrolmentModel.toEnrolmentRows(row.data, enrolment.cells)
+              )
+            );
+            totals.enrolmentRows += inserted.rowCount;
+          }
+        }
+
+        const filled = schoolModel.SCHOOL_COLUMNS.filter((col) => row.data[col] === null && values[col] !== undefined);
+        const updates = filled.map((col) => format("%I = %L", col, values[col]));
+        for (const col of filled) consumed.add(schoolModel.sourceKey(raw, col));
+
+        // A key leaves `extra` only once its value is stored elsewhere: in the column it
+        // filled, or in school_enrolment. Known keys whose value did not parse stay.
+        const remainingExtra = {};
+        for (const key of Object.keys(row.extra || {})) {
+          if (!consumed.has(key)) remainingExtra[key] = row.extra[key];
+        }
+        const extraChanged =
+          row.extra && Object.keys(remainingExtra).length !== Object.keys(row.extra).length;
+        if (extraChanged) {
+          updates.push(
+            format(
+              "extra = %L",
+              Object.keys(remainingExtra).length > 0 ? JSON.stringify(remainingExtra) : null
+            )
+          );
+        }
+
+        if (updates.length > 0) {
+          await client.query(
+            format("UPDATE %I SET %s WHERE local_id = %L", TABLE_NAME, updates.join(", "), row.local_id)
+          );
+          totals.updated++;
+        }
+      }
+
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    totals.scanned += batch.rows.length;
+    lastId = batch.rows[batch.rows.length - 1].local_id;
+    if (onProgress) onProgress({ ...totals });
+  }
+
+  return totals;
+};
+
+module.exports = {
+  backfillCanonicalFields,
+};
@@ -0,0 +1,272 @@
+const pool = require("../db");
+const format = require("pg-format");
+const scopeService = require("./scopeService");
+
+const TABLE_NAME = "udise_data";
+const GEO_COLUMNS = ["state", "district", "block"];
+const BREAKDOWN_DIMENSIONS = ["school_category", "school_management"];
+
+// Saves touching more blocks than this refresh their whole states instead,
+// which keeps the generated WHERE clause small
+const MAX_INCREMENTAL_GEOGRAPHIES = parseInt(process.env.DASHBOARD_MAX_INCREMENTAL_GEOS) || 200;
+// Refreshes rewrite rows with DELETE + INSERT, so they take this lock to run one at a time
+const REFRESH_LOCK_KEY = 7301;
+
+// Distinct { state, district, block } of the given rows (missing parts are NULL)
+const geographiesOf = (rows) => {
+  const unique = new Map();
+  for (const row of rows) {
+    const geography = Object.fromEntries(GEO_COLUMNS.map((col) => [col, row[col] ?? null]));
+    unique.set(JSON.stringify(GEO_COLUMNS.map((col) => geography[col])), geography);
+  }
+  return [...unique.values()];
+};
+
+// Matches rows in any of the geographies; a geography without district/block covers the whole state
+const geographyCondition = (geographies) => {
+  const list =
+    geographies.length > MAX_INCREMENTAL_GEOGRAPHIES
+      ? [...new Set(geographies.map((g) => g.state))].map((state) => ({ state }))
+      : geographies;
+  return list
+    .map((geography) => {
+      const terms = GEO_COLUMNS.filter((col) => col in geography).map((col) =>
+        geography[col] === null ? format("%I IS NULL", col) : format("%I = %L", col, geography[col])
+      );
+      return `(${terms.join(" AND ")})`;
+    })
+    .join(" OR ");
+};
+
+const aggregateSql = (whereClause) =>
+  format(
+    `INSERT INTO dashboard_aggregates
+       (state, district, block, ay, record_count, school_count, total_students, total_boys, total_girls, clusters, villages)
+     SELECT state, district, block, ay, COUNT(*), COUNT(DISTINCT udise_code),
+            COALESCE(SUM(total_students), 0), COALESCE(SUM(total_boys), 0), COALESCE(SUM(total_girls), 0),
+            ARRAY_REMOVE(ARRAY_AGG(DISTINCT cluster), NULL), ARRAY_REMOVE(ARRAY_AGG(DISTINCT village), NULL)
+     FROM %I %s
+     GROUP BY GROUPING SETS ((state, district, block, ay), (state, district, block))`,
+    TABLE_NAME,
+    whereClause
+  );
+
+const breakdownSql = (whereClause) =>
+  BREAKDOWN_DIMENSIONS.map((dimension) =>
+    format(
+      `INSERT INTO dashboard_breakdowns (state, district, block, ay, dimension, value, record_count)
+       SELECT state, district, block, ay, %L, %I::text, COUNT(*)
+       FROM %I %s
+       GROUP BY GROUPING SETS ((state, district, block, ay, %I), (state, district, block, %I))`,
+      dimension,
+      dimension,
+      TABLE_NAME,
+      whereClause,
+      dimension,
+      dimension
+    )
+  );
+
+// Recomputes the aggregates for the given geographies (from geographiesOf), or for
+// everything when `geographies` is null. Readers keep seeing the previous figures
+// until the refresh commits.
+const refreshAggregates = async (geographies = null) => {
+  if (geographies && geographies.length === 0) return { kind: "incremental", geographies: 0 };
+
+  const kind = geographies ? "incremental" : "full";
+  const whereClause = geographies ? `WHERE ${geographyCondition(geographies)}` : "";
+  const startedAt = new Date();
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query("SELECT pg_advisory_xact_lock($1)", [REFRESH_LOCK_KEY]);
+    await client.query(`DELETE FROM dashboard_aggregates ${whereClause}`);
+    await client.query(`DELETE FROM dashboard_breakdowns ${whereClause}`);
+    await client.query(aggregateSql(whereClause));
+    for (const sql of breakdownSql(whereClause)) {
+      await client.query(sql);
+    }
+    await client.query(
+      "INSERT INTO dashboard_refreshes (kind, geographies, started_at) VALUES ($1, $2, $3)",
+      [kind, geographies ? geographies.length : null, startedAt]
+    );
+    await client.query("COMMIT");
+    return { kind, geographies: geographies ? geographies.length : null };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Builds the aggregates on first start after the migration. Returns true if it had to.
+const ensureAggregates = async () => {
+  const result = await pool.query("SELECT 1 FROM dashboard_refreshes WHERE kind = 'full' LIMIT 1");
+  if (result.rows.length > 0) return false;
+  await refreshAggregates();
+  return true;
+};
+
+// Same figures as the old live queries over udise_data, read from dashboard_aggregates.
+// Without an ay filter, uniqueUdise sums per-block distinct counts, so a school that moved
+// blocks between years is counted once per block.
+const getDashboardStats = async (filters = {}, scope = null) => {
+  const { state, district, block, ay } = filters;
+
+  try {
+    const checkTable = await pool.query("SELECT to_regclass('dashboard_aggregates')");
+    if (!checkTable.rows[0].to_regclass) return getEmptyStats();
+
+    const conditions = [];
+    const params = [];
+    let paramCount = 1;
+
+    if (state) {
+      conditions.push(`state = $${paramCount++}`);
+      params.push(state);
+    }
+    if (district) {
+      conditions.push(`district = $${paramCount++}`);
+      params.push(district);
+    }
+    if (block) {
+      conditions.push(`block = $${paramCount++}`);
+      params.push(block);
+    }
+    let ayCondition = "ay IS NULL";
+    if (ay) {
+      ayCondition = `ay = $${paramCount++}`;
+      params.push(ay);
+    }
+    const scopeClause = scopeService.buildScopeClause(scope);
+    if (scopeClause) {
+      conditions.push(scopeClause);
+    }
+
+    const geoWhere = ["1=1", ...conditions].join(" AND ");
+    // Rows for the requested year, or the all-years rollup rows
+    const whereClause = `WHERE ${geoWhere} AND ${ayCondition}`;
+    // Per-year rows only, for counting academic years
+    const yearsWhereClause = `WHERE ${geoWhere} AND ${ay ? ayCondition : "ay IS NOT NULL"}`;
+
+    const topBy = (column) =>
+      pool.query(
+        format(
+          `SELECT %I AS name, SUM(record_count) AS count FROM dashboard_aggregates %s
+           GROUP BY %I ORDER BY count DESC LIMIT 5`,
+          column,
+          whereClause,
+          column
+        ),
+        params
+      );
+    const breakdownBy = (dimension, alias) =>
+      pool.query(
+        format(
+          `SELECT value AS %I, SUM(record_count) AS count FROM dashboard_breakdowns %s AND dimension = %L
+           GROUP BY value ORDER BY count DESC`,
+          alias,
+          whereClause,
+          dimension
+        ),
+        params
+      );
+    const distinctIn = (column) =>
+      pool.query(
+        format("SELECT COUNT(DISTINCT v) AS count FROM dashboard_aggregates, unnest(%I) v %s", column, whereClause),
+        params
+      );
+
+    const [
+      totalsResult,
+      uniqueClustersResult,
+      uniqueVillagesResult,
+      uniqueAYResult,
+      topStatesResult,
+      topDistrictsResult,
+      topBlocksResult,
+      categoryResult,
+      managementResult,
+      lastFullRefreshResult,
+    ] = await Promise.all([
+      pool.query(
+        `SELECT SUM(record_count) AS total_records, SUM(school_count) AS unique_udise,
+                COUNT(DISTINCT state) AS unique_states, COUNT(DISTINCT district) AS unique_districts,
+                COUNT(DISTINCT block) AS unique_blocks, SUM(total_students) AS total_students,
+                SUM(total_boys) AS total_boy_students, SUM(total_girls) AS total_girl_students,
+                MIN(refreshed_at) AS refreshed_at
+         FROM dashboard_aggregates ${whereClause}`,
+        params
+      ),
+      distinctIn("clusters"),
+      distinctIn("villages"),
+      pool.query(`SELECT COUNT(DISTINCT ay) AS count FROM dashboard_aggregates ${yearsWhereClause}`, params),
+      topBy("state"),
+      topBy("district"),
+      topBy("block"),
+      breakdownBy("school_category", "category"),
+      breakdownBy("school_management", "management"),
+      pool.query("SELECT MAX(finished_at) AS finished_at FROM dashboard_refreshes WHERE kind = 'full'"),
+    ]);
+
+    const totals = totalsResult.rows[0] || {};
+    return {
+      totalRecords: parseInt(totals.total_records || 0),
+      uniqueUdise: parseInt(totals.unique_udise || 0),
+      uniqueStates: parseInt(totals.unique_states || 0),
+      uniqueDistricts: parseInt(totals.unique_districts || 0),
+      uniqueBlocks: parseInt(totals.unique_blocks || 0),
+      uniqueClusters: parseInt(uniqueClustersResult.rows[0]?.count || 0),
+      uniqueVillages: parseInt(uniqueVillagesResult.rows[0]?.count || 0),
+      uniqueAcademicYears: parseInt(uniqueAYResult.rows[0]?.count || 0),
+      totalStudents: parseInt(totals.total_students || 0),
+      totalBoyStudents: parseInt(totals.total_boy_students || 0),
+      totalGirlStudents: parseInt(totals.total_girl_students || 0),
+      topStates: topStatesResult.rows,
+      topDistricts: topDistrictsResult.rows,
+      topBlocks: topBlocksResult.rows,
+      schoolsByCategory: categoryResult.rows,
+      schoolsByManagement: managementResult.rows,
+      appliedFilters: { state, district, block, ay },
+      // Oldest refresh among the figures above; null when nothing matched
+      refreshedAt: totals.refreshed_at || null,
+      lastFullRefreshAt: lastFullRefreshResult.rows[0]?.finished_at || null,
+    };
+  } catch (err) {
+    console.error("Dashboard Stats Error:", err);
+    throw err;
+  }
+};
+
+function getEmptyStats() {
+  return {
+    totalRecords: 0,
+    uniqueUdise: 0,
+    uniqueStates: 0,
+    uniqueDistricts: 0,
+    uniqueBlocks: 0,
+    uniqueClusters: 0,
+    uniqueVillages: 0,
+    uniqueAcademicYears: 0,
+    totalStudents: 0,
+    totalBoyStudents: 0,
+    totalGirlStudents: 0,
+    topStates: [],
+    topDistricts: [],
+    topBlocks: [],
+    schoolsByCategory: [],
+    schoolsByManagement: [],
+    appliedFilters: {},
+    refreshedAt: null,
+    lastFullRefreshAt: null,
+  };
+}
+
+module.exports = {
+  geographiesOf,
+  refreshAggregates,
+  ensureAggregates,
+  getDashboardStats,
+};
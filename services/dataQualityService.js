@@ -0,0 +1,282 @@
+const pool = require("../db");
+const format = require("pg-format");
+const scopeService = require("./scopeService");
+const { RULES, RULES_BY_ID, effectiveRule, validateOverride } = require("../models/dataQualityRules");
+
+const TABLE_NAME = "udise_data";
+const LEVELS = ["state", "district", "block"];
+// Older runs (and their failure rows) are deleted once a newer one completes
+const KEEP_RUNS = parseInt(process.env.DATA_QUALITY_KEEP_RUNS) || 20;
+
+const badRequest = (errors) => Object.assign(new Error(errors.join("; ")), { status: 400, errors });
+
+// --- Rule configuration ---
+
+// Every built-in rule with its stored overrides applied
+const getRules = async () => {
+  const result = await pool.query("SELECT * FROM data_quality_rules");
+  const overrides = new Map(result.rows.map((row) => [row.rule_id, row]));
+  return RULES.map((rule) => effectiveRule(rule, overrides.get(rule.id)));
+};
+
+// `changes` holds any of { enabled, severity, gate, params }. Returns { before, after },
+// or null for an unknown rule; throws a 400 for invalid changes.
+const updateRule = async (ruleId, changes, userId) => {
+  const rule = RULES_BY_ID.get(ruleId);
+  if (!rule) return null;
+
+  const errors = validateOverride(rule, changes);
+  if (errors.length > 0) throw badRequest(errors);
+
+  const before = (await getRules()).find((r) => r.id === ruleId);
+  const next = {
+    enabled: changes.enabled ?? before.enabled,
+    severity: changes.severity ?? before.severity,
+    gate: changes.gate ?? before.gate,
+    params: { ...before.params, ...(changes.params || {}) },
+  };
+  const result = await pool.query(
+    `INSERT INTO data_quality_rules (rule_id, enabled, severity, gate, params, updated_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (rule_id) DO UPDATE SET enabled = EXCLUDED.enabled, severity = EXCLUDED.severity,
+       gate = EXCLUDED.gate, params = EXCLUDED.params, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+     RETURNING *`,
+    [ruleId, next.enabled, next.severity, next.gate, JSON.stringify(next.params), userId]
+  );
+  return { before, after: effectiveRule(rule, result.rows[0]) };
+};
+
+// --- Ingest gate ---
+
+// Enabled rules configured to warn about or block incoming records
+const getGateRules = async () => (await getRules()).filter((rule) => rule.enabled && rule.canGate && rule.gate !== "off");
+
+// Runs the gate rules against one record's normalized values.
+// Returns { blocking, warnings }, each a list of { rule, message }.
+const checkRecord = (values, gateRules) => {
+  const blocking = [];
+  const warnings = [];
+  for (const rule of gateRules) {
+    if (!RULES_BY_ID.get(rule.id).check(values, rule.params)) continue;
+    (rule.gate === "block" ? blocking : warnings).push({ rule: rule.id, message: rule.description });
+  }
+  return { blocking, warnings };
+};
+
+// --- Runs ---
+
+const createRun = async (createdBy) => {
+  const rules = (await getRules()).filter((rule) => rule.enabled);
+  const result = await pool.query("INSERT INTO data_quality_runs (created_by, rules) VALUES ($1, $2) RETURNING *", [
+    createdBy,
+    JSON.stringify(rules.map(({ id, description, severity, params }) => ({ id, description, severity, params }))),
+  ]);
+  return result.rows[0];
+};
+
+const getRun = async (runId) => {
+  const result = await pool.query("SELECT * FROM data_quality_runs WHERE run_id = $1", [runId]);
+  return result.rows[0];
+};
+
+const getLatestRun = async () => {
+  const result = await pool.query(
+    "SELECT * FROM data_quality_runs WHERE status = 'completed' ORDER BY finished_at DESC LIMIT 1"
+  );
+  return result.rows[0];
+};
+
+const listRuns = async ({ page = 1, limit = 50 }) => {
+  const offset = (page - 1) * limit;
+  const [runsResult, countResult] = await Promise.all([
+    pool.query("SELECT * FROM data_quality_runs ORDER BY created_at DESC LIMIT $1 OFFSET $2", [limit, offset]),
+    pool.query("SELECT COUNT(*) FROM data_quality_runs"),
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+  return { runs: runsResult.rows, total, page, totalPages: Math.ceil(total / limit) };
+};
+
+// Checks every stored row against the run's rule snapshot; failures become visible when the run commits
+const executeRun = async (run) => {
+  await pool.query("UPDATE data_quality_runs SET status = 'running', started_at = NOW() WHERE run_id = $1", [
+    run.run_id,
+  ]);
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    for (const rule of run.rules) {
+      const definition = RULES_BY_ID.get(rule.id);
+      if (!definition) continue; // rule removed since the run was queued
+      await client.query(
+        format(
+          `INSERT INTO data_quality_failures (run_id, rule_id, local_id, udise_code, ay, state, district, block)
+           SELECT %L, %L, local_id, udise_code, ay, state, district, block FROM %I WHERE %s`,
+          run.run_id,
+          rule.id,
+          TABLE_NAME,
+          definition.sql(rule.params)
+        )
+      );
+    }
+    const totals = await client.query(
+      format(
+        `SELECT (SELECT COUNT(*) FROM %I) AS rows_checked,
+                (SELECT COUNT(*) FROM data_quality_failures WHERE run_id = %L) AS failure_count`,
+        TABLE_NAME,
+        run.run_id
+      )
+    );
+    await client.query(
+      `UPDATE data_quality_runs SET status = 'completed', rows_checked = $1, failure_count = $2, finished_at = NOW()
+       WHERE run_id = $3`,
+      [totals.rows[0].rows_checked, totals.rows[0].failure_count, run.run_id]
+    );
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error(`Data quality run ${run.run_id} failed:`, error);
+    await pool.query(
+      "UPDATE data_quality_runs SET status = 'failed', error = $1, finished_at = NOW() WHERE run_id = $2",
+      [error.message, run.run_id]
+    );
+    return;
+  } finally {
+    client.release();
+  }
+
+  await pool.query(
+    `DELETE FROM data_quality_runs WHERE status IN ('completed', 'failed') AND run_id NOT IN (
+       SELECT run_id FROM data_quality_runs WHERE status IN ('completed', 'failed') ORDER BY run_id DESC LIMIT $1
+     )`,
+    [KEEP_RUNS]
+  );
+};
+
+// Runs execute one at a time in the API process, like background exports
+let runQueue = Promise.resolve();
+
+const enqueueRun = (run) => {
+  runQueue = runQueue
+    .then(() => executeRun(run))
+    .catch((error) => console.error(`Data quality run ${run.run_id} could not run:`, error));
+  return runQueue;
+};
+
+const failInterruptedRuns = async () => {
+  const result = await pool.query(
+    `UPDATE data_quality_runs SET status = 'failed', error = 'Interrupted by a server restart', finished_at = NOW()
+     WHERE status IN ('queued', 'running')`
+  );
+  return result.rowCount;
+};
+
+// --- Results ---
+
+// WHERE clause over data_quality_failures for one run, narrowed by
+// { state, district, block }, an optional rule and the caller's scope
+const buildFailureFilter = (runId, { filters = {}, ruleId = null, scope = null }) => {
+  const conditions = [format("run_id = %L", runId)];
+  for (const level of LEVELS) {
+    if (filters[level]) conditions.push(format("%I = %L", level, filters[level]));
+  }
+  if (ruleId) conditions.push(format("rule_id = %L", ruleId));
+  const scopeClause = scopeService.buildScopeClause(scope);
+  if (scopeClause) conditions.push(scopeClause);
+  return `WHERE ${conditions.join(" AND ")}`;
+};
+
+// Failure counts per rule, and per geography unit at `level` (state, district or block)
+const getSummary = async (run, { level = "state", filters = {}, ruleId = null, scope = null }) => {
+  const whereClause = buildFailureFilter(run.run_id, { filters, ruleId, scope });
+  const groupColumns = LEVELS.slice(0, LEVELS.indexOf(level) + 1);
+
+  const [ruleResult, geoResult, rowsResult] = await Promise.all([
+    pool.query(
+      `SELECT rule_id, COUNT(*) AS failures FROM data_quality_failures ${whereClause} GROUP BY rule_id`
+    ),
+    pool.query(
+      format(
+        "SELECT %I, rule_id, COUNT(*) AS failures FROM data_quality_failures %s GROUP BY %I, rule_id ORDER BY %I",
+        groupColumns,
+        whereClause,
+        groupColumns,
+        groupColumns
+      )
+    ),
+    pool.query(
+      format(
+        "SELECT %I, COUNT(DISTINCT local_id) AS failing_rows FROM data_quality_failures %s GROUP BY %I",
+        groupColumns,
+        whereClause,
+        groupColumns
+      )
+    ),
+  ]);
+
+  const ruleCounts = new Map(ruleResult.rows.map((row) => [row.rule_id, parseInt(row.failures)]));
+  const rules = run.rules
+    .filter((rule) => !ruleId || rule.id === ruleId)
+    .map((rule) => ({ ...rule, failures: ruleCounts.get(rule.id) || 0 }));
+
+  const unitKey = (row) => JSON.stringify(groupColumns.map((col) => row[col]));
+  const failingRows = new Map(rowsResult.rows.map((row) => [unitKey(row), parseInt(row.failing_rows)]));
+  const units = new Map();
+  for (const row of geoResult.rows) {
+    const key = unitKey(row);
+    if (!units.has(key)) {
+      units.set(key, {
+        ...Object.fromEntries(groupColumns.map((col) => [col, row[col]])),
+        failingRows: failingRows.get(key) || 0,
+        failures: {},
+      });
+    }
+    units.get(key).failures[row.rule_id] = parseInt(row.failures);
+  }
+
+  return { rules, byGeography: [...units.values()] };
+};
+
+// The failing rows behind a summary, with the row as it is stored now
+// (record is null if the row has since been deleted)
+const listFailures = async (run, { filters = {}, ruleId = null, scope = null, page = 1, limit = 50 }) => {
+  const whereClause = buildFailureFilter(run.run_id, { filters, ruleId, scope });
+  const offset = (page - 1) * limit;
+
+  const [failuresResult, countResult] = await Promise.all([
+    pool.query(
+      format(
+        `SELECT f.rule_id, f.local_id, f.udise_code, f.ay, f.state, f.district, f.block,
+                to_jsonb(u) - 'extra' AS record
+         FROM (SELECT * FROM data_quality_failures %s) f
+         LEFT JOIN %I u ON u.local_id = f.local_id
+         ORDER BY f.rule_id, f.udise_code, f.ay
+         LIMIT $1 OFFSET $2`,
+        whereClause,
+        TABLE_NAME
+      ),
+      [limit, offset]
+    ),
+    pool.query(`SELECT COUNT(*) FROM data_quality_failures ${whereClause}`),
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+  return { failures: failuresResult.rows, total, page, totalPages: Math.ceil(total / limit) };
+};
+
+module.exports = {
+  LEVELS,
+  getRules,
+  updateRule,
+  getGateRules,
+  checkRecord,
+  createRun,
+  getRun,
+  getLatestRun,
+  listRuns,
+  enqueueRun,
+  failInterruptedRuns,
+  getSummary,
+  listFailures,
+};
@@ -0,0 +1,267 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { once } = require("events");
+const { pipeline, Transform } = require("stream");
+const { promisify } = require("util");
+const format = require("pg-format");
+const QueryStream = require("pg-query-stream");
+const ExcelJS = require("exceljs");
+const pool = require("../db");
+const schoolModel = require("../models/schoolModel");
+const schoolService = require("./schoolService");
+
+const pipelineAsync = promisify(pipeline);
+
+const TABLE_NAME = "udise_data";
+const EXPORT_FORMATS = ["csv", "xlsx"];
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+// Exports above this many rows are written to disk in the background instead of streamed
+const SYNC_ROW_LIMIT = parseInt(process.env.EXPORT_SYNC_ROW_LIMIT) || 50000;
+const XLSX_MAX_ROWS = 1048575; // Excel's sheet limit, minus the header row
+const STREAM_BATCH_SIZE = 1000;
+const ARTIFACT_TTL_HOURS = parseInt(process.env.EXPORT_TTL_HOURS) || 24;
+// Background exports run inside the API process, which also serves their downloads
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(os.tmpdir(), "udise-exports");
+
+const EXPORTABLE_COLUMNS = [...schoolModel.SCHOOL_COLUMNS, "created_at", "updated_at"];
+
+// Accepts ["udise_code", { field: "school_name", label: "School" }, ...].
+// Returns [{ field, label }] or throws an error with status 400.
+const resolveColumns = (columns) => {
+  if (columns === undefined || columns === null) {
+    return schoolModel.SCHOOL_COLUMNS.map((field) => ({ field, label: field }));
+  }
+  if (!Array.isArray(columns) || columns.length === 0) {
+    throw Object.assign(new Error("columns must be a non-empty array"), { status: 400 });
+  }
+
+  const resolved = columns.map((col) =>
+    typeof col === "string" ? { field: col, label: col } : { field: col?.field, label: col?.label ?? col?.field }
+  );
+  const unknown = resolved.filter((c) => !EXPORTABLE_COLUMNS.includes(c.field)).map((c) => String(c.field));
+  if (unknown.length > 0) {
+    throw Object.assign(new Error(`Unknown export columns: ${unknown.join(", ")}`), {
+      status: 400,
+      allowed: EXPORTABLE_COLUMNS,
+    });
+  }
+  if (resolved.some((c) => typeof c.label !== "string" || c.label.trim() === "")) {
+    throw Object.assign(new Error("Column labels must be non-empty strings"), { status: 400 });
+  }
+  return resolved;
+};
+
+const countRows = async (query, scope) => {
+  const { whereClause, values } = schoolService.buildSearchFilter(query, scope);
+  const result = await pool.query(format("SELECT COUNT(*) AS total FROM %I %s", TABLE_NAME, whereClause), values);
+  return parseInt(result.rows[0].total);
+};
+
+// --- Writers ---
+
+// Text starting with one of these is run as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Text cells come from partner data, so formula-like ones get a leading ' and open as text.
+// Numbers (including negative ones) are written as they are.
+const csvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  let text =
+    value instanceof Date ? value.toISOString() : typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvValue).join(",")}\r\n`;
+
+// The BOM makes Excel read the file as UTF-8 (school and village names are often non-ASCII)
+const writeCsv = async (rowStream, columns, output) => {
+  let rowCount = 0;
+  const toCsv = new Transform({
+    writableObjectMode: true,
+    construct(callback) {
+      this.push(`\uFEFF${csvLine(columns.map((c) => c.label))}`);
+      callback();
+    },
+    transform(row, _encoding, callback) {
+      rowCount++;
+      callback(null, csvLine(columns.map((c) => row[c.field])));
+    },
+  });
+  await pipelineAsync(rowStream, toCsv, output);
+  return rowCount;
+};
+
+const writeXlsx = async (rowStream, columns, output) => {
+  let rowCount = 0;
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: output,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const sheet = workbook.addWorksheet("Schools");
+  sheet.columns = columns.map((c) => ({ header: c.label, key: c.field }));
+
+  try {
+    for await (const row of rowStream) {
+      sheet.addRow(columns.map((c) => row[c.field] ?? null)).commit();
+      rowCount++;
+      if (output.writableNeedDrain) await once(output, "drain");
+    }
+  } catch (err) {
+    output.destroy(err);
+    throw err;
+  }
+
+  sheet.commit();
+  await workbook.commit();
+  if (!output.writableFinished) await once(output, "finish");
+  return rowCount;
+};
+
+// Streams every matching row into `output` without buffering the result set.
+// Returns the number of rows written.
+const writeExport = async ({ format: exportFormat, query, columns, scope }, output) => {
+  const { whereClause, values } = schoolService.buildSearchFilter(query, scope);
+  const sql = format(
+    "SELECT %I FROM %I %s %s",
+    columns.map((c) => c.field),
+    TABLE_NAME,
+    whereClause,
+    schoolService.buildSearchOrder(query)
+  );
+
+  const client = await pool.connect();
+  try {
+    const rowStream = client.query(new QueryStream(sql, values, { batchSize: STREAM_BATCH_SIZE }));
+    output.once("close", () => rowStream.destroy());
+    return exportFormat === "xlsx"
+      ? await writeXlsx(rowStream, columns, output)
+      : await writeCsv(rowStream, columns, output);
+  } finally {
+    client.release();
+  }
+};
+
+const buildFileName = (exportFormat, date = new Date()) =>
+  `schools-export-${date.toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15)}.${exportFormat}`;
+
+// Builds a small in-memory CSV document (with the same BOM as streamed exports)
+// from [{ field, label }] columns and already-fetched rows.
+const buildCsv = (columns, rows) =>
+  `\uFEFF${csvLine(columns.map((c) => c.label))}${rows.map((row) => csvLine(columns.map((c) => row[c.field]))).join("")}`;
+
+// --- Background exports ---
+
+// `query` is a parsed schoolQuery, stored in the filters column and re-applied when the job runs
+const createExportJob = async ({ createdBy, format: exportFormat, query, columns }) => {
+  const result = await pool.query(
+    `INSERT INTO export_jobs (export_id, created_by, format, filters, columns)
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [crypto.randomUUID(), createdBy, exportFormat, JSON.stringify(query), JSON.stringify(columns)]
+  );
+  return result.rows[0];
+};
+
+const getExportJob = async (exportId) => {
+  const result = await pool.query("SELECT * FROM export_jobs WHERE export_id = $1", [exportId]);
+  return result.rows[0];
+};
+
+const listExportJobs = async ({ createdBy, page = 1, limit = 50 }) => {
+  const offset = (page - 1) * limit;
+  const [jobsResult, countResult] = await Promise.all([
+    pool.query(
+      "SELECT * FROM export_jobs WHERE created_by = $1 ORDER BY created_at DESC LIMIT $2 OFFSET $3",
+      [createdBy, limit, offset]
+    ),
+    pool.query("SELECT COUNT(*) FROM export_jobs WHERE created_by = $1", [createdBy]),
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+  return { exports: jobsResult.rows, total, page, totalPages: Math.ceil(total / limit) };
+};
+
+const artifactPath = (job) => path.join(EXPORT_DIR, `${job.export_id}.${job.format}`);
+
+const runExportJob = async (job, scope) => {
+  await pool.query("UPDATE export_jobs SET status = 'running', started_at = NOW() WHERE export_id = $1", [
+    job.export_id,
+  ]);
+
+  const filePath = artifactPath(job);
+  try {
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const rowCount = await writeExport(
+      { format: job.format, query: job.filters, columns: job.columns, scope },
+      fs.createWriteStream(filePath)
+    );
+    const { size } = await fs.promises.stat(filePath);
+    await pool.query(
+      `UPDATE export_jobs SET status = 'completed', row_count = $1, file_name = $2, file_size = $3,
+       finished_at = NOW(), expires_at = NOW() + make_interval(hours => $4) WHERE export_id = $5`,
+      [rowCount, buildFileName(job.format, job.created_at), size, ARTIFACT_TTL_HOURS, job.export_id]
+    );
+  } catch (error) {
+    console.error(`Export ${job.export_id} failed:`, error);
+    await fs.promises.rm(filePath, { force: true });
+    await pool.query(
+      "UPDATE export_jobs SET status = 'failed', error = $1, finished_at = NOW() WHERE export_id = $2",
+      [error.message, job.export_id]
+    );
+  }
+};
+
+// Background exports run one at a time so a burst of requests cannot exhaust the pool
+let exportQueue = Promise.resolve();
+
+const enqueueExportJob = (job, scope) => {
+  exportQueue = exportQueue
+    .then(() => runExportJob(job, scope))
+    .catch((error) => console.error(`Export ${job.export_id} could not run:`, error));
+  return exportQueue;
+};
+
+// Exports are run in-process, so anything unfinished at startup was lost with the previous process
+const failInterruptedExports = async () => {
+  const result = await pool.query(
+    `UPDATE export_jobs SET status = 'failed', error = 'Interrupted by a server restart', finished_at = NOW()
+     WHERE status IN ('queued', 'running')`
+  );
+  return result.rowCount;
+};
+
+const expireExports = async () => {
+  const result = await pool.query(
+    `UPDATE export_jobs SET status = 'expired'
+     WHERE status = 'completed' AND expires_at <= NOW() RETURNING export_id, format`
+  );
+  await Promise.all(result.rows.map((job) => fs.promises.rm(artifactPath(job), { force: true })));
+  return result.rowCount;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORTABLE_COLUMNS,
+  CONTENT_TYPES,
+  SYNC_ROW_LIMIT,
+  XLSX_MAX_ROWS,
+  resolveColumns,
+  countRows,
+  writeExport,
+  buildCsv,
+  buildFileName,
+  createExportJob,
+  getExportJob,
+  listExportJobs,
+  artifactPath,
+  enqueueExportJob,
+  failInterruptedExports,
+  expireExports,
+};
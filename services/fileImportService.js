@@ -0,0 +1,440 @@
+const crypto = require("crypto");
+const path = require("path");
+const format = require("pg-format");
+const { parse: parseCsv } = require("csv-parse/sync");
+const ExcelJS = require("exceljs");
+const pool = require("../db");
+const schoolModel = require("../models/schoolModel");
+const schoolService = require("./schoolService");
+const scopeService = require("./scopeService");
+const dataQualityService = require("./dataQualityService");
+
+const IMPORT_FORMATS = ["csv", "xlsx"];
+const MAX_IMPORT_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 100000;
+// Uncommitted previews are discarded after this long
+const PREVIEW_TTL_HOURS = parseInt(process.env.IMPORT_PREVIEW_TTL_HOURS) || 24;
+const PREVIEW_ERROR_LIMIT = 200;
+const PREVIEW_UPDATE_LIMIT = 50;
+const STAGE_CHUNK_SIZE = 1000;
+
+const badRequest = (message, extra = {}) => Object.assign(new Error(message), { status: 400, ...extra });
+
+// --- Parsing ---
+
+// ExcelJS cells can hold rich text, formulas, hyperlinks and dates; reduce them to plain values
+const cellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((r) => r.text).join("");
+    if ("result" in value) return cellValue(value.result);
+    if ("text" in value) return cellValue(value.text);
+    if ("error" in value) return null;
+  }
+  return value;
+};
+
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw badRequest(`Could not read XLSX file: ${error.message}`);
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) throw badRequest("The workbook has no sheets");
+
+  const headerCells = [];
+  sheet.getRow(1).eachCell((cell, col) => {
+    headerCells[col - 1] = String(cellValue(cell.value) ?? "").trim();
+  });
+  const headers = Array.from(headerCells, (h) => h ?? "");
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = headers.map((_, i) => cellValue(row.getCell(i + 1).value));
+    rows.push({ rowNumber, values });
+  });
+  return { headers, rows };
+};
+
+const parseCsvBuffer = (buffer) => {
+  let records;
+  try {
+    records = parseCsv(buffer, { bom: true, skip_empty_lines: true, relax_column_count: true, trim: true });
+  } catch (error) {
+    throw badRequest(`Could not read CSV file: ${error.message}`);
+  }
+  const [headerRow = [], ...dataRows] = records;
+  return {
+    headers: headerRow.map((h) => String(h).trim()),
+    // +2: one for the header row, one because spreadsheet rows start at 1
+    rows: dataRows.map((values, i) => ({ rowNumber: i + 2, values })),
+  };
+};
+
+// Returns { format, headers, rows: [{ rowNumber, values }] }
+const parseFile = async (buffer, fileName) => {
+  const fileFormat = path.extname(fileName || "").slice(1).toLowerCase();
+  if (!IMPORT_FORMATS.includes(fileFormat)) {
+    throw badRequest(`Unsupported file type. Upload one of: ${IMPORT_FORMATS.join(", ")}`);
+  }
+
+  const parsed = fileFormat === "xlsx" ? await parseXlsx(buffer) : parseCsvBuffer(buffer);
+  if (parsed.headers.filter(Boolean).length === 0) throw badRequest("The file has no header row");
+  if (parsed.rows.length === 0) throw badRequest("The file has no data rows");
+  if (parsed.rows.length > MAX_IMPORT_ROWS) {
+    throw badRequest(`The file has ${parsed.rows.length} rows; the limit is ${MAX_IMPORT_ROWS}`);
+  }
+  return { format: fileFormat, ...parsed };
+};
+
+// --- Header mapping ---
+
+// A mapping is { "<spreadsheet header>": "<school field>" | null }; null ignores the column
+const validateMapping = (mapping) => {
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw badRequest("mapping must be an object of { header: field }");
+  }
+  const invalid = Object.entries(mapping).filter(
+    ([, field]) => field !== null && !schoolModel.SCHOOL_COLUMNS.includes(field)
+  );
+  if (invalid.length > 0) {
+    throw badRequest(`Unknown fields in mapping: ${invalid.map(([h, f]) => `${h} -> ${f}`).join(", ")}`, {
+      allowed: schoolModel.SCHOOL_COLUMNS,
+    });
+  }
+  return mapping;
+};
+
+// Explicit mapping first, then automatic matching on field names and aliases.
+// Returns [{ header, field, source: "mapping" | "auto" | "unmapped" }]
+const resolveHeaders = (headers, mapping = {}) => {
+  const columns = headers.map((header) => {
+    if (Object.prototype.hasOwnProperty.call(mapping, header)) {
+      return { header, field: mapping[header], source: "mapping" };
+    }
+    const field = header ? schoolModel.suggestField(header) : null;
+    return { header, field, source: field ? "auto" : "unmapped" };
+  });
+
+  const byField = new Map();
+  for (const col of columns.filter((c) => c.field)) {
+    if (byField.has(col.field)) {
+      throw badRequest(`Headers '${byField.get(col.field)}' and '${col.header}' both map to ${col.field}`);
+    }
+    byField.set(col.field, col.header);
+  }
+  return columns;
+};
+
+const toRecord = (values, columns, defaultAy) => {
+  const record = {};
+  columns.forEach((col, i) => {
+    if (col.field) record[col.field] = values[i] ?? null;
+  });
+  if (defaultAy && (record.ay === undefined || record.ay === null || record.ay === "")) {
+    record.ay = defaultAy;
+  }
+  return record;
+};
+
+// Every check a row must pass before it is offered to saveSchoolsToDb.
+// Data-quality gate rules in "block" mode fail the row; "warn" mode only notes it.
+const validateRows = (records, scope, gateRules = []) => {
+  const seen = new Map();
+  return records.map(({ rowNumber, record }) => {
+    const { values, errors } = schoolModel.normalizeSchool(record);
+    errors.push(...schoolModel.checkIdentifiers(values));
+
+    if (errors.length === 0) {
+      const key = `${values.udise_code}|${values.ay}`;
+      if (seen.has(key)) errors.push(`duplicate of row ${seen.get(key)}`);
+      else seen.set(key, rowNumber);
+    }
+    if (errors.length === 0 && !scopeService.isRecordInScope(values, scope)) {
+      errors.push(`outside your assigned regions (${scopeService.describeScope(scope)})`);
+    }
+
+    let warnings = [];
+    if (errors.length === 0 && gateRules.length > 0) {
+      const quality = dataQualityService.checkRecord(values, gateRules);
+      errors.push(...quality.blocking.map((b) => `data quality (${b.rule}): ${b.message}`));
+      warnings = quality.warnings;
+    }
+
+    return { rowNumber, record, udise_code: values.udise_code ?? null, errors, warnings };
+  });
+};
+
+// --- Staging and preview ---
+
+// Parses, maps and validates an upload, then dry-runs the valid rows through
+// saveSchoolsToDb. Nothing reaches udise_data until commitImport.
+const stageImport = async ({ user, scope, file, mapping, mappingId, defaultAy, mode }) => {
+  if (!schoolService.SAVE_MODES.includes(mode)) {
+    throw badRequest(`mode must be one of: ${schoolService.SAVE_MODES.join(", ")}`);
+  }
+  if (defaultAy && schoolModel.checkIdentifiers({ ay: defaultAy }).length > 0) {
+    throw badRequest(`ay '${defaultAy}' must look like 2023-24`);
+  }
+
+  if (mappingId != null && !/^\d+$/.test(String(mappingId))) {
+    throw badRequest("mappingId must be a number");
+  }
+
+  let effectiveMapping = mapping ? validateMapping(mapping) : {};
+  if (mappingId != null) {
+    const saved = await getMapping(parseInt(mappingId));
+    if (!saved) throw Object.assign(new Error("Import mapping not found"), { status: 404 });
+    effectiveMapping = { ...saved.mapping, ...effectiveMapping };
+  }
+
+  const parsed = await parseFile(file.buffer, file.originalname);
+  const columns = resolveHeaders(parsed.headers, effectiveMapping);
+  const records = parsed.rows.map(({ rowNumber, values }) => ({
+    rowNumber,
+    record: toRecord(values, columns, defaultAy),
+  }));
+  const checked = validateRows(records, scope, await dataQualityService.getGateRules());
+  const valid = checked.filter((r) => r.errors.length === 0);
+
+  const dryRun =
+    valid.length > 0
+      ? await schoolService.saveSchoolsToDb(
+          valid.map((r) => r.record),
+          { scope, mode, userId: user.user_id, dryRun: true }
+        )
+      : { inserted: 0, updated: 0, unchanged: 0, rejected: [], actions: [] };
+  // Rows the database would refuse are staged as invalid too
+  for (const r of dryRun.rejected) valid[r.index].errors.push(r.reason);
+  const invalid = checked.filter((r) => r.errors.length > 0);
+
+  const preview = {
+    inserted: dryRun.inserted,
+    updated: dryRun.updated,
+    unchanged: dryRun.unchanged,
+    columns,
+    unmappedHeaders: columns.filter((c) => c.source === "unmapped" && c.header).map((c) => c.header),
+    errors: invalid.slice(0, PREVIEW_ERROR_LIMIT).map((r) => ({
+      row: r.rowNumber,
+      udise_code: r.udise_code,
+      reason: r.errors.join("; "),
+    })),
+    updates: dryRun.actions.filter((a) => a.action === "update").slice(0, PREVIEW_UPDATE_LIMIT),
+    qualityWarnings: valid
+      .flatMap((r) => r.warnings.map((w) => ({ row: r.rowNumber, udise_code: r.udise_code, ...w })))
+      .slice(0, PREVIEW_ERROR_LIMIT),
+  };
+
+  const importId = crypto.randomUUID();
+  const storedMapping = Object.fromEntries(columns.map((c) => [c.header, c.field]));
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      `INSERT INTO file_imports (import_id, created_by, file_name, format, mapping_id, mapping, default_ay, mode,
+         row_count, valid_count, invalid_count, preview, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW() + make_interval(hours => $13))
+       RETURNING *`,
+      [
+        importId,
+        user.user_id,
+        file.originalname,
+        parsed.format,
+        mappingId || null,
+        JSON.stringify(storedMapping),
+        defaultAy || null,
+        mode,
+        checked.length,
+        checked.length - invalid.length,
+        invalid.length,
+        JSON.stringify(preview),
+        PREVIEW_TTL_HOURS,
+      ]
+    );
+
+    for (let i = 0; i < checked.length; i += STAGE_CHUNK_SIZE) {
+      await client.query(
+        format(
+          "INSERT INTO file_import_rows (import_id, row_number, record, errors) VALUES %L",
+          checked
+            .slice(i, i + STAGE_CHUNK_SIZE)
+            .map((r) => [
+              importId,
+              r.rowNumber,
+              JSON.stringify(r.record),
+              r.errors.length > 0 ? JSON.stringify(r.errors) : null,
+            ])
+        )
+      );
+    }
+
+    await client.query("COMMIT");
+    return result.rows[0];
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+const getImport = async (importId) => {
+  const result = await pool.query("SELECT * FROM file_imports WHERE import_id = $1", [importId]);
+  return result.rows[0];
+};
+
+// status: "valid", "invalid" or "" for all staged rows
+const getImportRows = async (importId, { status = "", page = 1, limit = 50 }) => {
+  const offset = (page - 1) * limit;
+  const filter =
+    status === "valid" ? "AND errors IS NULL" : status === "invalid" ? "AND errors IS NOT NULL" : "";
+
+  const [rowsResult, countResult] = await Promise.all([
+    pool.query(
+      `SELECT row_number, record, errors FROM file_import_rows WHERE import_id = $1 ${filter}
+       ORDER BY row_number LIMIT $2 OFFSET $3`,
+      [importId, limit, offset]
+    ),
+    pool.query(`SELECT COUNT(*) FROM file_import_rows WHERE import_id = $1 ${filter}`, [importId]),
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+  return { rows: rowsResult.rows, total, page, totalPages: Math.ceil(total / limit) };
+};
+
+// Saves the staged valid rows through saveSchoolsToDb in one batch.
+// Returns { import, result } or throws { status } when the import cannot be committed.
+const commitImport = async (importId, { user, scope, mode }) => {
+  // Checked before the import is claimed, so a bad mode leaves it committable
+  if (mode && !schoolService.SAVE_MODES.includes(mode)) {
+    throw badRequest(`mode must be one of: ${schoolService.SAVE_MODES.join(", ")}`);
+  }
+
+  const claimed = await pool
+    .query(
+      `UPDATE file_imports SET status = 'committing'
+       WHERE import_id = $1 AND created_by = $2 AND status = 'previewed' AND expires_at > NOW()
+       RETURNING *`,
+      [importId, user.user_id]
+    )
+    .catch((error) => {
+      if (error.code === "22P02") throw Object.assign(new Error("Import not found"), { status: 404 }); // not a UUID
+      throw error;
+    });
+  const fileImport = claimed.rows[0];
+  if (!fileImport) {
+    const existing = await getImport(importId);
+    if (!existing || existing.created_by !== user.user_id) {
+      throw Object.assign(new Error("Import not found"), { status: 404 });
+    }
+    const reason = existing.status === "previewed" ? "its preview has expired" : `it is ${existing.status}`;
+    throw Object.assign(new Error(`Import cannot be committed: ${reason}`), { status: 409 });
+  }
+  const commitMode = mode || fileImport.mode;
+
+  try {
+    const rowsResult = await pool.query(
+      "SELECT row_number, record FROM file_import_rows WHERE import_id = $1 AND errors IS NULL ORDER BY row_number",
+      [importId]
+    );
+    const records = rowsResult.rows.map((r) => r.record);
+    const result =
+      records.length > 0
+        ? await schoolService.saveSchoolsToDb(records, {
+            scope,
+            mode: commitMode,
+            userId: user.user_id,
+            source: "file",
+            sourceRef: fileImport.import_id,
+          })
+        : { success: true, batchId: null, mode: commitMode, inserted: 0, updated: 0, unchanged: 0, failed: 0, count: 0, rejected: [] };
+    // Report rejections by spreadsheet row rather than position in the batch
+    result.rejected = result.rejected.map(({ index, ...r }) => ({ row: rowsResult.rows[index].row_number, ...r }));
+
+    const updated = await pool.query(
+      `UPDATE file_imports SET status = 'committed', mode = $1, batch_id = $2, result = $3, committed_at = NOW()
+       WHERE import_id = $4 RETURNING *`,
+      [commitMode, result.batchId, JSON.stringify(result), importId]
+    );
+    // The staged copy is no longer needed once the rows are in udise_data
+    await pool.query("DELETE FROM file_import_rows WHERE import_id = $1", [importId]);
+
+    return { import: updated.rows[0], result };
+  } catch (error) {
+    // A rejected request (e.g. every row out of scope) leaves the import as it was, to be
+    // committed again; anything else fails it
+    if (error.status >= 400 && error.status < 500) {
+      await pool.query("UPDATE file_imports SET status = 'previewed' WHERE import_id = $1", [importId]);
+    } else {
+      await pool.query("UPDATE file_imports SET status = 'failed', error = $1 WHERE import_id = $2", [
+        error.message,
+        importId,
+      ]);
+    }
+    throw error;
+  }
+};
+
+const expireImports = async () => {
+  const result = await pool.query(
+    "DELETE FROM file_imports WHERE status = 'previewed' AND expires_at <= NOW()"
+  );
+  return result.rowCount;
+};
+
+// --- Saved mappings ---
+
+const listMappings = async () => {
+  const result = await pool.query(
+    `SELECT m.*, u.email AS created_by_email FROM import_mappings m
+     LEFT JOIN users u ON u.user_id = m.created_by ORDER BY m.name`
+  );
+  return result.rows;
+};
+
+const getMapping = async (mappingId) => {
+  const result = await pool.query("SELECT * FROM import_mappings WHERE mapping_id = $1", [mappingId]);
+  return result.rows[0];
+};
+
+const createMapping = async ({ name, mapping, createdBy }) => {
+  const result = await pool.query(
+    "INSERT INTO import_mappings (name, mapping, created_by) VALUES ($1, $2, $3) RETURNING *",
+    [name, JSON.stringify(validateMapping(mapping)), createdBy]
+  );
+  return result.rows[0];
+};
+
+const updateMapping = async (mappingId, { name, mapping }) => {
+  const result = await pool.query(
+    `UPDATE import_mappings SET name = COALESCE($1, name), mapping = COALESCE($2, mapping), updated_at = NOW()
+     WHERE mapping_id = $3 RETURNING *`,
+    [name || null, mapping ? JSON.stringify(validateMapping(mapping)) : null, mappingId]
+  );
+  return result.rows[0];
+};
+
+const deleteMapping = async (mappingId) => {
+  const result = await pool.query("DELETE FROM import_mappings WHERE mapping_id = $1 RETURNING *", [mappingId]);
+  return result.rows[0];
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  parseFile,
+  validateMapping,
+  resolveHeaders,
+  stageImport,
+  getImport,
+  getImportRows,
+  commitImport,
+  expireImports,
+  listMappings,
+  getMapping,
+  createMapping,
+  updateMapping,
+  deleteMapping,
+};
@@ -0,0 +1,170 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const axios = require("axios");
+
+// Defaults match Google's published OIDC configuration. Every value can be
+// overridden from the environment so a local JWKS file can stand in for Google.
+const DEFAULT_JWKS_URI = "https://www.googleapis.com/oauth2/v3/certs";
+const DEFAULT_ISSUERS = ["accounts.google.com", "https://accounts.google.com"];
+const DEFAULT_JWKS_TTL_MS = 60 * 60 * 1000;
+const MIN_JWKS_REFETCH_MS = 30 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+
+const SUPPORTED_ALGORITHMS = {
+  RS256: "RSA-SHA256",
+};
+
+const splitList = (value) =>
+  (value || "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+const getConfig = () => ({
+  jwksUri: process.env.GOOGLE_JWKS_URI || DEFAULT_JWKS_URI,
+  audiences: splitList(process.env.GOOGLE_CLIENT_ID),
+  issuers: process.env.GOOGLE_ISSUERS ? splitList(process.env.GOOGLE_ISSUERS) : DEFAULT_ISSUERS,
+  jwksTtlMs: parseInt(process.env.GOOGLE_JWKS_CACHE_TTL_MS) || DEFAULT_JWKS_TTL_MS,
+});
+
+const tokenError = (code, message, status = 401) => {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+};
+
+// --- JWKS cache ---
+let jwksCache = { uri: null, keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+
+const parseMaxAge = (cacheControl) => {
+  const match = /max-age=(\d+)/i.exec(cacheControl || "");
+  return match ? parseInt(match[1]) * 1000 : null;
+};
+
+// Supports http(s) URLs, file:// URLs and plain filesystem paths.
+const loadJwks = async (uri, defaultTtlMs) => {
+  if (/^https?:\/\//i.test(uri)) {
+    const response = await axios.get(uri, { timeout: 10000 });
+    const ttl = parseMaxAge(response.headers["cache-control"]) ?? defaultTtlMs;
+    return { jwks: response.data, ttl };
+  }
+
+  const path = uri.startsWith("file://") ? new URL(uri) : uri;
+  const contents = await fs.promises.readFile(path, "utf8");
+  return { jwks: JSON.parse(contents), ttl: defaultTtlMs };
+};
+
+const refreshJwks = async (config) => {
+  let result;
+  try {
+    result = await loadJwks(config.jwksUri, config.jwksTtlMs);
+  } catch (error) {
+    console.error("JWKS Fetch Error:", error.message);
+    throw tokenError("JWKS_UNAVAILABLE", "Unable to load Google signing keys", 503);
+  }
+
+  const keys = new Map();
+  for (const jwk of result.jwks?.keys || []) {
+    if (!jwk.kid || jwk.kty !== "RSA") continue;
+    keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" }));
+  }
+
+  const now = Date.now();
+  jwksCache = { uri: config.jwksUri, keys, expiresAt: now + result.ttl, fetchedAt: now };
+};
+
+const getSigningKey = async (kid, config) => {
+  const now = Date.now();
+  const stale = jwksCache.uri !== config.jwksUri || jwksCache.expiresAt <= now;
+
+  if (stale) await refreshJwks(config);
+
+  let key = jwksCache.keys.get(kid);
+
+  // Unknown kid usually means Google rotated keys; refetch, but not on every request.
+  if (!key && !stale && now - jwksCache.fetchedAt > MIN_JWKS_REFETCH_MS) {
+    await refreshJwks(config);
+    key = jwksCache.keys.get(kid);
+  }
+
+  if (!key) throw tokenError("TOKEN_KEY_NOT_FOUND", "Token signed with an unknown key");
+  return key;
+};
+
+const clearJwksCache = () => {
+  jwksCache = { uri: null, keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+};
+
+// --- Token verification ---
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+
+const verifyIdToken = async (idToken) => {
+  if (!idToken || typeof idToken !== "string") {
+    throw tokenError("TOKEN_MISSING", "Google ID token is required", 400);
+  }
+
+  const config = getConfig();
+  if (config.audiences.length === 0) {
+    throw tokenError("AUTH_NOT_CONFIGURED", "GOOGLE_CLIENT_ID is not configured", 500);
+  }
+
+  const parts = idToken.split(".");
+  if (parts.length !== 3) throw tokenError("TOKEN_MALFORMED", "Malformed ID token");
+
+  let header, payload;
+  try {
+    header = decodeSegment(parts[0]);
+    payload = decodeSegment(parts[1]);
+  } catch (error) {
+    throw tokenError("TOKEN_MALFORMED", "Malformed ID token");
+  }
+
+  const algorithm = SUPPORTED_ALGORITHMS[header.alg];
+  if (!algorithm) throw tokenError("TOKEN_UNSUPPORTED_ALG", `Unsupported token algorithm: ${header.alg}`);
+
+  const key = await getSigningKey(header.kid, config);
+  const validSignature = crypto.verify(
+    algorithm,
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    key,
+    Buffer.from(parts[2], "base64url")
+  );
+  if (!validSignature) throw tokenError("TOKEN_INVALID_SIGNATURE", "Invalid token signature");
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== "number" || payload.exp + CLOCK_SKEW_SECONDS < nowSeconds) {
+    throw tokenError("TOKEN_EXPIRED", "ID token has expired");
+  }
+  if (typeof payload.iat === "number" && payload.iat - CLOCK_SKEW_SECONDS > nowSeconds) {
+    throw tokenError("TOKEN_NOT_YET_VALID", "ID token is not yet valid");
+  }
+
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.some((aud) => config.audiences.includes(aud))) {
+    throw tokenError("TOKEN_INVALID_AUDIENCE", "ID token was not issued for this application");
+  }
+
+  if (!config.issuers.includes(payload.iss)) {
+    throw tokenError("TOKEN_INVALID_ISSUER", "ID token has an invalid issuer");
+  }
+
+  if (!payload.sub || !payload.email) {
+    throw tokenError("TOKEN_MISSING_CLAIMS", "ID token is missing required claims");
+  }
+  if (payload.email_verified !== true && payload.email_verified !== "true") {
+    throw tokenError("EMAIL_NOT_VERIFIED", "Google account email is not verified", 403);
+  }
+
+  return {
+    googleId: payload.sub,
+    email: payload.email,
+    name: payload.name || null,
+    picture: payload.picture || null,
+  };
+};
+
+module.exports = {
+  verifyIdToken,
+  clearJwksCache,
+};
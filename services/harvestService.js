@@ -0,0 +1,257 @@
+const schoolService = require("./schoolService");
+const scopeService = require("./scopeService");
+const auditService = require("./auditService");
+const authService = require("./authService");
+const jobService = require("./jobService");
+const udiseClient = require("./udiseClient");
+
+// UDISE+ KYS endpoints walked by a harvest, relative to udiseClient.UDISE_BASE_URL.
+// A mock server only needs to implement these four to stand in for upstream.
+const UDISE_PATHS = {
+  blocks: "/master/block", // ?districtId=&yearId=
+  schools: "/search-schools", // ?searchType=3&searchParam=<blockId>&yearId=&pageNo=&pageSize=
+  schoolProfile: "/school/profile", // ?schoolId=&yearId=
+  schoolEnrolment: "/school-statistics/enrolment-teacher", // ?schoolId=&yearId=
+};
+
+const SCHOOL_PAGE_SIZE = 100;
+const SAVE_CHUNK_SIZE = 25;
+const MAX_UNIT_ATTEMPTS = 3;
+const POLL_INTERVAL_MS = parseInt(process.env.HARVEST_POLL_INTERVAL_MS) || 5000;
+// A running job's heartbeat is refreshed this often from a timer. One chunk of schools
+// (each fetch retried with timeouts and rate-limit waits) can outlast the stale-job
+// window, and a job that looks stale is claimed again by another instance.
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.HARVEST_HEARTBEAT_INTERVAL_MS) || 30 * 1000;
+
+const udiseGet = (path, params) =>
+  udiseClient.request("GET", `${path}?${new URLSearchParams(params)}`);
+
+// KYS responses wrap payloads as { status, data } and lists sometimes as { content: [] }
+const unwrap = (body) =>
+  body && typeof body === "object" && !Array.isArray(body) && "data" in body ? body.data : body;
+
+const asList = (body) => {
+  const data = unwrap(body);
+  if (Array.isArray(data)) return data;
+  return data?.content || data?.list || [];
+};
+
+const pick = (obj, keys) => keys.map((k) => obj?.[k]).find((v) => v !== undefined && v !== null);
+
+const listBlocks = async (districtId, yearId) => {
+  const body = await udiseGet(UDISE_PATHS.blocks, { districtId, yearId });
+  return asList(body)
+    .map((b) => ({
+      id: pick(b, ["blockId", "blkId", "id"]),
+      name: pick(b, ["blockName", "blkName", "name"]),
+    }))
+    .filter((b) => b.id !== undefined);
+};
+
+const listBlockSchools = async (blockId, yearId) => {
+  const schools = [];
+  for (let pageNo = 1; ; pageNo++) {
+    const body = await udiseGet(UDISE_PATHS.schools, {
+      searchType: 3,
+      searchParam: blockId,
+      yearId,
+      pageNo,
+      pageSize: SCHOOL_PAGE_SIZE,
+    });
+    const page = asList(body);
+    schools.push(...page);
+    if (page.length < SCHOOL_PAGE_SIZE) break;
+  }
+  return schools;
+};
+
+const fetchSchoolDetails = async (schoolId, yearId) => {
+  const [profile, enrolment] = await Promise.all([
+    udiseGet(UDISE_PATHS.schoolProfile, { schoolId, yearId }),
+    udiseGet(UDISE_PATHS.schoolEnrolment, { schoolId, yearId }),
+  ]);
+  return { ...unwrap(profile), ...unwrap(enrolment) };
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isCircuitOpen = (error) => error?.code === "UDISE_CIRCUIT_OPEN";
+
+const describeError = (error) =>
+  error?.message || (error?.status ? `UDISE responded with ${error.status}` : String(error));
+
+// --- Unit processing ---
+
+const planDistrict = async (job, unit) => {
+  const blocks = await listBlocks(unit.district_id, job.year_id);
+  await jobService.addBlockUnits(unit, blocks);
+};
+
+// Fetches every school in a block and saves it in chunks through saveSchoolsToDb.
+// Returns true when the job should stop because it was cancelled.
+const harvestBlock = async (job, unit, ctx) => {
+  const counts = { schoolsFound: 0, inserted: 0, updated: 0, unchanged: 0, failed: 0, error: null };
+  const listed = await listBlockSchools(unit.block_id, job.year_id);
+  counts.schoolsFound = listed.length;
+
+  for (let i = 0; i < listed.length; i += SAVE_CHUNK_SIZE) {
+    const records = [];
+    for (const school of listed.slice(i, i + SAVE_CHUNK_SIZE)) {
+      const schoolId = pick(school, ["schoolId", "schId", "id"]);
+      try {
+        const details = schoolId !== undefined ? await fetchSchoolDetails(schoolId, job.year_id) : {};
+        const record = { ...school, ...details, ay: job.ay };
+        if (job.state_name) record.state = job.state_name;
+        if (unit.district_name) record.district = unit.district_name;
+        if (unit.block_name) record.block = unit.block_name;
+        records.push(record);
+      } catch (error) {
+        if (isCircuitOpen(error)) throw error;
+        counts.failed++;
+        counts.error = `School ${schoolId}: ${describeError(error)}`;
+      }
+    }
+
+    if (records.length > 0) {
+      try {
+        const result = await schoolService.saveSchoolsToDb(records, {
+          scope: ctx.scope,
+          mode: job.mode,
+          userId: job.created_by,
+          source: "job",
+          sourceRef: job.job_id,
+        });
+        counts.inserted += result.inserted;
+        counts.updated += result.updated;
+        counts.unchanged += result.unchanged;
+        counts.failed += result.failed;
+        if (result.rejected.length > 0) {
+          counts.error = `${result.failed} record(s) rejected: ${result.rejected[0].reason}`;
+        }
+
+        await auditService.recordAudit({
+          actor: ctx.creator,
+          action: auditService.AUDIT_ACTIONS.SCHOOLS_SAVE,
+          targetType: "udise_data",
+          targetId: result.batchId,
+          metadata: {
+            jobId: job.job_id,
+            blockId: unit.block_id,
+            mode: job.mode,
+            received: records.length,
+            inserted: result.inserted,
+            updated: result.updated,
+            unchanged: result.unchanged,
+            failed: result.failed,
+          },
+        });
+      } catch (error) {
+        if (!error.rejected) throw error;
+        counts.failed += records.length;
+        counts.error = `${error.message}: ${error.rejected[0].reason}`;
+      }
+    }
+
+    const { cancelRequested } = await jobService.heartbeat(job.job_id);
+    if (cancelRequested) {
+      await jobService.completeUnit(unit.unit_id, counts);
+      return true;
+    }
+  }
+
+  await jobService.completeUnit(unit.unit_id, counts);
+  return false;
+};
+
+const runJob = async (job) => {
+  const creator = job.created_by ? await authService.findUserById(job.created_by) : null;
+  if (!creator || creator.status !== "active") {
+    await jobService.finishJob(job.job_id, "failed", "Job owner is missing or inactive");
+    return;
+  }
+  const ctx = { creator, scope: await scopeService.resolveScope(creator) };
+
+  for (;;) {
+    const { cancelRequested } = await jobService.heartbeat(job.job_id);
+    if (cancelRequested) {
+      await jobService.finishJob(job.job_id, "cancelled");
+      return;
+    }
+
+    const unit = await jobService.nextPendingUnit(job.job_id);
+    if (!unit) break;
+
+    try {
+      if (unit.kind === "district") {
+        await planDistrict(job, unit);
+      } else if (await harvestBlock(job, unit, ctx)) {
+        await jobService.finishJob(job.job_id, "cancelled");
+        return;
+      }
+    } catch (error) {
+      // Upstream is down for everyone: wait out the breaker instead of burning the unit's attempts.
+      // Capped so the heartbeat stays well inside the stale-job window.
+      if (isCircuitOpen(error)) {
+        await sleep(Math.min(Math.max(error.retryAfterMs, 1000), 60 * 1000));
+        continue;
+      }
+      console.error(`Harvest job ${job.job_id} unit ${unit.unit_id} error:`, describeError(error));
+      await jobService.failUnitAttempt(unit.unit_id, describeError(error), MAX_UNIT_ATTEMPTS);
+    }
+  }
+
+  const summary = await jobService.getJob(job.job_id);
+  await jobService.finishJob(
+    job.job_id,
+    "completed",
+    summary.units_failed > 0 ? `${summary.units_failed} unit(s) failed` : null
+  );
+};
+
+// --- Worker ---
+
+let workerBusy = false;
+
+const pollOnce = async () => {
+  if (workerBusy) return;
+  workerBusy = true;
+  try {
+    let job;
+    while ((job = await jobService.claimNextJob())) {
+      console.log(`⛏️ Harvest job ${job.job_id} started`);
+      const { job_id: jobId } = job;
+      const keepAlive = setInterval(() => {
+        jobService
+          .heartbeat(jobId)
+          .catch((error) => console.error(`Harvest job ${jobId} heartbeat failed:`, error.message));
+      }, HEARTBEAT_INTERVAL_MS);
+      try {
+        await runJob(job);
+      } catch (error) {
+        console.error(`Harvest job ${job.job_id} failed:`, error);
+        await jobService.finishJob(job.job_id, "failed", describeError(error));
+      } finally {
+        clearInterval(keepAlive);
+      }
+      console.log(`⛏️ Harvest job ${job.job_id} finished`);
+    }
+  } catch (error) {
+    console.error("Harvest worker error:", error.message);
+  } finally {
+    workerBusy = false;
+  }
+};
+
+// Polls for queued jobs, and for running jobs left behind by a previous process.
+const startWorker = () => {
+  const timer = setInterval(pollOnce, POLL_INTERVAL_MS);
+  pollOnce();
+  return timer;
+};
+
+module.exports = {
+  UDISE_PATHS,
+  runJob,
+  pollOnce,
+  startWorker,
+};
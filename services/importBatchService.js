@@ -0,0 +1,291 @@
+const pool = require("../db");
+const format = require("pg-format");
+const scopeService = require("./scopeService");
+const dashboardService = require("./dashboardService");
+
+// Where a batch came from: /save-schools (schools the client pulled through the
+// UDISE proxy), a committed spreadsheet import, a harvest job, or the location master
+// (a renamed location, or stored names re-resolved). source_ref holds the import_id,
+// job_id or the renamed "<level>:<code>".
+const BATCH_SOURCES = ["proxy", "file", "job", "location"];
+const BATCH_STATUSES = ["committed", "rolled_back"];
+const ROW_ACTIONS = ["insert", "update"];
+
+// Batch rows are written this many per INSERT
+const BATCH_ROW_CHUNK = 1000;
+
+// Columns a rollback never rewrites: the row's identity
+const KEY_COLUMNS = ["local_id", "udise_code", "ay"];
+
+// Rows reported back when a rollback is refused because of later changes
+const MAX_REPORTED_CONFLICTS = 100;
+
+// Records a save inside its transaction. `rows` are { udise_code, ay, action, before? }.
+const recordBatch = async (client, batch, rows) => {
+  await client.query(
+    `INSERT INTO import_batches
+       (batch_id, source, source_ref, created_by, mode, received, inserted, updated, unchanged, failed)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      batch.batchId,
+      batch.source,
+      batch.sourceRef != null ? String(batch.sourceRef) : null,
+      batch.userId,
+      batch.mode,
+      batch.received,
+      batch.inserted,
+      batch.updated,
+      batch.unchanged,
+      batch.failed,
+    ]
+  );
+
+  for (let start = 0; start < rows.length; start += BATCH_ROW_CHUNK) {
+    await client.query(
+      format(
+        "INSERT INTO import_batch_rows (batch_id, udise_code, ay, action, before) VALUES %L",
+        rows
+          .slice(start, start + BATCH_ROW_CHUNK)
+          .map((r) => [batch.batchId, r.udise_code, r.ay, r.action, r.before ? JSON.stringify(r.before) : null])
+      )
+    );
+  }
+};
+
+const BATCH_COLUMNS = `b.*, u.email AS created_by_email, rb.email AS rolled_back_by_email`;
+
+const listBatches = async ({ source = "", status = "", sourceRef = null, createdBy = null, page = 1, limit = 50 }) => {
+  const offset = (page - 1) * limit;
+  const conditions = [];
+  const params = [];
+  let paramCount = 1;
+
+  if (source) {
+    conditions.push(`b.source = $${paramCount++}`);
+    params.push(source);
+  }
+
+  if (status) {
+    conditions.push(`b.status = $${paramCount++}`);
+    params.push(status);
+  }
+
+  if (sourceRef) {
+    conditions.push(`b.source_ref = $${paramCount++}`);
+    params.push(String(sourceRef));
+  }
+
+  if (createdBy) {
+    conditions.push(`b.created_by = $${paramCount++}`);
+    params.push(createdBy);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const [batchesResult, countResult] = await Promise.all([
+    pool.query(
+      `SELECT ${BATCH_COLUMNS}
+       FROM import_batches b
+       LEFT JOIN users u ON u.user_id = b.created_by
+       LEFT JOIN users rb ON rb.user_id = b.rolled_back_by
+       ${whereClause}
+       ORDER BY b.created_at DESC
+       LIMIT $${paramCount} OFFSET $${paramCount + 1}`,
+      [...params, limit, offset]
+    ),
+    pool.query(`SELECT COUNT(*) FROM import_batches b ${whereClause}`, params),
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+  return { batches: batchesResult.rows, total, page, totalPages: Math.ceil(total / limit) };
+};
+
+const getBatch = async (batchId) => {
+  const result = await pool.query(
+    `SELECT ${BATCH_COLUMNS}
+     FROM import_batches b
+     LEFT JOIN users u ON u.user_id = b.created_by
+     LEFT JOIN users rb ON rb.user_id = b.rolled_back_by
+     WHERE b.batch_id = $1`,
+    [batchId]
+  );
+  return result.rows[0] || null;
+};
+
+// The rows a batch wrote: `before` is the row it replaced (null for inserts) and
+// `current` the row as stored now. `changed_since` is true once the row no longer
+// holds this batch's values (a later batch wrote it, or it was rolled back).
+// Query: action=insert|update, page, limit
+const getBatchRows = async (batchId, { action = "", page = 1, limit = 50 }) => {
+  const offset = (page - 1) * limit;
+  const filter = action ? "AND r.action = $2" : "";
+  const params = action ? [batchId, action] : [batchId];
+  const paramCount = params.length + 1;
+
+  const [rowsResult, countResult] = await Promise.all([
+    pool.query(
+      `SELECT r.udise_code, r.ay, r.action,
+              r.before - 'local_id' AS before,
+              to_jsonb(d) - 'local_id' AS current,
+              d.import_batch_id IS DISTINCT FROM r.batch_id AS changed_since
+       FROM import_batch_rows r
+       LEFT JOIN udise_data d ON d.udise_code = r.udise_code AND d.ay = r.ay
+       WHERE r.batch_id = $1 ${filter}
+       ORDER BY r.udise_code, r.ay
+       LIMIT $${paramCount} OFFSET $${paramCount + 1}`,
+      [...params, limit, offset]
+    ),
+    pool.query(`SELECT COUNT(*) FROM import_batch_rows r WHERE r.batch_id = $1 ${filter}`, params),
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+  return { rows: rowsResult.rows, total, page, totalPages: Math.ceil(total / limit) };
+};
+
+// Undoes a batch: rows it inserted are deleted (their enrolment cells go with them)
+// and rows it updated get back every column, and any enrolment cells, they had before.
+// Refused with 409 while a later batch has written one of its rows, so batches are
+// undone newest first; restoring a row also restores the batch that wrote it before,
+// which is what lets the earlier batch be rolled back next.
+// Returns null when the batch does not exist.
+const rollbackBatch = async (batchId, { userId = null, scope = null } = {}) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const batchResult = await client.query("SELECT * FROM import_batches WHERE batch_id = $1 FOR UPDATE", [batchId]);
+    const batch = batchResult.rows[0];
+    if (!batch) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+    if (batch.status === "rolled_back") {
+      throw Object.assign(new Error("Batch has already been rolled back"), { status: 409 });
+    }
+
+    const batchRows = (
+      await client.query("SELECT udise_code, ay, action, before FROM import_batch_rows WHERE batch_id = $1", [batchId])
+    ).rows;
+
+    const current =
+      batchRows.length > 0
+        ? (
+            await client.query(
+              format(
+                "SELECT * FROM udise_data WHERE (udise_code, ay) IN (%L) FOR UPDATE",
+                batchRows.map((r) => [r.udise_code, r.ay])
+              )
+            )
+          ).rows
+        : [];
+
+    const conflicts = current
+      .filter((row) => row.import_batch_id !== batch.batch_id)
+      .map((row) => ({ udise_code: row.udise_code, ay: row.ay, import_batch_id: row.import_batch_id }));
+    if (conflicts.length > 0) {
+      throw Object.assign(
+        new Error(`${conflicts.length} row(s) were changed by later batches; roll those back first`),
+        { status: 409, conflicts: conflicts.slice(0, MAX_REPORTED_CONFLICTS) }
+      );
+    }
+
+    const befores = batchRows.filter((r) => r.before).map((r) => r.before);
+    const touched = [...current, ...befores];
+    const outOfScope = touched.filter((row) => !scopeService.isRecordInScope(row, scope));
+    if (outOfScope.length > 0) {
+      throw Object.assign(
+        new Error(
+          `${outOfScope.length} row(s) of this batch are outside your assigned regions (${scopeService.describeScope(scope)})`
+        ),
+        { status: 403 }
+      );
+    }
+
+    const inserts = batchRows.filter((r) => r.action === "insert");
+    const deleted =
+      inserts.length > 0
+        ? (
+            await client.query(
+              format(
+                "DELETE FROM udise_data WHERE import_batch_id = %L AND (udise_code, ay) IN (%L)",
+                batchId,
+                inserts.map((r) => [r.udise_code, r.ay])
+              )
+            )
+          ).rowCount
+        : 0;
+
+    let restored = 0;
+    if (befores.length > 0) {
+      // Every column the snapshots hold; columns added since the batch are left as they are
+      const snapshotColumns = new Set(befores.flatMap((before) => Object.keys(before)));
+      const tableColumns = (await client.query("SELECT * FROM udise_data LIMIT 0")).fields.map((f) => f.name);
+      const columns = tableColumns.filter((col) => snapshotColumns.has(col) && !KEY_COLUMNS.includes(col));
+
+      restored = (
+        await client.query(
+          format(
+            `UPDATE udise_data d SET (%I) = (SELECT %I FROM jsonb_populate_record(NULL::udise_data, r.before))
+             FROM import_batch_rows r
+             WHERE r.batch_id = %L AND r.action = 'update'
+               AND d.udise_code = r.udise_code AND d.ay = r.ay`,
+            columns,
+            columns,
+            batchId
+          )
+        )
+      ).rowCount;
+
+      await client.query(
+        `DELETE FROM school_enrolment e
+         USING import_batch_rows r
+         WHERE r.batch_id = $1 AND r.action = 'update' AND r.before ? 'enrolment'
+           AND e.udise_code = r.udise_code AND e.ay = r.ay`,
+        [batchId]
+      );
+      await client.query(
+        `INSERT INTO school_enrolment (udise_code, ay, grade, category, gender, students)
+         SELECT r.udise_code, r.ay, c.grade, c.category, c.gender, c.students
+         FROM import_batch_rows r,
+              jsonb_to_recordset(r.before->'enrolment') AS c(grade TEXT, category TEXT, gender TEXT, students INTEGER)
+         WHERE r.batch_id = $1 AND r.action = 'update' AND r.before ? 'enrolment'`,
+        [batchId]
+      );
+    }
+
+    const rollbackResult = { deleted, restored, missing: batchRows.length - current.length };
+    const updated = await client.query(
+      `UPDATE import_batches
+       SET status = 'rolled_back', rolled_back_by = $1, rolled_back_at = NOW(), rollback_result = $2
+       WHERE batch_id = $3 RETURNING *`,
+      [userId, JSON.stringify(rollbackResult), batchId]
+    );
+
+    await client.query("COMMIT");
+
+    if (deleted + restored > 0) {
+      // The rollback has committed; a failed refresh is caught up by the scheduled full refresh
+      await dashboardService
+        .refreshAggregates(dashboardService.geographiesOf(touched))
+        .catch((refreshErr) => console.error("Dashboard refresh after rollback failed:", refreshErr.message));
+    }
+
+    return { batch: updated.rows[0], ...rollbackResult };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  BATCH_SOURCES,
+  BATCH_STATUSES,
+  ROW_ACTIONS,
+  recordBatch,
+  listBatches,
+  getBatch,
+  getBatchRows,
+  rollbackBatch,
+};
@@ -0,0 +1,242 @@
+const pool = require("../db");
+const format = require("pg-format");
+
+// A running job whose heartbeat is older than this is assumed to belong to a
+// crashed or restarted process and can be claimed again.
+const STALE_JOB_INTERVAL = "2 minutes";
+
+const createJob = async ({ created_by, state_id, state_name, ay, year_id, mode, districts }) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      `INSERT INTO harvest_jobs (created_by, state_id, state_name, ay, year_id, mode)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [created_by, state_id, state_name || null, ay, year_id, mode]
+    );
+    const job = result.rows[0];
+
+    await client.query(
+      format(
+        "INSERT INTO harvest_job_units (job_id, kind, district_id, district_name) VALUES %L",
+        districts.map((d) => [job.job_id, "district", d.id, d.name || null])
+      )
+    );
+
+    await client.query("COMMIT");
+    return job;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+const JOB_SUMMARY_COLUMNS = `
+  j.*,
+  u.email AS created_by_email,
+  COALESCE(SUM(x.inserted), 0)::int AS inserted,
+  COALESCE(SUM(x.updated), 0)::int AS updated,
+  COALESCE(SUM(x.unchanged), 0)::int AS unchanged,
+  COALESCE(SUM(x.failed), 0)::int AS failed,
+  COALESCE(SUM(x.schools_found), 0)::int AS schools_found,
+  COUNT(x.unit_id) FILTER (WHERE x.kind = 'block')::int AS blocks_total,
+  COUNT(x.unit_id) FILTER (WHERE x.kind = 'block' AND x.status = 'done')::int AS blocks_done,
+  COUNT(x.unit_id) FILTER (WHERE x.status = 'failed')::int AS units_failed,
+  COUNT(x.unit_id) FILTER (WHERE x.status = 'pending')::int AS units_pending
+`;
+
+const listJobs = async ({ status = "", createdBy = null, page = 1, limit = 50 }) => {
+  const offset = (page - 1) * limit;
+  const conditions = [];
+  const params = [];
+  let paramCount = 1;
+
+  if (status) {
+    conditions.push(`j.status = $${paramCount++}`);
+    params.push(status);
+  }
+
+  if (createdBy) {
+    conditions.push(`j.created_by = $${paramCount++}`);
+    params.push(createdBy);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const [jobsResult, countResult] = await Promise.all([
+    pool.query(
+      `SELECT ${JOB_SUMMARY_COLUMNS}
+       FROM harvest_jobs j
+       LEFT JOIN users u ON u.user_id = j.created_by
+       LEFT JOIN harvest_job_units x ON x.job_id = j.job_id
+       ${whereClause}
+       GROUP BY j.job_id, u.email
+       ORDER BY j.created_at DESC
+       LIMIT $${paramCount} OFFSET $${paramCount + 1}`,
+      [...params, limit, offset]
+    ),
+    pool.query(`SELECT COUNT(*) FROM harvest_jobs j ${whereClause}`, params),
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+
+  return {
+    jobs: jobsResult.rows,
+    total,
+    page,
+    totalPages: Math.ceil(total / limit),
+  };
+};
+
+const getJob = async (jobId) => {
+  const result = await pool.query(
+    `SELECT ${JOB_SUMMARY_COLUMNS}
+     FROM harvest_jobs j
+     LEFT JOIN users u ON u.user_id = j.created_by
+     LEFT JOIN harvest_job_units x ON x.job_id = j.job_id
+     WHERE j.job_id = $1
+     GROUP BY j.job_id, u.email`,
+    [jobId]
+  );
+  return result.rows[0];
+};
+
+const getJobUnits = async (jobId) => {
+  const result = await pool.query(
+    "SELECT * FROM harvest_job_units WHERE job_id = $1 ORDER BY unit_id",
+    [jobId]
+  );
+  return result.rows;
+};
+
+// Queued jobs are cancelled immediately; running ones stop at the next checkpoint.
+const cancelJob = async (jobId) => {
+  const result = await pool.query(
+    `UPDATE harvest_jobs SET
+       status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+       finished_at = CASE WHEN status = 'queued' THEN NOW() ELSE finished_at END,
+       cancel_requested = TRUE
+     WHERE job_id = $1 AND status IN ('queued', 'running')
+     RETURNING *`,
+    [jobId]
+  );
+  return result.rows[0];
+};
+
+// --- Worker side ---
+
+const claimNextJob = async () => {
+  const result = await pool.query(
+    `UPDATE harvest_jobs SET status = 'running', started_at = COALESCE(started_at, NOW()), heartbeat_at = NOW()
+     WHERE job_id = (
+       SELECT job_id FROM harvest_jobs
+       WHERE status = 'queued'
+          OR (status = 'running' AND heartbeat_at < NOW() - INTERVAL '${STALE_JOB_INTERVAL}')
+       ORDER BY created_at
+       FOR UPDATE SKIP LOCKED
+       LIMIT 1
+     )
+     RETURNING *`
+  );
+  return result.rows[0];
+};
+
+// Refreshes the heartbeat and reports whether a cancel was requested.
+const heartbeat = async (jobId) => {
+  const result = await pool.query(
+    "UPDATE harvest_jobs SET heartbeat_at = NOW() WHERE job_id = $1 RETURNING cancel_requested",
+    [jobId]
+  );
+  return { cancelRequested: result.rows[0]?.cancel_requested === true };
+};
+
+const finishJob = async (jobId, status, error = null) => {
+  await pool.query(
+    "UPDATE harvest_jobs SET status = $1, error = $2, finished_at = NOW(), heartbeat_at = NOW() WHERE job_id = $3",
+    [status, error, jobId]
+  );
+};
+
+// Units that keep failing sort behind fresh ones, so one bad block cannot stall a job.
+const nextPendingUnit = async (jobId) => {
+  const result = await pool.query(
+    `SELECT * FROM harvest_job_units WHERE job_id = $1 AND status = 'pending'
+     ORDER BY attempts, unit_id LIMIT 1`,
+    [jobId]
+  );
+  return result.rows[0];
+};
+
+const addBlockUnits = async (districtUnit, blocks) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    if (blocks.length > 0) {
+      await client.query(
+        format(
+          "INSERT INTO harvest_job_units (job_id, kind, district_id, district_name, block_id, block_name) VALUES %L",
+          blocks.map((b) => [
+            districtUnit.job_id,
+            "block",
+            districtUnit.district_id,
+            districtUnit.district_name,
+            b.id,
+            b.name || null,
+          ])
+        )
+      );
+    }
+    await client.query(
+      "UPDATE harvest_job_units SET status = 'done', error = NULL, updated_at = NOW() WHERE unit_id = $1",
+      [districtUnit.unit_id]
+    );
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+const completeUnit = async (unitId, counts) => {
+  await pool.query(
+    `UPDATE harvest_job_units SET status = 'done', schools_found = $1, inserted = $2, updated = $3,
+     unchanged = $4, failed = $5, error = $6, updated_at = NOW() WHERE unit_id = $7`,
+    [
+      counts.schoolsFound,
+      counts.inserted,
+      counts.updated,
+      counts.unchanged,
+      counts.failed,
+      counts.error || null,
+      unitId,
+    ]
+  );
+};
+
+const failUnitAttempt = async (unitId, error, maxAttempts) => {
+  await pool.query(
+    `UPDATE harvest_job_units SET attempts = attempts + 1, error = $1,
+     status = CASE WHEN attempts + 1 >= $2 THEN 'failed' ELSE 'pending' END, updated_at = NOW()
+     WHERE unit_id = $3`,
+    [error, maxAttempts, unitId]
+  );
+};
+
+module.exports = {
+  createJob,
+  listJobs,
+  getJob,
+  getJobUnits,
+  cancelJob,
+  claimNextJob,
+  heartbeat,
+  finishJob,
+  nextPendingUnit,
+  addBlockUnits,
+  completeUnit,
+  failUnitAttempt,
+};
@@ -0,0 +1,710 @@
+const pool = require("../db");
+const format = require("pg-format");
+const crypto = require("crypto");
+const scopeService = require("./scopeService");
+const dashboardService = require("./dashboardService");
+const importBatchService = require("./importBatchService");
+const {
+  LOCATION_LEVELS,
+  codeColumn,
+  parentLevel,
+  normalizeLocationName,
+  validateLocation,
+} = require("../models/locationModel");
+
+const TABLE_NAME = "udise_data";
+// Levels a user_scopes assignment can name
+const SCOPE_LEVELS = ["state", "district", "block"];
+// Stored rows are re-resolved in batches of this many distinct geography tuples
+const RESOLVE_BATCH_SIZE = 1000;
+
+const badRequest = (message, rejected) => Object.assign(new Error(message), { status: 400, rejected });
+
+const isBlank = (val) => val === undefined || val === null || String(val).trim() === "";
+
+// --- Resolution ---
+
+// Looks up normalized names at one level. `pairs` are { parentId, key };
+// returns a Map from "parentId|key" to { location_id, code, name }.
+const lookup = async (db, level, pairs) => {
+  if (pairs.length === 0) return new Map();
+  const result = await db.query(
+    `SELECT q.parent_id, q.alias_key, l.location_id, l.code, l.name
+     FROM location_aliases a
+     JOIN unnest($2::int[], $3::text[]) AS q(parent_id, alias_key)
+       ON COALESCE(a.parent_id, 0) = COALESCE(q.parent_id, 0) AND a.alias_key = q.alias_key
+     JOIN locations l ON l.location_id = a.location_id
+     WHERE a.level = $1`,
+    [level, pairs.map((p) => p.parentId), pairs.map((p) => p.key)]
+  );
+  return new Map(
+    result.rows.map((row) => [
+      `${row.parent_id ?? ""}|${row.alias_key}`,
+      { location_id: row.location_id, code: row.code, name: row.name },
+    ])
+  );
+};
+
+// Resolves { state, district, block, cluster } name tuples against the master, one
+// level at a time: a district is only looked up under its resolved state, and so on.
+// Returns one { state, district, block, cluster } per tuple, each a location or null.
+const resolveLocations = async (tuples, db = pool) => {
+  const resolved = tuples.map(() => ({}));
+  for (const level of LOCATION_LEVELS) {
+    const parent = parentLevel(level);
+    const pairs = new Map();
+    const pending = [];
+    tuples.forEach((tuple, i) => {
+      resolved[i][level] = null;
+      if (isBlank(tuple[level])) return;
+      const parentId = parent ? resolved[i][parent]?.location_id : null;
+      if (parent && !parentId) return;
+      const key = normalizeLocationName(tuple[level]);
+      const pairKey = `${parentId ?? ""}|${key}`;
+      pairs.set(pairKey, { parentId, key });
+      pending.push([i, pairKey]);
+    });
+
+    const found = await lookup(db, level, [...pairs.values()]);
+    for (const [i, pairKey] of pending) {
+      resolved[i][level] = found.get(pairKey) || null;
+    }
+  }
+  return resolved;
+};
+
+// Rewrites resolved names in normalized school values to their canonical spelling and
+// fills the matching *_code columns; names that do not resolve get a NULL code.
+// Only levels present in a record are touched, so partial updates keep their stored codes.
+// Returns the distinct unresolved names as { level, name, state?, district?, block? }.
+const applyLocations = async (valuesList, db = pool) => {
+  const resolved = await resolveLocations(valuesList, db);
+  const unresolved = new Map();
+
+  valuesList.forEach((values, i) => {
+    for (const level of LOCATION_LEVELS) {
+      if (!(level in values)) continue;
+      const location = resolved[i][level];
+      if (location) {
+        values[level] = location.name;
+        values[codeColumn(level)] = location.code;
+        continue;
+      }
+      values[codeColumn(level)] = null;
+      if (isBlank(values[level])) continue;
+
+      const entry = { level, name: values[level] };
+      for (const ancestor of LOCATION_LEVELS.slice(0, LOCATION_LEVELS.indexOf(level))) {
+        entry[ancestor] = values[ancestor] ?? null;
+      }
+      unresolved.set(JSON.stringify(entry), entry);
+    }
+  });
+
+  return [...unresolved.values()];
+};
+
+// Spells the regions of user_scopes-style entries ({ state, district?, block? }) the way
+// the master does, so they keep matching stored rows, whose names are canonicalized on
+// ingest. Names the master does not know are left as given; national entries pass through.
+const canonicalizeScopes = async (scopes, db = pool) => {
+  const regional = scopes.filter((s) => !s.national);
+  const resolved = await resolveLocations(regional, db);
+  const canonical = new Map(
+    regional.map((s, i) => [
+      s,
+      Object.fromEntries(
+        SCOPE_LEVELS.filter((level) => !isBlank(s[level])).map((level) => [level, resolved[i][level]?.name ?? s[level]])
+      ),
+    ])
+  );
+  return scopes.map((s) => canonical.get(s) ?? s);
+};
+
+// Canonicalizes every stored user_scopes row (see canonicalizeScopes). Returns the number
+// of rows rewritten.
+const canonicalizeStoredScopes = async (client) => {
+  const stored = (
+    await client.query("SELECT DISTINCT state, district, block FROM user_scopes WHERE state IS NOT NULL")
+  ).rows;
+  const canonical = await canonicalizeScopes(stored, client);
+
+  let rewritten = 0;
+  for (const [i, from] of stored.entries()) {
+    const to = canonical[i];
+    if (SCOPE_LEVELS.every((level) => (to[level] ?? null) === from[level])) continue;
+    const result = await client.query(
+      `UPDATE user_scopes SET state = $4, district = $5, block = $6
+       WHERE state = $1 AND district IS NOT DISTINCT FROM $2 AND block IS NOT DISTINCT FROM $3`,
+      [from.state, from.district, from.block, to.state, to.district ?? null, to.block ?? null]
+    );
+    rewritten += result.rowCount;
+  }
+  return rewritten;
+};
+
+// Records stored rows the location master rewrote, given as { before, after } snapshots,
+// as one import batch with a history entry per changed name or code, like any other save.
+const recordLocationBatch = async (client, { batchId, sourceRef, userId, mode }, changed) => {
+  if (changed.length === 0) return;
+  const fields = [...LOCATION_LEVELS, ...LOCATION_LEVELS.map(codeColumn)];
+  const history = changed.flatMap(({ before, after }) =>
+    fields
+      .filter((field) => before[field] !== after[field])
+      .map((field) => [
+        before.udise_code,
+        before.ay,
+        field,
+        before[field] == null ? null : JSON.stringify(before[field]),
+        after[field] == null ? null : JSON.stringify(after[field]),
+        batchId,
+        userId,
+      ])
+  );
+
+  for (let start = 0; start < history.length; start += RESOLVE_BATCH_SIZE) {
+    await client.query(
+      format(
+        "INSERT INTO udise_data_history (udise_code, ay, field, old_value, new_value, batch_id, changed_by) VALUES %L",
+        history.slice(start, start + RESOLVE_BATCH_SIZE)
+      )
+    );
+  }
+  await importBatchService.recordBatch(
+    client,
+    {
+      batchId,
+      source: "location",
+      sourceRef,
+      userId,
+      mode,
+      received: changed.length,
+      inserted: 0,
+      updated: changed.length,
+      unchanged: 0,
+      failed: 0,
+    },
+    changed.map(({ before }) => ({ udise_code: before.udise_code, ay: before.ay, action: "update", before }))
+  );
+};
+
+// Re-resolves stored rows that still have a name without a code, e.g. after new
+// aliases were added, and canonicalizes user_scopes the same way so scoped users keep
+// matching the rewritten rows. The rows are recorded as one import batch.
+// Returns { rowsUpdated, scopesUpdated, batchId } (batchId is null when no row changed).
+const resolveStoredLocations = async ({ userId = null } = {}) => {
+  const missing = LOCATION_LEVELS.map((level) => `(${level} IS NOT NULL AND ${codeColumn(level)} IS NULL)`);
+  const batchId = crypto.randomUUID();
+  const changed = [];
+  let scopesUpdated = 0;
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      format("SELECT DISTINCT state, district, block, cluster FROM %I WHERE %s", TABLE_NAME, missing.join(" OR "))
+    );
+
+    for (let start = 0; start < result.rows.length; start += RESOLVE_BATCH_SIZE) {
+      const tuples = result.rows.slice(start, start + RESOLVE_BATCH_SIZE);
+      const resolved = await resolveLocations(tuples, client);
+
+      const changes = [];
+      tuples.forEach((tuple, i) => {
+        if (!LOCATION_LEVELS.some((level) => resolved[i][level])) return;
+        changes.push([
+          ...LOCATION_LEVELS.map((level) => tuple[level]),
+          ...LOCATION_LEVELS.map((level) => resolved[i][level]?.name ?? tuple[level]),
+          ...LOCATION_LEVELS.map((level) => resolved[i][level]?.code ?? null),
+        ]);
+      });
+      if (changes.length === 0) continue;
+
+      const oldColumns = LOCATION_LEVELS.map((level) => `old_${level}`);
+      const newColumns = LOCATION_LEVELS.map((level) => `new_${level}`);
+      const codeColumns = LOCATION_LEVELS.map(codeColumn);
+      const newCodeColumns = codeColumns.map((col) => `new_${col}`);
+      const matches = (alias) =>
+        LOCATION_LEVELS.map((level, i) => format("%I.%I IS NOT DISTINCT FROM v.%I", alias, level, oldColumns[i])).join(
+          " AND "
+        );
+      const update = await client.query(
+        format(
+          `WITH v (%I) AS (VALUES %L),
+           old AS (SELECT u.* FROM %I u JOIN v ON %s FOR UPDATE OF u)
+           UPDATE %I d SET %s, import_batch_id = %L, updated_at = NOW()
+           FROM old, v
+           WHERE d.local_id = old.local_id AND %s
+           RETURNING to_jsonb(old.*) AS before, to_jsonb(d.*) AS after`,
+          [...oldColumns, ...newColumns, ...newCodeColumns],
+          changes,
+          TABLE_NAME,
+          matches("u"),
+          TABLE_NAME,
+          LOCATION_LEVELS.map((level, i) =>
+            format("%I = v.%I, %I = v.%I", level, newColumns[i], codeColumns[i], newCodeColumns[i])
+          ).join(", "),
+          batchId,
+          matches("old")
+        )
+      );
+      changed.push(...update.rows);
+    }
+
+    await recordLocationBatch(client, { batchId, sourceRef: null, userId, mode: "resolve" }, changed);
+    scopesUpdated = await canonicalizeStoredScopes(client);
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  // Canonical names can differ from the stored spellings the aggregates are keyed by
+  if (changed.length > 0) await dashboardService.refreshAggregates();
+  return { rowsUpdated: changed.length, scopesUpdated, batchId: changed.length > 0 ? batchId : null };
+};
+
+// --- Master data ---
+
+const LOCATION_SELECT = `
+  SELECT l.location_id, l.level, l.code, l.name, p.code AS parent_code, l.created_at, l.updated_at,
+         ARRAY(SELECT a.alias FROM location_aliases a WHERE a.location_id = l.location_id ORDER BY a.alias) AS aliases
+  FROM locations l
+  LEFT JOIN locations p ON p.location_id = l.parent_id`;
+
+// API shape of a location row; `aliases` leaves out the spelling of the name itself
+const toLocation = (row) => ({
+  level: row.level,
+  code: row.code,
+  name: row.name,
+  parentCode: row.parent_code,
+  aliases: row.aliases.filter((alias) => normalizeLocationName(alias) !== normalizeLocationName(row.name)),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const findLocation = async (db, level, code) => {
+  const result = await db.query(`${LOCATION_SELECT} WHERE l.level = $1 AND l.code = $2`, [level, code]);
+  return result.rows[0];
+};
+
+// Filters: level, parentCode (needs level), q (matches the name or any alias)
+const listLocations = async ({ level = null, parentCode = null, q = null, page = 1, limit = 100 }) => {
+  const conditions = [];
+  const values = [];
+  let paramCount = 1;
+
+  if (level) {
+    conditions.push(`l.level = $${paramCount++}`);
+    values.push(level);
+  }
+  if (parentCode) {
+    conditions.push(`p.level = $${paramCount++} AND p.code = $${paramCount++}`);
+    values.push(parentLevel(level), parentCode);
+  }
+  if (q) {
+    conditions.push(
+      `EXISTS (SELECT 1 FROM location_aliases a WHERE a.location_id = l.location_id AND a.alias_key LIKE $${paramCount++})`
+    );
+    values.push(`%${normalizeLocationName(q).replace(/[\\%_]/g, "\\$&")}%`);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+  const offset = (page - 1) * limit;
+  const [locationsResult, countResult] = await Promise.all([
+    pool.query(
+      `${LOCATION_SELECT} ${whereClause}
+       ORDER BY array_position($${paramCount}::text[], l.level), l.name, l.code
+       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+      [...values, LOCATION_LEVELS, limit, offset]
+    ),
+    pool.query(
+      `SELECT COUNT(*) FROM locations l LEFT JOIN locations p ON p.location_id = l.parent_id ${whereClause}`,
+      values
+    ),
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+  return { locations: locationsResult.rows.map(toLocation), total, page, totalPages: Math.ceil(total / limit) };
+};
+
+// Adds spellings for a location. Returns the names already taken by another
+// location under the same parent.
+const addAliases = async (client, location, names) => {
+  const conflicts = [];
+  const seen = new Set();
+  for (const name of names) {
+    const key = normalizeLocationName(name);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const inserted = await client.query(
+      `INSERT INTO location_aliases (location_id, level, parent_id, alias, alias_key)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (level, COALESCE(parent_id, 0), alias_key) DO NOTHING`,
+      [location.location_id, location.level, location.parent_id, name.trim(), key]
+    );
+    if (inserted.rowCount > 0) continue;
+
+    const owner = await client.query(
+      "SELECT location_id FROM location_aliases WHERE level = $1 AND COALESCE(parent_id, 0) = COALESCE($2, 0) AND alias_key = $3",
+      [location.level, location.parent_id, key]
+    );
+    if (owner.rows[0].location_id !== location.location_id) conflicts.push(name);
+  }
+  return conflicts;
+};
+
+// Names of a location's parents, keyed by level
+const ancestorNames = async (client, location) => {
+  const names = {};
+  for (let parentId = location.parent_id; parentId; ) {
+    const parent = (
+      await client.query("SELECT level, name, parent_id FROM locations WHERE location_id = $1", [parentId])
+    ).rows[0];
+    names[parent.level] = parent.name;
+    parentId = parent.parent_id;
+  }
+  return names;
+};
+
+// Carries a rename (`location` is the renamed row, `from` its old name) into the places
+// that store location names, inside the rename's transaction: stored rows carrying the
+// location's code, recorded as an import batch (see recordLocationBatch), and the
+// user_scopes naming it. Returns { rows, scopes }, how many of each were rewritten.
+const renameStoredRows = async (client, location, from, userId) => {
+  const { level, code, name } = location;
+  const batchId = crypto.randomUUID();
+  const updated = await client.query(
+    format(
+      `WITH old AS (SELECT * FROM %I WHERE %I = $2 AND %I IS DISTINCT FROM $1 FOR UPDATE)
+       UPDATE %I d SET %I = $1, import_batch_id = $3, updated_at = NOW()
+       FROM old WHERE d.local_id = old.local_id
+       RETURNING to_jsonb(old.*) AS before, to_jsonb(d.*) AS after`,
+      TABLE_NAME,
+      codeColumn(level),
+      level,
+      TABLE_NAME,
+      level
+    ),
+    [name, code, batchId]
+  );
+  await recordLocationBatch(client, { batchId, sourceRef: `${level}:${code}`, userId, mode: "rename" }, updated.rows);
+
+  let scopes = 0;
+  if (SCOPE_LEVELS.includes(level)) {
+    scopes = await scopeService.renameScopeRegion(client, level, await ancestorNames(client, location), from, name);
+  }
+  return { rows: updated.rowCount, scopes };
+};
+
+// Creates or updates { level, code, name, parentCode?, aliases? } entries. Parents may
+// come earlier in the same batch. The old name of a renamed location is kept as an
+// alias, and given aliases are added to the existing ones. All-or-nothing: any
+// problem throws a 400 listing the rejected entries.
+const upsertLocations = async (entries, { userId = null } = {}) => {
+  const rejected = [];
+  entries.forEach((entry, index) => {
+    const errors = validateLocation(entry);
+    if (errors.length > 0) rejected.push({ index, code: entry?.code ?? null, reason: errors.join("; ") });
+  });
+  if (rejected.length > 0) throw badRequest(`${rejected.length} location(s) failed validation`, rejected);
+
+  const ordered = entries
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) => LOCATION_LEVELS.indexOf(a.entry.level) - LOCATION_LEVELS.indexOf(b.entry.level));
+
+  const counts = { created: 0, updated: 0, unchanged: 0 };
+  const renamed = [];
+  let rowsRenamed = 0;
+  let scopesRenamed = 0;
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    for (const { entry, index } of ordered) {
+      const reject = (reason) => rejected.push({ index, code: entry.code, reason });
+      const name = entry.name.trim();
+
+      let parentId = null;
+      if (entry.level !== "state") {
+        const parent = await client.query("SELECT location_id FROM locations WHERE level = $1 AND code = $2", [
+          parentLevel(entry.level),
+          entry.parentCode,
+        ]);
+        if (parent.rows.length === 0) {
+          reject(`${parentLevel(entry.level)} ${entry.parentCode} does not exist`);
+          continue;
+        }
+        parentId = parent.rows[0].location_id;
+      }
+
+      const existing = await client.query("SELECT * FROM locations WHERE level = $1 AND code = $2 FOR UPDATE", [
+        entry.level,
+        entry.code,
+      ]);
+      let location = existing.rows[0];
+      if (location && location.parent_id !== parentId) {
+        reject("a location cannot move to a different parent; delete and recreate it");
+        continue;
+      }
+
+      if (!location) {
+        const created = await client.query(
+          "INSERT INTO locations (level, code, name, parent_id) VALUES ($1, $2, $3, $4) RETURNING *",
+          [entry.level, entry.code, name, parentId]
+        );
+        location = created.rows[0];
+        counts.created++;
+      } else if (location.name !== name) {
+        renamed.push({ level: entry.level, code: entry.code, from: location.name, to: name });
+        const updated = await client.query(
+          "UPDATE locations SET name = $1, updated_at = NOW() WHERE location_id = $2 RETURNING *",
+          [name, location.location_id]
+        );
+        const stored = await renameStoredRows(client, updated.rows[0], location.name, userId);
+        location = updated.rows[0];
+        rowsRenamed += stored.rows;
+        scopesRenamed += stored.scopes;
+        counts.updated++;
+      } else {
+        counts.unchanged++;
+      }
+
+      const conflicts = await addAliases(client, location, [name, ...(entry.aliases || [])]);
+      if (conflicts.length > 0) {
+        reject(`already used by another ${entry.level} under the same parent: ${conflicts.join(", ")}`);
+      }
+    }
+
+    if (rejected.length > 0) {
+      await client.query("ROLLBACK");
+      throw badRequest(`${rejected.length} location(s) were rejected`, rejected.sort((a, b) => a.index - b.index));
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    if (!err.rejected) await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (rowsRenamed > 0) await dashboardService.refreshAggregates();
+  return { ...counts, renamed, rowsRenamed, scopesRenamed };
+};
+
+// Changes a location's name and, when `aliases` is given, replaces its alias list.
+// Returns { before, after, rowsRenamed, scopesRenamed }, or null for an unknown location.
+const updateLocation = async (level, code, { name, aliases }, { userId = null } = {}) => {
+  const errors = [];
+  if (name !== undefined && (typeof name !== "string" || normalizeLocationName(name) === "")) {
+    errors.push("name must be a non-empty string");
+  }
+  if (
+    aliases !== undefined &&
+    (!Array.isArray(aliases) || aliases.some((a) => typeof a !== "string" || normalizeLocationName(a) === ""))
+  ) {
+    errors.push("aliases must be an array of non-empty names");
+  }
+  if (errors.length > 0) throw Object.assign(new Error(errors.join("; ")), { status: 400, errors });
+
+  let rowsRenamed = 0;
+  let scopesRenamed = 0;
+  let before;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    before = await findLocation(client, level, code);
+    if (!before) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const locationResult = await client.query("SELECT * FROM locations WHERE location_id = $1 FOR UPDATE", [
+      before.location_id,
+    ]);
+    let location = locationResult.rows[0];
+    const nextName = name !== undefined ? name.trim() : location.name;
+    if (nextName !== location.name) {
+      const updated = await client.query(
+        "UPDATE locations SET name = $1, updated_at = NOW() WHERE location_id = $2 RETURNING *",
+        [nextName, location.location_id]
+      );
+      const stored = await renameStoredRows(client, updated.rows[0], location.name, userId);
+      location = updated.rows[0];
+      rowsRenamed = stored.rows;
+      scopesRenamed = stored.scopes;
+    }
+
+    if (aliases !== undefined) {
+      const keep = [nextName, ...aliases].map(normalizeLocationName);
+      await client.query("DELETE FROM location_aliases WHERE location_id = $1 AND NOT (alias_key = ANY($2::text[]))", [
+        location.location_id,
+        keep,
+      ]);
+    }
+    const conflicts = await addAliases(client, location, [nextName, ...(aliases || [])]);
+    if (conflicts.length > 0) {
+      const err = new Error(`Already used by another ${level} under the same parent: ${conflicts.join(", ")}`);
+      err.status = 409;
+      throw err;
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (rowsRenamed > 0) await dashboardService.refreshAggregates();
+  const after = await findLocation(pool, level, code);
+  return { before: toLocation(before), after: toLocation(after), rowsRenamed, scopesRenamed };
+};
+
+// Removes a location without children. Stored rows keep their names but lose the
+// code, so they show up as unresolved until re-resolved. Returns the deleted location or null.
+const deleteLocation = async (level, code) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const location = await findLocation(client, level, code);
+    if (!location) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const children = await client.query("SELECT COUNT(*) FROM locations WHERE parent_id = $1", [
+      location.location_id,
+    ]);
+    if (parseInt(children.rows[0].count) > 0) {
+      const err = new Error(`${level} ${code} still has ${children.rows[0].count} child location(s)`);
+      err.status = 409;
+      throw err;
+    }
+
+    await client.query(format("UPDATE %I SET %I = NULL WHERE %I = $1", TABLE_NAME, codeColumn(level), codeColumn(level)), [
+      code,
+    ]);
+    await client.query("DELETE FROM locations WHERE location_id = $1", [location.location_id]);
+    await client.query("COMMIT");
+    return toLocation(location);
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// --- Reporting ---
+
+// Stored names at `level` that have no code, with the names above them and a row count
+const listUnresolved = async ({ level = "district", scope = null, page = 1, limit = 100 }) => {
+  const columns = LOCATION_LEVELS.slice(0, LOCATION_LEVELS.indexOf(level) + 1);
+  const conditions = [format("%I IS NOT NULL AND %I IS NULL", level, codeColumn(level))];
+  const scopeClause = scopeService.buildScopeClause(scope);
+  if (scopeClause) conditions.push(scopeClause);
+  const whereClause = `WHERE ${conditions.join(" AND ")}`;
+  const offset = (page - 1) * limit;
+
+  const [itemsResult, countResult] = await Promise.all([
+    pool.query(
+      format(
+        "SELECT %I, COUNT(*) AS row_count FROM %I %s GROUP BY %I ORDER BY %I LIMIT $1 OFFSET $2",
+        columns,
+        TABLE_NAME,
+        whereClause,
+        columns,
+        columns
+      ),
+      [limit, offset]
+    ),
+    pool.query(format("SELECT COUNT(*) FROM (SELECT DISTINCT %I FROM %I %s) u", columns, TABLE_NAME, whereClause)),
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+  return {
+    level,
+    unresolved: itemsResult.rows.map((row) => ({ ...row, row_count: parseInt(row.row_count) })),
+    total,
+    page,
+    totalPages: Math.ceil(total / limit),
+  };
+};
+
+// Number of distinct unresolved names per level
+const countUnresolved = async (scope = null) => {
+  const scopeClause = scopeService.buildScopeClause(scope);
+  const result = await pool.query(
+    format(
+      "SELECT %s FROM %I %s",
+      LOCATION_LEVELS.map((level) => {
+        const path = LOCATION_LEVELS.slice(0, LOCATION_LEVELS.indexOf(level) + 1);
+        return format(
+          "COUNT(DISTINCT (%s)) FILTER (WHERE %I IS NOT NULL AND %I IS NULL) AS %I",
+          path.map((col) => format("COALESCE(%I, '')", col)).join(" || '|' || "),
+          level,
+          codeColumn(level),
+          level
+        );
+      }).join(", "),
+      TABLE_NAME,
+      scopeClause ? `WHERE ${scopeClause}` : ""
+    )
+  );
+  return Object.fromEntries(LOCATION_LEVELS.map((level) => [level, parseInt(result.rows[0][level])]));
+};
+
+// Canonical state > district > block tree of the resolved locations that have rows
+// in the caller's scope: [{ code, name, districts: [{ code, name, blocks: [{ code, name }] }] }]
+const getLocationHierarchy = async (scope = null) => {
+  const scopeClause = scopeService.buildScopeClause(scope);
+  const result = await pool.query(
+    format(
+      `SELECT s.code AS state_code, s.name AS state_name,
+              d.code AS district_code, d.name AS district_name,
+              b.code AS block_code, b.name AS block_name
+       FROM (SELECT DISTINCT state_code, district_code, block_code FROM %I
+             WHERE state_code IS NOT NULL %s) u
+       JOIN locations s ON s.level = 'state' AND s.code = u.state_code
+       LEFT JOIN locations d ON d.level = 'district' AND d.code = u.district_code
+       LEFT JOIN locations b ON b.level = 'block' AND b.code = u.block_code
+       ORDER BY s.name, d.name, b.name`,
+      TABLE_NAME,
+      scopeClause ? `AND ${scopeClause}` : ""
+    )
+  );
+
+  const states = new Map();
+  for (const row of result.rows) {
+    if (!states.has(row.state_code)) {
+      states.set(row.state_code, { code: row.state_code, name: row.state_name, districts: new Map() });
+    }
+    const districts = states.get(row.state_code).districts;
+    if (!row.district_code) continue;
+    if (!districts.has(row.district_code)) {
+      districts.set(row.district_code, { code: row.district_code, name: row.district_name, blocks: [] });
+    }
+    if (row.block_code) districts.get(row.district_code).blocks.push({ code: row.block_code, name: row.block_name });
+  }
+
+  return [...states.values()].map((state) => ({ ...state, districts: [...state.districts.values()] }));
+};
+
+module.exports = {
+  resolveLocations,
+  applyLocations,
+  canonicalizeScopes,
+  resolveStoredLocations,
+  listLocations,
+  upsertLocations,
+  updateLocation,
+  deleteLocation,
+  listUnresolved,
+  countUnresolved,
+  getLocationHierarchy,
+};
@@ -0,0 +1,139 @@
+const fs = require("fs");
+const path = require("path");
+const pool = require("../db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+// Arbitrary constant so two processes never run migrations at the same time.
+const MIGRATION_LOCK_ID = 72630514;
+
+const loadMigrations = () => {
+  const migrations = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+    .map((file) => {
+      const [, version, name] = MIGRATION_FILE_PATTERN.exec(file);
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== "function" || typeof migration.down !== "function") {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version: parseInt(version), name, file, ...migration };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((m, i) => {
+    if (i > 0 && migrations[i - 1].version === m.version) {
+      throw new Error(`Duplicate migration version ${m.version}`);
+    }
+  });
+
+  return migrations;
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`
+  );
+};
+
+const getAppliedVersions = async (client) => {
+  const result = await client.query("SELECT version FROM schema_migrations ORDER BY version");
+  return new Set(result.rows.map((r) => r.version));
+};
+
+// Runs fn with a dedicated client holding the migration lock.
+const withMigrationLock = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+};
+
+// Each migration runs in its own transaction together with its tracking row.
+const runMigration = async (client, migration, direction) => {
+  await client.query("BEGIN");
+  try {
+    await migration[direction](client);
+    if (direction === "up") {
+      await client.query("INSERT INTO schema_migrations (version, name) VALUES ($1, $2)", [
+        migration.version,
+        migration.name,
+      ]);
+    } else {
+      await client.query("DELETE FROM schema_migrations WHERE version = $1", [migration.version]);
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    err.message = `Migration ${migration.file} (${direction}) failed: ${err.message}`;
+    throw err;
+  }
+};
+
+const migrateUp = async ({ to } = {}) => {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedVersions(client);
+    const pending = migrations.filter((m) => !applied.has(m.version) && (to === undefined || m.version <= to));
+
+    for (const migration of pending) {
+      await runMigration(client, migration, "up");
+    }
+    return pending.map((m) => m.file);
+  });
+};
+
+// Rolls back `steps` migrations, or everything above version `to` when given.
+const migrateDown = async ({ steps = 1, to } = {}) => {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedVersions(client);
+    let targets = migrations.filter((m) => applied.has(m.version)).reverse();
+    targets = to !== undefined ? targets.filter((m) => m.version > to) : targets.slice(0, steps);
+
+    for (const migration of targets) {
+      await runMigration(client, migration, "down");
+    }
+    return targets.map((m) => m.file);
+  });
+};
+
+const getStatus = async () => {
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const result = await client.query("SELECT version, applied_at FROM schema_migrations");
+    const appliedAt = new Map(result.rows.map((r) => [r.version, r.applied_at]));
+    const known = new Set(migrations.map((m) => m.version));
+
+    return {
+      migrations: migrations.map((m) => ({
+        version: m.version,
+        name: m.name,
+        applied: appliedAt.has(m.version),
+        applied_at: appliedAt.get(m.version) || null,
+      })),
+      // Versions recorded in the database with no matching file on disk
+      unknown: result.rows.filter((r) => !known.has(r.version)).map((r) => r.version),
+    };
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  getStatus,
+};
@@ -0,0 +1,157 @@
+const pool = require("../db");
+
+// Every action the API knows how to authorize.
+const PERMISSIONS = [
+  "schools:read",
+  "schools:write",
+  "schools:export",
+  "udise:proxy",
+  "users:manage",
+  "users:delete",
+  "roles:manage",
+  "audit:read",
+  "jobs:manage",
+  "cache:manage",
+  "quality:read",
+  "quality:manage",
+  "locations:manage",
+  "imports:manage",
+  "apikeys:manage",
+];
+
+// Built-in roles. Custom roles live in the `roles` table and cannot reuse these names.
+const BUILT_IN_ROLES = {
+  user: ["schools:read", "schools:export", "udise:proxy", "quality:read"],
+  admin: [
+    "schools:read",
+    "schools:write",
+    "schools:export",
+    "udise:proxy",
+    "users:manage",
+    "roles:manage",
+    "audit:read",
+    "jobs:manage",
+    "cache:manage",
+    "quality:read",
+    "quality:manage",
+    "locations:manage",
+    "imports:manage",
+    "apikeys:manage",
+  ],
+  super_admin: [...PERMISSIONS],
+};
+
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+let customRoleCache = { roles: null, expiresAt: 0 };
+
+const invalidateRoleCache = () => {
+  customRoleCache = { roles: null, expiresAt: 0 };
+};
+
+const getCustomRoles = async () => {
+  if (customRoleCache.roles && customRoleCache.expiresAt > Date.now()) {
+    return customRoleCache.roles;
+  }
+
+  const result = await pool.query(
+    "SELECT role_name, description, permissions, created_by, created_at, updated_at FROM roles ORDER BY role_name"
+  );
+
+  const roles = new Map(result.rows.map((r) => [r.role_name, r]));
+  customRoleCache = { roles, expiresAt: Date.now() + ROLE_CACHE_TTL_MS };
+  return roles;
+};
+
+const getRolePermissions = async (roleName) => {
+  if (BUILT_IN_ROLES[roleName]) return BUILT_IN_ROLES[roleName];
+  const custom = (await getCustomRoles()).get(roleName);
+  return custom ? custom.permissions : [];
+};
+
+const roleExists = async (roleName) => {
+  if (BUILT_IN_ROLES[roleName]) return true;
+  return (await getCustomRoles()).has(roleName);
+};
+
+const hasPermissions = async (roleName, required) => {
+  const granted = await getRolePermissions(roleName);
+  return required.every((p) => granted.includes(p));
+};
+
+// What a request may do: its role's permissions, narrowed to the key's own list when
+// it authenticated with an API key (see apiKeyService.verifyApiKey)
+const getUserPermissions = async (user) => {
+  const granted = await getRolePermissions(user.role);
+  return user.apiKeyPermissions ? granted.filter((p) => user.apiKeyPermissions.includes(p)) : granted;
+};
+
+const userHasPermissions = async (user, required) => {
+  const granted = await getUserPermissions(user);
+  return required.every((p) => granted.includes(p));
+};
+
+// A role can only be handed out by someone who already holds every permission it carries.
+// `actor` is the requesting user, so a request made with an API key only counts the key's permissions.
+const canGrantRole = async (actor, targetRole) => {
+  const targetPermissions = await getRolePermissions(targetRole);
+  return userHasPermissions(actor, targetPermissions);
+};
+
+const listRoles = async () => {
+  const custom = await getCustomRoles();
+  return [
+    ...Object.entries(BUILT_IN_ROLES).map(([role_name, permissions]) => ({
+      role_name,
+      permissions,
+      built_in: true,
+    })),
+    ...[...custom.values()].map((r) => ({ ...r, built_in: false })),
+  ];
+};
+
+const createRole = async ({ role_name, description, permissions, created_by }) => {
+  const result = await pool.query(
+    `INSERT INTO roles (role_name, description, permissions, created_by)
+     VALUES ($1, $2, $3, $4) RETURNING *`,
+    [role_name, description || null, permissions, created_by]
+  );
+  invalidateRoleCache();
+  return result.rows[0];
+};
+
+const updateRole = async (roleName, { description, permissions }) => {
+  const result = await pool.query(
+    `UPDATE roles SET description = COALESCE($1, description), permissions = COALESCE($2, permissions),
+     updated_at = NOW() WHERE role_name = $3 RETURNING *`,
+    [description, permissions, roleName]
+  );
+  invalidateRoleCache();
+  return result.rows[0];
+};
+
+const countUsersWithRole = async (roleName) => {
+  const result = await pool.query("SELECT COUNT(*) FROM users WHERE role = $1", [roleName]);
+  return parseInt(result.rows[0].count);
+};
+
+const deleteRole = async (roleName) => {
+  const result = await pool.query("DELETE FROM roles WHERE role_name = $1", [roleName]);
+  invalidateRoleCache();
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  getRolePermissions,
+  roleExists,
+  hasPermissions,
+  getUserPermissions,
+  userHasPermissions,
+  canGrantRole,
+  listRoles,
+  createRole,
+  updateRole,
+  countUsersWithRole,
+  deleteRole,
+};
@@ -0,0 +1,446 @@
+const format = require("pg-format");
+const pool = require("../db");
+const schoolService = require("./schoolService");
+const schoolModel = require("../models/schoolModel");
+const enrolmentModel = require("../models/enrolmentModel");
+
+const TABLE_NAME = "udise_data";
+
+// Coarsest to finest; a report at one level groups by it and every level above it
+const GEOGRAPHY_LEVELS = ["state", "district", "block", "cluster"];
+const SCHOOL_CHANGES = ["appeared", "disappeared", "category_changed"];
+const MEASURES = [
+  { key: "students", column: "total_students" },
+  { key: "boys", column: "total_boys" },
+  { key: "girls", column: "total_girls" },
+];
+
+const levelColumns = (level) => GEOGRAPHY_LEVELS.slice(0, GEOGRAPHY_LEVELS.indexOf(level) + 1);
+
+const percentChange = (from, to) => (from !== 0 ? Math.round(((to - from) / from) * 1000) / 10 : null);
+
+const emptyChanges = () => ({ appeared: 0, disappeared: 0, categoryChanged: 0 });
+const changeKey = (change) => (change === "category_changed" ? "categoryChanged" : change);
+
+// `filters` narrows by parent geography ({ state, district, block }); the shared
+// search filter also applies the caller's scope. Returns the WHERE clause, its
+// values and the placeholders for the two academic years.
+const buildComparisonFilter = ({ fromAy, toAy, filters = {} }, scope) => {
+  const geoFilters = {};
+  for (const level of GEOGRAPHY_LEVELS) {
+    if (filters[level]) geoFilters[level] = [filters[level]];
+  }
+  const { whereClause, values } = schoolService.buildSearchFilter({ filters: geoFilters }, scope);
+  const fromParam = `$${values.length + 1}`;
+  const toParam = `$${values.length + 2}`;
+  return { whereClause, values: [...values, fromAy, toAy], fromParam, toParam };
+};
+
+// Schools present in only one of the two years, or whose category changed between
+// them. Each row is placed in its `toAy` geography, or `fromAy` if it disappeared.
+const schoolChangesSql = ({ whereClause, fromParam, toParam }) => {
+  const yearRows = (param) =>
+    format(
+      "SELECT udise_code, school_name, %I, school_category FROM %I %s AND ay = %s",
+      GEOGRAPHY_LEVELS,
+      TABLE_NAME,
+      whereClause,
+      param
+    );
+  const geography = GEOGRAPHY_LEVELS.map((col) => format("COALESCE(t.%I, f.%I) AS %I", col, col, col)).join(", ");
+
+  return `
+    SELECT COALESCE(t.udise_code, f.udise_code) AS udise_code,
+           COALESCE(t.school_name, f.school_name) AS school_name,
+           ${geography},
+           f.school_category AS from_category,
+           t.school_category AS to_category,
+           CASE WHEN f.udise_code IS NULL THEN 'appeared'
+                WHEN t.udise_code IS NULL THEN 'disappeared'
+                ELSE 'category_changed' END AS change
+    FROM (${yearRows(fromParam)}) f
+    FULL JOIN (${yearRows(toParam)}) t ON t.udise_code = f.udise_code
+    WHERE f.udise_code IS NULL OR t.udise_code IS NULL
+       OR f.school_category IS DISTINCT FROM t.school_category`;
+};
+
+const toMeasures = (row, prefix) => {
+  const measures = { schools: parseInt(row[`${prefix}_schools`]) };
+  for (const { key } of MEASURES) measures[key] = parseInt(row[`${prefix}_${key}`]);
+  return measures;
+};
+
+const deltaOf = (from, to) => Object.fromEntries(Object.keys(from).map((key) => [key, to[key] - from[key]]));
+
+const summarize = (from, to, changes) => ({
+  from,
+  to,
+  delta: deltaOf(from, to),
+  studentsChangePercent: percentChange(from.students, to.students),
+  changes,
+});
+
+// Per-unit school counts and enrolment for two academic years at one geography level,
+// with deltas and counts of appeared / disappeared / re-categorised schools.
+const compareAcademicYears = async ({ fromAy, toAy, level, filters = {} }, scope = null) => {
+  const groupColumns = levelColumns(level);
+  const filter = buildComparisonFilter({ fromAy, toAy, filters }, scope);
+  const { whereClause, values, fromParam, toParam } = filter;
+
+  const aggregates = [
+    `COUNT(*) FILTER (WHERE ay = ${fromParam}) AS from_schools`,
+    `COUNT(*) FILTER (WHERE ay = ${toParam}) AS to_schools`,
+  ];
+  for (const { key, column } of MEASURES) {
+    for (const [prefix, param] of [["from", fromParam], ["to", toParam]]) {
+      aggregates.push(format(`COALESCE(SUM(%I) FILTER (WHERE ay = ${param}), 0) AS %I`, column, `${prefix}_${key}`));
+    }
+  }
+
+  const [unitsResult, changesResult] = await Promise.all([
+    pool.query(
+      format(
+        `SELECT %I, %s FROM %I %s AND ay IN (${fromParam}, ${toParam})
+         GROUP BY %I ORDER BY %I`,
+        groupColumns,
+        aggregates.join(", "),
+        TABLE_NAME,
+        whereClause,
+        groupColumns,
+        groupColumns
+      ),
+      values
+    ),
+    pool.query(
+      format(
+        "SELECT %I, change, COUNT(*) AS count FROM (%s) changes GROUP BY %I, change",
+        groupColumns,
+        schoolChangesSql(filter),
+        groupColumns
+      ),
+      values
+    ),
+  ]);
+
+  const unitKey = (row) => JSON.stringify(groupColumns.map((col) => row[col]));
+  const changesByUnit = new Map();
+  const totalChanges = emptyChanges();
+  for (const row of changesResult.rows) {
+    const key = unitKey(row);
+    if (!changesByUnit.has(key)) changesByUnit.set(key, emptyChanges());
+    changesByUnit.get(key)[changeKey(row.change)] += parseInt(row.count);
+    totalChanges[changeKey(row.change)] += parseInt(row.count);
+  }
+
+  const totalFrom = { schools: 0, students: 0, boys: 0, girls: 0 };
+  const totalTo = { ...totalFrom };
+  const units = unitsResult.rows.map((row) => {
+    const from = toMeasures(row, "from");
+    const to = toMeasures(row, "to");
+    for (const key of Object.keys(totalFrom)) {
+      totalFrom[key] += from[key];
+      totalTo[key] += to[key];
+    }
+    return {
+      ...Object.fromEntries(groupColumns.map((col) => [col, row[col]])),
+      ...summarize(from, to, changesByUnit.get(unitKey(row)) || emptyChanges()),
+    };
+  });
+
+  return {
+    fromAy,
+    toAy,
+    level,
+    filters,
+    totals: summarize(totalFrom, totalTo, totalChanges),
+    units,
+  };
+};
+
+// The schools behind the change counts, optionally narrowed to one kind of change.
+// Returns { items, total }.
+const listSchoolChanges = async ({ fromAy, toAy, filters = {}, change = null, limit = 100, offset = 0 }, scope = null) => {
+  const filter = buildComparisonFilter({ fromAy, toAy, filters }, scope);
+  const values = [...filter.values];
+  let changeClause = "";
+  if (change) {
+    values.push(change);
+    changeClause = `WHERE change = $${values.length}`;
+  }
+  const changesSql = `WITH changes AS (${schoolChangesSql(filter)}) SELECT * FROM changes ${changeClause}`;
+
+  const [itemsResult, countResult] = await Promise.all([
+    pool.query(
+      `${changesSql} ORDER BY change, udise_code LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    ),
+    pool.query(`SELECT COUNT(*) AS total FROM (${changesSql}) c`, values),
+  ]);
+
+  return { items: itemsResult.rows, total: parseInt(countResult.rows[0].total) };
+};
+
+// Flat columns for the CSV form of a comparison's units
+const comparisonCsvColumns = (level) => {
+  const columns = levelColumns(level).map((col) => ({ field: col, label: col }));
+  for (const key of ["schools", ...MEASURES.map((m) => m.key)]) {
+    for (const part of ["from", "to", "delta"]) {
+      columns.push({ field: `${part}_${key}`, label: `${part}_${key}` });
+    }
+  }
+  columns.push({ field: "students_change_percent", label: "students_change_percent" });
+  for (const key of Object.keys(emptyChanges())) {
+    columns.push({ field: key, label: key.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`) });
+  }
+  return columns;
+};
+
+const flattenComparisonUnit = (unit) => {
+  const row = { ...unit, students_change_percent: unit.studentsChangePercent, ...unit.changes };
+  for (const part of ["from", "to", "delta"]) {
+    for (const [key, value] of Object.entries(unit[part])) row[`${part}_${key}`] = value;
+  }
+  return row;
+};
+
+const SCHOOL_CHANGE_CSV_COLUMNS = [
+  "udise_code",
+  "school_name",
+  ...GEOGRAPHY_LEVELS,
+  "change",
+  "from_category",
+  "to_category",
+].map((field) => ({ field, label: field }));
+
+// --- Pivot analytics ---
+
+// Columns a pivot can group by: descriptive text fields, facility flags and founding year
+const PIVOT_DIMENSIONS = schoolModel.SCHOOL_FIELDS.filter(
+  (f) => (f.type === "text" || f.type === "boolean") && !["udise_code", "school_name"].includes(f.name)
+)
+  .map((f) => f.name)
+  .concat("year_of_establishment");
+
+const ratio = (numerator, denominator) =>
+  `ROUND(${numerator}::numeric / NULLIF(${denominator}, 0), 4)`;
+
+// Metric name -> SQL aggregate over udise_data, or a function of the parsed query
+// for metrics over its enrolment selection (all cells when it has none)
+const selectedEnrolment = (query) => schoolService.selectedEnrolmentSql(query.enrolment || {});
+
+const PIVOT_METRICS = {
+  school_count: "COUNT(*)",
+  ...Object.fromEntries(
+    ["total_students", "total_boys", "total_girls", "total_teachers", "total_classrooms"].map((col) => [
+      col,
+      format("SUM(%I)", col),
+    ])
+  ),
+  avg_students: "ROUND(AVG(total_students), 2)",
+  avg_teachers: "ROUND(AVG(total_teachers), 2)",
+  avg_classrooms: "ROUND(AVG(total_classrooms), 2)",
+  // Girls as a share of enrolment, over schools reporting both boys and girls
+  girl_ratio: ratio(
+    "SUM(total_girls) FILTER (WHERE total_boys IS NOT NULL)",
+    "SUM(total_boys + total_girls)"
+  ),
+  pupil_teacher_ratio: ratio(
+    "SUM(total_students) FILTER (WHERE total_teachers IS NOT NULL)",
+    "SUM(total_teachers) FILTER (WHERE total_students IS NOT NULL)"
+  ),
+  // Share of schools (with the flag reported) that have the facility
+  ...Object.fromEntries(
+    schoolModel.SCHOOL_FIELDS.filter((f) => f.type === "boolean").map((f) => [
+      `share_${f.name}`,
+      format("ROUND(AVG(%I::int), 4)", f.name),
+    ])
+  ),
+  // e.g. Class 1-3 girls: enrolment { grades: { min: 1, max: 3 }, genders: ["girls"] }
+  selected_enrolment: (query) => `SUM(${selectedEnrolment(query)})`,
+  avg_selected_enrolment: (query) => `ROUND(AVG(${selectedEnrolment(query)}), 2)`,
+};
+
+const metricSql = (metric, query) =>
+  typeof PIVOT_METRICS[metric] === "function" ? PIVOT_METRICS[metric](query) : PIVOT_METRICS[metric];
+
+const MAX_PIVOT_DIMENSIONS = 4;
+const MAX_PIVOT_METRICS = 10;
+const MAX_PIVOT_COLUMNS = 200;
+const MAX_PIVOT_GROUPS = parseInt(process.env.ANALYTICS_MAX_GROUPS) || 10000;
+const PIVOT_TIMEOUT_MS = parseInt(process.env.ANALYTICS_TIMEOUT_MS) || 30000;
+
+const pivotError = (status, errors) =>
+  Object.assign(new Error(errors.join("; ")), { status, errors });
+
+// Validates the pivot part of a request:
+//   { dimensions: ["state", "ay"], metrics: ["school_count"], pivot?: "ay",
+//     sort?: ["-school_count"], limit? }
+// Filters and the enrolment selection are parsed separately with schoolQuery.
+// Throws a 400 listing every problem.
+const parsePivotRequest = ({ dimensions, metrics = ["school_count"], pivot = null, sort = [], limit } = {}) => {
+  const errors = [];
+  const dims = Array.isArray(dimensions) ? [...new Set(dimensions)] : [];
+  const mets = Array.isArray(metrics) ? [...new Set(metrics)] : [];
+
+  if (dims.length === 0 || dims.length > MAX_PIVOT_DIMENSIONS) {
+    errors.push(`dimensions needs between 1 and ${MAX_PIVOT_DIMENSIONS} entries`);
+  }
+  for (const dim of dims) {
+    if (!PIVOT_DIMENSIONS.includes(dim)) errors.push(`'${dim}' is not a pivot dimension`);
+  }
+  if (mets.length === 0 || mets.length > MAX_PIVOT_METRICS) {
+    errors.push(`metrics needs between 1 and ${MAX_PIVOT_METRICS} entries`);
+  }
+  for (const metric of mets) {
+    if (!(metric in PIVOT_METRICS)) errors.push(`'${metric}' is not a pivot metric`);
+  }
+  if (pivot !== null && !dims.includes(pivot)) errors.push("pivot must be one of the requested dimensions");
+
+  const sortKeys = [];
+  const rawSort = [].concat(sort ?? []);
+  if (pivot !== null && rawSort.length > 0) errors.push("sort cannot be combined with pivot");
+  for (const entry of rawSort) {
+    const field = String(entry).replace(/^-/, "");
+    if (!dims.includes(field) && !mets.includes(field)) {
+      errors.push(`cannot sort by '${field}'; sort by a requested dimension or metric`);
+    } else {
+      sortKeys.push({ field, direction: String(entry).startsWith("-") ? "desc" : "asc" });
+    }
+  }
+
+  let rowLimit = MAX_PIVOT_GROUPS;
+  if (limit !== undefined && limit !== null) {
+    rowLimit = parseInt(limit);
+    if (!(rowLimit >= 1 && rowLimit <= MAX_PIVOT_GROUPS)) errors.push(`limit must be between 1 and ${MAX_PIVOT_GROUPS}`);
+  }
+
+  if (errors.length > 0) throw pivotError(400, errors);
+  return { dimensions: dims, metrics: mets, pivot, sort: sortKeys, limit: rowLimit };
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+// Groups the filtered schools by `dimensions` and computes `metrics`.
+// Without `pivot` returns flat rows ({ ...dimensions, ...metrics }), sorted and limited.
+// With `pivot`, that dimension's values become columns and each row holds one cell
+// (metrics, or null when the group is empty) per column.
+const runPivot = async ({ query, dimensions, metrics, pivot = null, sort = [], limit = MAX_PIVOT_GROUPS }, scope = null) => {
+  const { whereClause, values } = schoolService.buildSearchFilter(query, scope);
+  const rowDimensions = dimensions.filter((dim) => dim !== pivot);
+  const orderBy = (pivot ? [...rowDimensions, pivot].map((field) => ({ field, direction: "asc" })) : sort)
+    .concat(dimensions.map((field) => ({ field, direction: "asc" })))
+    .map(({ field, direction }) => format(`%I ${direction} NULLS LAST`, field));
+
+  const sql = format(
+    "SELECT %I, %s FROM %I %s GROUP BY %I ORDER BY %s LIMIT %s",
+    dimensions,
+    metrics.map((metric) => format("%s AS %I", metricSql(metric, query), metric)).join(", "),
+    TABLE_NAME,
+    whereClause,
+    dimensions,
+    orderBy.join(", "),
+    (pivot ? MAX_PIVOT_GROUPS : limit) + 1
+  );
+
+  const client = await pool.connect();
+  let rows;
+  try {
+    await client.query("BEGIN");
+    await client.query(format("SET LOCAL statement_timeout = %L", PIVOT_TIMEOUT_MS));
+    rows = (await client.query(sql, values)).rows;
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    if (err.code === "57014") {
+      throw pivotError(504, ["The pivot took too long; add filters or use fewer dimensions"]);
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  for (const row of rows) {
+    for (const metric of metrics) row[metric] = toNumber(row[metric]);
+  }
+
+  if (!pivot) {
+    const truncated = rows.length > limit;
+    return { dimensions, metrics, pivot, rows: rows.slice(0, limit), truncated };
+  }
+
+  if (rows.length > MAX_PIVOT_GROUPS) {
+    throw pivotError(400, [`The pivot has more than ${MAX_PIVOT_GROUPS} groups; add filters or use fewer dimensions`]);
+  }
+
+  const columns = [...new Set(rows.map((row) => row[pivot]))].sort((a, b) =>
+    a === null ? 1 : b === null ? -1 : a < b ? -1 : a > b ? 1 : 0
+  );
+  if (columns.length > MAX_PIVOT_COLUMNS) {
+    throw pivotError(400, [`'${pivot}' has ${columns.length} values; pivot on a dimension with at most ${MAX_PIVOT_COLUMNS}`]);
+  }
+
+  const columnIndex = new Map(columns.map((value, i) => [value, i]));
+  const grouped = new Map();
+  for (const row of rows) {
+    const key = JSON.stringify(rowDimensions.map((dim) => row[dim]));
+    if (!grouped.has(key)) {
+      grouped.set(key, {
+        ...Object.fromEntries(rowDimensions.map((dim) => [dim, row[dim]])),
+        cells: columns.map(() => null),
+      });
+    }
+    grouped.get(key).cells[columnIndex.get(row[pivot])] = Object.fromEntries(metrics.map((m) => [m, row[m]]));
+  }
+
+  return { dimensions: rowDimensions, metrics, pivot, columns, rows: [...grouped.values()], truncated: false };
+};
+
+// Values an enrolment selection can pick from; categories are whatever sources reported
+const getEnrolmentOptions = async () => {
+  const result = await pool.query(
+    format("SELECT DISTINCT category FROM school_enrolment WHERE category <> %L ORDER BY category", enrolmentModel.ALL)
+  );
+  return {
+    grades: enrolmentModel.GRADES,
+    genders: enrolmentModel.GENDERS,
+    categories: result.rows.map((row) => row.category),
+  };
+};
+
+// Flat CSV columns and rows for a runPivot result; pivoted cells become "<metric> [<value>]" columns
+const pivotToCsv = (result) => {
+  const columns = result.dimensions.map((dim) => ({ field: dim, label: dim }));
+  if (!result.pivot) {
+    return { columns: columns.concat(result.metrics.map((m) => ({ field: m, label: m }))), rows: result.rows };
+  }
+
+  result.columns.forEach((value, i) => {
+    for (const metric of result.metrics) {
+      columns.push({ field: `${i}:${metric}`, label: `${metric} [${value ?? "(blank)"}]` });
+    }
+  });
+  const rows = result.rows.map((row) => {
+    const flat = { ...row };
+    row.cells.forEach((cell, i) => {
+      for (const metric of result.metrics) flat[`${i}:${metric}`] = cell ? cell[metric] : null;
+    });
+    return flat;
+  });
+  return { columns, rows };
+};
+
+module.exports = {
+  GEOGRAPHY_LEVELS,
+  SCHOOL_CHANGES,
+  SCHOOL_CHANGE_CSV_COLUMNS,
+  compareAcademicYears,
+  listSchoolChanges,
+  comparisonCsvColumns,
+  flattenComparisonUnit,
+  PIVOT_DIMENSIONS,
+  PIVOT_METRICS,
+  parsePivotRequest,
+  runPivot,
+  getEnrolmentOptions,
+  pivotToCsv,
+};
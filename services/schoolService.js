@@ -3,61 +3,23 @@
 // ============================================================================
 const pool = require("../db");
 const format = require("pg-format");
-const axios = require("axios");
+const crypto = require("crypto");
+const scopeService = require("./scopeService");
+const dashboardService = require("./dashboardService");
+const dataQualityService = require("./dataQualityService");
+const locationService = require("./locationService");
+const importBatchService = require("./importBatchService");
+const schoolModel = require("../models/schoolModel");
+const enrolmentModel = require("../models/enrolmentModel");
 
 const TABLE_NAME = "udise_data";
 
-// --- Service: Fetch from External UDISE API ---
-const proxyUdiseRequest = async (method, url, data) => {
-  const targetBaseUrl = "https://kys.udiseplus.gov.in/webapp/api";
-  const targetUrl = `${targetBaseUrl}${url}`;
-
-  try {
-    const response = await axios({
-      method: method,
-      url: targetUrl,
-      data: method === "POST" || method === "PUT" ? data : undefined,
-      headers: {
-        "User-Agent":
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-        Accept: "application/json, text/plain, */*",
-        Origin: "https://kys.udiseplus.gov.in",
-        Referer: "https://kys.udiseplus.gov.in/",
-      },
-    });
-    return response.data;
-  } catch (error) {
-    if (error.response) {
-      throw { status: error.response.status, data: error.response.data };
-    }
-    throw {
-      status: 500,
-      message: "Error proxying request",
-      error: error.message,
-    };
-  }
-};
-
 const getExistingCodes = async (codes, ay) => {
   if (!codes || codes.length === 0) return [];
 
-  // Verify table exists
-  const checkTable = await pool.query(
-    format("SELECT to_regclass(%L)", TABLE_NAME)
-  );
-  if (!checkTable.rows[0].to_regclass) return [];
-
-  // Check if 'ay' column exists
-  const checkCol = await pool.query(
-    format(
-      "SELECT column_name FROM information_schema.columns WHERE table_name = %L AND column_name = 'ay'",
-      TABLE_NAME
-    )
-  );
-
   let query;
-  // If we have an AY string and the column exists, check the pair
-  if (checkCol.rows.length > 0 && ay) {
+  // If we have an AY string, check the pair
+  if (ay) {
     query = format(
       "SELECT udise_code FROM %I WHERE udise_code IN (%L) AND ay = %L",
       TABLE_NAME,
@@ -77,95 +39,373 @@ const getExistingCodes = async (codes, ay) => {
   return result.rows.map((r) => r.udise_code);
 };
 
-const saveSchoolsToDb = async (schoolsData) => {
+// skip: existing (udise_code, ay) rows are left alone
+// update: existing rows are rewritten with every field in the payload
+// update-if-changed: existing rows are only written when a field differs
+const SAVE_MODES = ["skip", "update", "update-if-changed"];
+
+const schoolKey = (values) => `${values.udise_code}|${values.ay}`;
+
+// Enrolment cells are written this many rows per INSERT
+const ENROLMENT_INSERT_CHUNK = 5000;
+
+// Stored enrolment cells of the given school-years, keyed by schoolKey
+const loadEnrolment = async (client, keys) => {
+  const cells = new Map();
+  if (keys.length === 0) return cells;
+  const result = await client.query(
+    format(
+      "SELECT udise_code, ay, grade, category, gender, students FROM school_enrolment WHERE (udise_code, ay) IN (%L)",
+      keys
+    )
+  );
+  for (const { udise_code, ay, ...cell } of result.rows) {
+    const key = schoolKey({ udise_code, ay });
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(cell);
+  }
+  for (const [key, list] of cells) cells.set(key, enrolmentModel.sortCells(list));
+  return cells;
+};
+
+// Replaces the stored breakdown of every record that supplied one; records without
+// a breakdown keep whatever is stored
+const replaceEnrolment = async (client, records) => {
+  const supplied = records.filter(({ enrolment }) => enrolment);
+  if (supplied.length === 0) return;
+
+  await client.query(
+    format(
+      "DELETE FROM school_enrolment WHERE (udise_code, ay) IN (%L)",
+      supplied.map(({ values }) => [values.udise_code, values.ay])
+    )
+  );
+  const rows = supplied.flatMap(({ values, enrolment }) => enrolmentModel.toEnrolmentRows(values, enrolment));
+  for (let start = 0; start < rows.length; start += ENROLMENT_INSERT_CHUNK) {
+    await client.query(
+      format(
+        "INSERT INTO school_enrolment (%I) VALUES %L",
+        enrolmentModel.ENROLMENT_COLUMNS,
+        rows.slice(start, start + ENROLMENT_INSERT_CHUNK)
+      )
+    );
+  }
+};
+
+// Records are inserted this many per statement
+const SAVE_CHUNK_SIZE = parseInt(process.env.SAVE_CHUNK_SIZE) || 500;
+
+// Runs `work` inside a savepoint so a database error only undoes that work and is
+// returned instead of thrown. Atomic saves skip the savepoint and let the error fail the batch.
+const isolate = async (client, atomic, work) => {
+  if (atomic) {
+    await work();
+    return null;
+  }
+  await client.query("SAVEPOINT save_records");
+  try {
+    await work();
+    await client.query("RELEASE SAVEPOINT save_records");
+    return null;
+  } catch (err) {
+    if (!err.code) throw err; // not a database error
+    await client.query("ROLLBACK TO SAVEPOINT save_records");
+    return err;
+  }
+};
+
+// Inserts new records, tagged with the batch, and their enrolment cells. Returns the
+// schoolKeys actually inserted; the others were inserted by a concurrent save in the meantime.
+const insertRecords = async (client, records, batchId) => {
+  const { columns, rows } = schoolModel.toRows(records);
+  const result = await client.query(
+    format(
+      "INSERT INTO %I (%I) VALUES %L ON CONFLICT (udise_code, ay) DO NOTHING RETURNING udise_code, ay",
+      TABLE_NAME,
+      [...columns, "import_batch_id"],
+      rows.map((row) => [...row, batchId])
+    )
+  );
+  const inserted = new Set(result.rows.map(schoolKey));
+  await replaceEnrolment(client, records.filter(({ values }) => inserted.has(schoolKey(values))));
+  return inserted;
+};
+
+// Locks the stored rows of the given records. Returns them keyed by schoolKey, with
+// the stored enrolment cells attached where a record supplies a breakdown to compare.
+const lockExisting = async (client, records) => {
+  const existing = new Map();
+  if (records.length === 0) return existing;
+  const result = await client.query(
+    format(
+      "SELECT * FROM %I WHERE (udise_code, ay) IN (%L) FOR UPDATE",
+      TABLE_NAME,
+      records.map(({ values }) => [values.udise_code, values.ay])
+    )
+  );
+  for (const row of result.rows) existing.set(schoolKey(row), row);
+
+  const storedEnrolment = await loadEnrolment(
+    client,
+    records
+      .filter(({ values, enrolment }) => enrolment && existing.has(schoolKey(values)))
+      .map(({ values }) => [values.udise_code, values.ay])
+  );
+  for (const [key, cells] of storedEnrolment) existing.get(key).enrolment = cells;
+  return existing;
+};
+
+// Every record is validated on its own. By default the valid ones are saved and the
+// rest come back in `rejected` as { index, udise_code, reason }, including records the
+// database refused; with atomic, any rejection fails the whole batch as before.
+// A batch where every record is rejected throws (400, or 403 when all are out of scope).
+// The save is recorded as an import batch from `source` (see importBatchService), which
+// tags the rows it writes and lets it be rolled back.
+// With dryRun, everything runs inside the transaction and is then rolled back;
+// the result additionally lists what would happen to each record as `actions`.
+const saveSchoolsToDb = async (
+  schoolsData,
+  {
+    scope = null,
+    mode = "skip",
+    userId = null,
+    dryRun = false,
+    atomic = false,
+    source = "proxy",
+    sourceRef = null,
+  } = {}
+) => {
   if (!schoolsData || schoolsData.length === 0)
     return { success: false, count: 0 };
 
+  if (!SAVE_MODES.includes(mode)) {
+    const err = new Error(`Invalid mode '${mode}'. Use one of: ${SAVE_MODES.join(", ")}`);
+    err.status = 400;
+    throw err;
+  }
+
+  const normalized = schoolsData.map((record, index) => ({ ...schoolModel.normalizeSchool(record), index }));
+
+  // Canonical names and codes from the location master; the rest is reported for review
+  const unresolvedLocations = await locationService.applyLocations(normalized.map(({ values }) => values));
+
+  // The same school and year twice in one batch would make the outcome order-dependent
+  const firstIndex = new Map();
+  normalized.forEach(({ values, errors }, index) => {
+    if (errors.length > 0) return;
+    const key = schoolKey(values);
+    if (firstIndex.has(key)) errors.push(`duplicate of record at index ${firstIndex.get(key)}`);
+    else firstIndex.set(key, index);
+  });
+
+  // Data-quality rules gating ingest: "block" failures count as validation errors,
+  // "warn" failures are reported back with the result
+  const gateRules = await dataQualityService.getGateRules();
+  const qualityWarnings = [];
+  normalized.forEach(({ values, errors }, index) => {
+    if (errors.length > 0 || gateRules.length === 0) return;
+    const { blocking, warnings } = dataQualityService.checkRecord(values, gateRules);
+    errors.push(...blocking.map((b) => `data quality (${b.rule}): ${b.message}`));
+    warnings.forEach((w) => qualityWarnings.push({ index, udise_code: values.udise_code, ...w }));
+  });
+
+  const invalid = [];
+  normalized.forEach(({ values, errors }, index) => {
+    if (errors.length > 0) {
+      invalid.push({ index, udise_code: values.udise_code, reason: errors.join("; ") });
+    }
+  });
+  if (invalid.length > 0 && (atomic || invalid.length === normalized.length)) {
+    const err = new Error(`${invalid.length} record(s) failed validation`);
+    err.status = 400;
+    err.rejected = invalid;
+    throw err;
+  }
+
+  const outOfScopeReason = (school) => {
+    const location = [school.state, school.district, school.block].filter(Boolean).join(" / ") || "Unknown location";
+    return `${location} is outside your assigned regions (${scopeService.describeScope(scope)})`;
+  };
+
+  const outOfScope = [];
+  normalized.forEach(({ values: school, errors }, index) => {
+    if (errors.length === 0 && !scopeService.isRecordInScope(school, scope)) {
+      outOfScope.push({ index, udise_code: school.udise_code, reason: outOfScopeReason(school) });
+    }
+  });
+  if (outOfScope.length > 0 && (atomic || invalid.length + outOfScope.length === normalized.length)) {
+    const err = new Error(`${outOfScope.length} record(s) are outside your assigned regions`);
+    err.status = invalid.length > 0 ? 400 : 403;
+    err.rejected = [...invalid, ...outOfScope].sort((a, b) => a.index - b.index);
+    throw err;
+  }
+
+  const rejected = [...invalid, ...outOfScope];
+  const rejectedIndexes = new Set(rejected.map((r) => r.index));
+  const accepted = normalized.filter(({ index }) => !rejectedIndexes.has(index));
+  const reject = ({ index, values }, reason) => {
+    rejected.push({ index, udise_code: values.udise_code, reason });
+    rejectedIndexes.add(index);
+  };
+
+  const batchId = crypto.randomUUID();
+  const unknownFields = [...new Set(accepted.flatMap((n) => Object.keys(n.extra)))];
+  const counts = { inserted: 0, updated: 0, unchanged: 0 };
+  const actions = [];
+  const batchRows = [];
+
   const client = await pool.connect();
   try {
-    const inputColumns = Object.keys(schoolsData[0]);
     await client.query("BEGIN");
 
-    // Check/Create Table Logic
-    const checkTableQuery = format("SELECT to_regclass(%L)", TABLE_NAME);
-    const tableCheckResult = await client.query(checkTableQuery);
-
-    if (!tableCheckResult.rows[0].to_regclass) {
-      const columnDefinitions = inputColumns
-        .map((col) => {
-          if (col === "udise_code") return "udise_code TEXT";
-          return format("%I TEXT", col);
-        })
-        .join(", ");
-      await client.query(
-        format(
-          "CREATE TABLE %I (local_id SERIAL PRIMARY KEY, %s)",
-          TABLE_NAME,
-          columnDefinitions
-        )
-      );
-    } else {
-      // Add Missing Columns
-      const getColQuery = format(
-        "SELECT column_name FROM information_schema.columns WHERE table_name = %L",
-        TABLE_NAME
-      );
-      const existingColsRes = await client.query(getColQuery);
-      const existingCols = new Set(
-        existingColsRes.rows.map((r) => r.column_name)
-      );
-      for (const col of inputColumns) {
-        if (!existingCols.has(col)) {
-          await client.query(
-            format("ALTER TABLE %I ADD COLUMN %I TEXT", TABLE_NAME, col)
-          );
+    const existing = await lockExisting(client, accepted);
+
+    const toInsert = accepted.filter(({ values }) => !existing.has(schoolKey(values)));
+    const raced = [];
+    for (let start = 0; start < toInsert.length; start += SAVE_CHUNK_SIZE) {
+      const chunk = toInsert.slice(start, start + SAVE_CHUNK_SIZE);
+      let inserted = new Set();
+      const chunkError = await isolate(client, atomic, async () => {
+        inserted = await insertRecords(client, chunk, batchId);
+      });
+      // Retry one record at a time to find the ones the database refuses
+      if (chunkError) {
+        for (const record of chunk) {
+          const error = await isolate(client, false, async () => {
+            for (const key of await insertRecords(client, [record], batchId)) inserted.add(key);
+          });
+          if (error) reject(record, `database error: ${error.message}`);
+        }
+      }
+
+      counts.inserted += inserted.size;
+      for (const record of chunk) {
+        if (inserted.has(schoolKey(record.values))) {
+          batchRows.push({ udise_code: record.values.udise_code, ay: record.values.ay, action: "insert" });
+          if (dryRun) actions.push({ udise_code: record.values.udise_code, ay: record.values.ay, action: "insert" });
+        } else if (!rejectedIndexes.has(record.index)) {
+          raced.push(record);
         }
       }
     }
 
-    // --- CRITICAL: COMPOSITE UNIQUE INDEX (UDISE_CODE + AY) ---
-    await client.query(`DROP INDEX IF EXISTS idx_udise_code_unique`);
+    // Rows a concurrent save inserted between our SELECT and INSERT are handled like
+    // any existing row, so the mode decides whether they are updated
+    for (const [key, row] of await lockExisting(client, raced)) existing.set(key, row);
+
+    const history = [];
+    for (const record of accepted) {
+      const row = existing.get(schoolKey(record.values));
+      if (!row || rejectedIndexes.has(record.index)) continue;
+
+      // The stored row has to be in scope as well, or a record naming one of the caller's
+      // regions could overwrite a school stored elsewhere and move it into theirs
+      if (!scopeService.isRecordInScope(row, scope)) {
+        const reason = `stored school: ${outOfScopeReason(row)}`;
+        if (atomic) {
+          const err = new Error("A stored school is outside your assigned regions");
+          err.status = 403;
+          err.rejected = [{ index: record.index, udise_code: row.udise_code, reason }];
+          throw err;
+        }
+        reject(record, reason);
+        continue;
+      }
+
+      const changes = schoolModel.diffSchool(row, record);
+      if (mode === "skip" || (mode === "update-if-changed" && changes.length === 0)) {
+        counts.unchanged++;
+        if (dryRun) actions.push({ udise_code: row.udise_code, ay: row.ay, action: "unchanged" });
+        continue;
+      }
+
+      const assignments = Object.entries(record.values)
+        .filter(([col]) => !schoolModel.REQUIRED_FIELDS.includes(col))
+        .map(([col, val]) => format("%I = %L", col, val));
+      if (Object.keys(record.extra).length > 0) {
+        assignments.push(
+          format("extra = COALESCE(extra, '{}'::jsonb) || %L::jsonb", JSON.stringify(record.extra))
+        );
+      }
+      assignments.push(format("import_batch_id = %L", batchId), "updated_at = NOW()");
+
+      const error = await isolate(client, atomic, async () => {
+        await client.query(
+          format("UPDATE %I SET %s WHERE local_id = %L", TABLE_NAME, assignments.join(", "), row.local_id)
+        );
+        await replaceEnrolment(client, [record]);
+      });
+      if (error) {
+        reject(record, `database error: ${error.message}`);
+        continue;
+      }
+      if (dryRun) actions.push({ udise_code: row.udise_code, ay: row.ay, action: "update", changes });
+      counts.updated++;
+      batchRows.push({
+        udise_code: row.udise_code,
+        ay: row.ay,
+        action: "update",
+        // Stored cells are only replaced, and so only need restoring, when the record supplied some
+        before: record.enrolment ? { ...row, enrolment: row.enrolment || [] } : row,
+      });
+
+      for (const change of changes) {
+        history.push([
+          row.udise_code,
+          row.ay,
+          change.field,
+          change.oldValue == null ? null : JSON.stringify(change.oldValue),
+          change.newValue == null ? null : JSON.stringify(change.newValue),
+          batchId,
+          userId,
+        ]);
+      }
+    }
 
-    if (inputColumns.includes("ay")) {
+    if (history.length > 0) {
       await client.query(
-        `CREATE UNIQUE INDEX IF NOT EXISTS idx_udise_ay_unique ON ${TABLE_NAME} (udise_code, ay)`
+        format(
+          "INSERT INTO udise_data_history (udise_code, ay, field, old_value, new_value, batch_id, changed_by) VALUES %L",
+          history
+        )
       );
+    }
 
-      const values = schoolsData.map((school) =>
-        inputColumns.map((col) => {
-          let val = school[col];
-          if (val === "" || val === undefined || val === null) return "NA";
-          if (typeof val === "object") return JSON.stringify(val);
-          return val;
-        })
+    if (!dryRun) {
+      await importBatchService.recordBatch(
+        client,
+        { batchId, source, sourceRef, userId, mode, received: schoolsData.length, failed: rejected.length, ...counts },
+        batchRows
       );
+    }
 
-      const query = format(
-        "INSERT INTO %I (%I) VALUES %L ON CONFLICT (udise_code, ay) DO NOTHING RETURNING local_id",
-        TABLE_NAME,
-        inputColumns,
-        values
-      );
-      const result = await client.query(query);
-      await client.query("COMMIT");
-      return { success: true, count: result.rowCount };
+    await client.query(dryRun ? "ROLLBACK" : "COMMIT");
+
+    if (!dryRun && counts.inserted + counts.updated > 0) {
+      // Blocks a school moved out of change too, so include the pre-update rows
+      const geographies = dashboardService.geographiesOf([
+        ...accepted.filter(({ index }) => !rejectedIndexes.has(index)).map(({ values }) => values),
+        ...existing.values(),
+      ]);
+      // The save has committed; a failed refresh is caught up by the scheduled full refresh
+      await dashboardService
+        .refreshAggregates(geographies)
+        .catch((refreshErr) => console.error("Dashboard refresh after save failed:", refreshErr.message));
     }
 
-    // Fallback
-    const values = schoolsData.map((s) =>
-      inputColumns.map((c) =>
-        typeof s[c] === "object" ? JSON.stringify(s[c]) : s[c] || "NA"
-      )
-    );
-    const query = format(
-      "INSERT INTO %I (%I) VALUES %L ON CONFLICT (udise_code) DO NOTHING RETURNING local_id",
-      TABLE_NAME,
-      inputColumns,
-      values
-    );
-    const result = await client.query(query);
-    await client.query("COMMIT");
-    return { success: true, count: result.rowCount };
+    return {
+      success: true,
+      batchId: dryRun ? null : batchId,
+      mode,
+      ...counts,
+      failed: rejected.length,
+      count: counts.inserted + counts.updated,
+      rejected: rejected.sort((a, b) => a.index - b.index),
+      unknownFields,
+      ...(qualityWarnings.length > 0 && { qualityWarnings }),
+      ...(unresolvedLocations.length > 0 && { unresolvedLocations }),
+      ...(dryRun && { dryRun: true, actions }),
+    };
   } catch (err) {
     await client.query("ROLLBACK");
     console.error("DB Save Error:", err.message);
@@ -175,66 +415,210 @@ const saveSchoolsToDb = async (schoolsData) => {
   }
 };
 
-const getFiltersFromDb = async () => {
+// Coded state > district > block tree from the location master, and how many distinct
+// stored names at each level are not in it yet (see getAllFilterOptions)
+const getFiltersFromDb = async (scope = null) => {
   try {
-    const query = format(
-      `SELECT DISTINCT state, district FROM %I WHERE state IS NOT NULL AND state != 'NA' ORDER BY state, district`,
-      TABLE_NAME
-    );
-    const result = await pool.query(query);
-
-    const hierarchy = {};
-    result.rows.forEach((row) => {
-      if (!hierarchy[row.state]) hierarchy[row.state] = [];
-      if (!hierarchy[row.state].includes(row.district))
-        hierarchy[row.state].push(row.district);
-    });
-    return hierarchy;
+    const [hierarchy, unresolved] = await Promise.all([
+      locationService.getLocationHierarchy(scope),
+      locationService.countUnresolved(scope),
+    ]);
+    return { hierarchy, unresolved };
   } catch (err) {
-    if (err.code === "42P01") return {};
+    if (err.code === "42P01") return { hierarchy: [], unresolved: {} };
     throw err;
   }
 };
 
 // --- UPDATED: Search Data with Pagination & Total Count ---
-const searchSchoolsInDb = async (state, districts, page = 1, limit = 50) => {
-  try {
-    const offset = (page - 1) * limit;
-    
-    // Base Query Components
-    let whereClause = "WHERE 1=1";
-    const queryValues = [];
-    let paramCounter = 1;
-
-    if (state) {
-      whereClause += ` AND state = $${paramCounter++}`;
-      queryValues.push(state);
+const escapeLike = (text) => text.replace(/[\\%_]/g, "\\$&");
+
+// Per-school sum of the school_enrolment cells matching an enrolment selection
+// (from schoolQuery), correlated with the udise_data row of the outer query.
+// NULL when the school has no matching cells.
+const selectedEnrolmentSql = ({ grades = null, categories = null, genders = null } = {}) => {
+  const conditions = [format("e.udise_code = %I.udise_code AND e.ay = %I.ay", TABLE_NAME, TABLE_NAME)];
+  if (grades) conditions.push(format("e.grade IN (%L)", grades));
+  if (categories) conditions.push(format("e.category IN (%L)", categories));
+  if (genders) conditions.push(format("e.gender IN (%L)", genders));
+  return `(SELECT SUM(e.students)::int FROM school_enrolment e WHERE ${conditions.join(" AND ")})`;
+};
+
+// Shared by search and export so both see exactly the same rows.
+// Takes a query from schoolQuery.parseSchoolQuery and returns a "WHERE ..." clause
+// using $1.. placeholders plus its values.
+const buildSearchFilter = ({ filters = {}, q = null, udiseCodePrefix = null, enrolment = null } = {}, scope = null) => {
+  let whereClause = "WHERE 1=1";
+  const values = [];
+  let paramCounter = 1;
+
+  for (const [field, value] of Object.entries(filters)) {
+    if (Array.isArray(value)) {
+      whereClause += format(` AND %I = ANY($${paramCounter++})`, field);
+      values.push(value);
+    } else if (typeof value === "boolean") {
+      whereClause += format(` AND %I = $${paramCounter++}`, field);
+      values.push(value);
+    } else {
+      if (value.min !== undefined) {
+        whereClause += format(` AND %I >= $${paramCounter++}`, field);
+        values.push(value.min);
+      }
+      if (value.max !== undefined) {
+        whereClause += format(` AND %I <= $${paramCounter++}`, field);
+        values.push(value.max);
+      }
+    }
+  }
+
+  // Substring match, or trigram word similarity to tolerate typos ("primery scool")
+  if (q) {
+    whereClause += ` AND (school_name ILIKE $${paramCounter++} OR $${paramCounter++} <% school_name)`;
+    values.push(`%${escapeLike(q)}%`, q);
+  }
+  if (udiseCodePrefix) {
+    whereClause += ` AND udise_code LIKE $${paramCounter++}`;
+    values.push(`${udiseCodePrefix}%`);
+  }
+  if (enrolment && (enrolment.min !== undefined || enrolment.max !== undefined)) {
+    const sum = selectedEnrolmentSql(enrolment);
+    if (enrolment.min !== undefined) {
+      whereClause += ` AND ${sum} >= $${paramCounter++}`;
+      values.push(enrolment.min);
+    }
+    if (enrolment.max !== undefined) {
+      whereClause += ` AND ${sum} <= $${paramCounter++}`;
+      values.push(enrolment.max);
     }
-    if (districts && districts.length > 0) {
-      whereClause += ` AND district = ANY($${paramCounter++})`;
-      queryValues.push(districts);
+  }
+
+  const scopeClause = scopeService.buildScopeClause(scope);
+  if (scopeClause) {
+    whereClause += ` AND ${scopeClause}`;
+  }
+
+  return { whereClause, values };
+};
+
+// Requested sort first (best text match when searching by q and no sort is given),
+// then (udise_code, ay) so the order is total and deterministic. Returns
+// [{ sql, direction }]; every key sorts NULLS LAST so keyset cursors can rely on it.
+const searchSortKeys = ({ q = null, sort = [] } = {}) => {
+  const keys = sort.map(({ field, direction }) => ({ sql: format("%I", field), direction }));
+  if (q && sort.length === 0) {
+    keys.push({ sql: format("word_similarity(%L, school_name)", q), direction: "desc" });
+  }
+  for (const field of ["udise_code", "ay"]) {
+    if (!sort.some((s) => s.field === field)) keys.push({ sql: format("%I", field), direction: "asc" });
+  }
+  return keys;
+};
+
+const orderByKeys = (keys, { reverse = false } = {}) =>
+  `ORDER BY ${keys
+    .map(({ sql, direction }) => {
+      const descending = (direction === "desc") !== reverse;
+      return `${sql} ${descending ? "DESC" : "ASC"} ${reverse ? "NULLS FIRST" : "NULLS LAST"}`;
+    })
+    .join(", ")}`;
+
+const buildSearchOrder = (query) => orderByKeys(searchSortKeys(query));
+
+// Rows strictly after `values` in key order (before it when reverse is set).
+// Expands to (k1 after v1) OR (k1 = v1 AND k2 after v2) OR ..., honouring NULLS LAST.
+const buildKeysetCondition = (keys, values, paramStart, { reverse = false } = {}) => {
+  const params = [];
+  const nextParam = (value) => {
+    params.push(value);
+    return `$${paramStart + params.length - 1}`;
+  };
+
+  const equals = [];
+  const branches = [];
+  keys.forEach(({ sql, direction }, i) => {
+    const value = values[i];
+    if (value === null) {
+      // Only NULLs sort after NULL (and none before it, walking backwards)
+      if (reverse) branches.push([...equals, `${sql} IS NOT NULL`].join(" AND "));
+      equals.push(`${sql} IS NULL`);
+      return;
     }
+    const op = (direction === "desc") !== reverse ? "<" : ">";
+    const param = nextParam(value);
+    const after = reverse ? `${sql} ${op} ${param}` : `(${sql} ${op} ${param} OR ${sql} IS NULL)`;
+    branches.push([...equals, after].join(" AND "));
+    equals.push(`${sql} = ${param}`);
+  });
+
+  return { condition: branches.length > 0 ? `(${branches.map((b) => `(${b})`).join(" OR ")})` : "FALSE", params };
+};
+
+// Planner row estimate for the filtered query; cheap at any table size
+const estimateCount = async (whereClause, values) => {
+  const result = await pool.query(
+    format("EXPLAIN (FORMAT JSON) SELECT 1 FROM %I %s", TABLE_NAME, whereClause),
+    values
+  );
+  return result.rows[0]["QUERY PLAN"][0].Plan["Plan Rows"];
+};
+
+// An exact count that runs past this falls back to the planner estimate
+const EXACT_COUNT_TIMEOUT_MS = parseInt(process.env.SEARCH_COUNT_TIMEOUT_MS) || 2000;
+const COUNT_MODES = ["exact", "estimated", "none"];
+
+// Returns { total, totalIsEstimate }; total is null in "none" mode
+const countSearchResults = async (whereClause, values, mode = "exact") => {
+  if (mode === "none") return { total: null, totalIsEstimate: false };
+  if (mode === "estimated") return { total: await estimateCount(whereClause, values), totalIsEstimate: true };
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(format("SET LOCAL statement_timeout = %L", EXACT_COUNT_TIMEOUT_MS));
+    const result = await client.query(
+      format("SELECT COUNT(*) AS total FROM %I %s", TABLE_NAME, whereClause),
+      values
+    );
+    await client.query("COMMIT");
+    return { total: parseInt(result.rows[0].total), totalIsEstimate: false };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    if (err.code !== "57014") throw err; // query_canceled by statement_timeout
+    return { total: await estimateCount(whereClause, values), totalIsEstimate: true };
+  } finally {
+    client.release();
+  }
+};
+
+// Extra select-list entry for searches with an enrolment selection
+const selectedEnrolmentColumn = ({ enrolment = null } = {}) =>
+  enrolment ? `, ${selectedEnrolmentSql(enrolment)} AS selected_enrolment` : "";
 
-    // 1. Get Total Count (for infinite scroll calculation)
-    const countQuery = format("SELECT COUNT(*) as total FROM %I %s", TABLE_NAME, whereClause);
-    const countResult = await pool.query(countQuery, queryValues); // Use same values
-    const totalRecords = parseInt(countResult.rows[0].total || 0);
+// Offset pagination, kept for existing clients; deep pages get slower, use
+// searchSchoolsByCursor for infinite scroll.
+const searchSchoolsInDb = async (query, { page = 1, limit = 50, scope = null, countMode = "exact" } = {}) => {
+  try {
+    const offset = (page - 1) * limit;
+    const { whereClause, values: queryValues } = buildSearchFilter(query, scope);
+    const paramCounter = queryValues.length + 1;
 
-    // 2. Get Paged Data
-    // FIXED: Uses backticks ` ` for template literal interpolation
     const dataQuery = format(
-      `SELECT * FROM %I %s LIMIT $${paramCounter++} OFFSET $${paramCounter++}`, 
-      TABLE_NAME, 
-      whereClause
+      `SELECT *%s FROM %I %s %s LIMIT $${paramCounter} OFFSET $${paramCounter + 1}`,
+      selectedEnrolmentColumn(query),
+      TABLE_NAME,
+      whereClause,
+      buildSearchOrder(query)
     );
-    
-    // Add pagination params
-    const dataValues = [...queryValues, limit, offset];
-    const dataResult = await pool.query(dataQuery, dataValues);
+
+    const [{ total, totalIsEstimate }, dataResult] = await Promise.all([
+      countSearchResults(whereClause, queryValues, countMode),
+      pool.query(dataQuery, [...queryValues, limit, offset]),
+    ]);
 
     return {
       data: dataResult.rows,
-      total: totalRecords,
+      total,
+      totalIsEstimate,
       page: parseInt(page),
       limit: parseInt(limit)
     };
@@ -246,222 +630,99 @@ const searchSchoolsInDb = async (state, districts, page = 1, limit = 50) => {
   }
 };
 
-const getDashboardStats = async (filters = {}) => {
-  const { state, district, block, ay } = filters;
+// Keyset pagination. `cursor` is a decoded schoolQuery cursor ({ direction, values })
+// or null for the first page. Returns { data, nextCursor, prevCursor } where the
+// cursors are { direction, values } for schoolQuery.encodeCursor, or null at either end.
+const searchSchoolsByCursor = async (query, { cursor = null, limit = 50, scope = null, countMode = "estimated" } = {}) => {
+  const keys = searchSortKeys(query);
+  const reverse = cursor?.direction === "before";
+  const { whereClause, values } = buildSearchFilter(query, scope);
+
+  let pageWhere = whereClause;
+  const pageValues = [...values];
+  if (cursor) {
+    if (!Array.isArray(cursor.values) || cursor.values.length !== keys.length) {
+      const err = new Error("Cursor does not match this search");
+      err.status = 400;
+      throw err;
+    }
+    const keyset = buildKeysetCondition(keys, cursor.values, pageValues.length + 1, { reverse });
+    pageWhere += ` AND ${keyset.condition}`;
+    pageValues.push(...keyset.params);
+  }
 
-  try {
-    const checkTable = await pool.query(
-      format("SELECT to_regclass(%L)", TABLE_NAME)
-    );
-    if (!checkTable.rows[0].to_regclass) return getEmptyStats();
+  // One extra row tells us whether another page exists in the walking direction.
+  // json_build_array keeps key values exact (timestamps keep their microseconds).
+  const dataQuery = format(
+    `SELECT *%s, json_build_array(%s) AS _cursor_key FROM %I %s %s LIMIT $${pageValues.length + 1}`,
+    selectedEnrolmentColumn(query),
+    keys.map((k) => k.sql).join(", "),
+    TABLE_NAME,
+    pageWhere,
+    orderByKeys(keys, { reverse })
+  );
 
-    const conditions = [];
-    const params = [];
-    let paramCount = 1;
+  const [{ total, totalIsEstimate }, dataResult] = await Promise.all([
+    countSearchResults(whereClause, values, countMode),
+    pool.query(dataQuery, [...pageValues, limit + 1]),
+  ]);
 
-    if (state) {
-      conditions.push(`state = $${paramCount++}`);
-      params.push(state);
-    }
-    if (district) {
-      conditions.push(`district = $${paramCount++}`);
-      params.push(district);
-    }
-    if (block) {
-      conditions.push(`block = $${paramCount++}`);
-      params.push(block);
-    }
-    if (ay) {
-      conditions.push(`ay = $${paramCount++}`);
-      params.push(ay);
-    }
+  const rows = dataResult.rows;
+  const hasMore = rows.length > limit;
+  if (hasMore) rows.pop();
+  if (reverse) rows.reverse();
 
-    const whereClause = `WHERE 1=1 ${
-      conditions.length > 0 ? `AND ${conditions.join(" AND ")}` : ""
-    }`;
-
-    // Basic Counts
-    const [
-      totalRecordsResult,
-      uniqueUdiseResult,
-      uniqueStatesResult,
-      uniqueDistrictsResult,
-      uniqueBlocksResult,
-      uniqueClustersResult,
-      uniqueVillagesResult,
-      uniqueAYResult,
-    ] = await Promise.all([
-      pool.query(
-        format("SELECT COUNT(*) as count FROM %I %s", TABLE_NAME, whereClause),
-        params
-      ),
-      pool.query(
-        format(
-          "SELECT COUNT(DISTINCT udise_code) as count FROM %I %s",
-          TABLE_NAME,
-          whereClause
-        ),
-        params
-      ),
-      pool.query(
-        format(
-          "SELECT COUNT(DISTINCT state) as count FROM %I %s",
-          TABLE_NAME,
-          whereClause
-        ),
-        params
-      ),
-      pool.query(
-        format(
-          "SELECT COUNT(DISTINCT district) as count FROM %I %s",
-          TABLE_NAME,
-          whereClause
-        ),
-        params
-      ),
-      pool.query(
-        format(
-          "SELECT COUNT(DISTINCT block) as count FROM %I %s",
-          TABLE_NAME,
-          whereClause
-        ),
-        params
-      ),
-      pool.query(
-        format(
-          "SELECT COUNT(DISTINCT cluster) as count FROM %I %s",
-          TABLE_NAME,
-          whereClause
-        ),
-        params
-      ),
-      pool.query(
-        format(
-          "SELECT COUNT(DISTINCT village) as count FROM %I %s",
-          TABLE_NAME,
-          whereClause
-        ),
-        params
-      ),
-      pool.query(
-        format(
-          "SELECT COUNT(DISTINCT ay) as count FROM %I %s AND ay IS NOT NULL AND ay != 'NA'",
-          TABLE_NAME,
-          whereClause
-        ),
-        params
-      ),
-    ]);
+  const cursorKeys = rows.map((row) => row._cursor_key);
+  rows.forEach((row) => delete row._cursor_key);
 
-    // Student Calculations
-    const studentQuery = `
-      SELECT 
-        SUM(
-          COALESCE(CAST(NULLIF("totalStudents", 'NA') AS INTEGER), 0) +
-          COALESCE(CAST(NULLIF(total_students, 'NA') AS INTEGER), 0) +
-          COALESCE(CAST(NULLIF(caste_total, 'NA') AS INTEGER), 0)
-        ) as total_students,
-        SUM(
-          COALESCE(CAST(NULLIF("totalBoyStudents", 'NA') AS INTEGER), 0) +
-          COALESCE(CAST(NULLIF(caste_total_boy, 'NA') AS INTEGER), 0)
-        ) as total_boy_students,
-        SUM(
-          COALESCE(CAST(NULLIF("totalGirlStudents", 'NA') AS INTEGER), 0) +
-          COALESCE(CAST(NULLIF(caste_total_girl, 'NA') AS INTEGER), 0)
-        ) as total_girl_students
-      FROM ${TABLE_NAME}
-      ${whereClause}
-    `;
-
-    const studentResult = await pool.query(studentQuery, params);
-
-    // Top States
-    const topStatesQuery = `
-      SELECT state as name, COUNT(*) as count 
-      FROM ${TABLE_NAME}
-      ${whereClause}
-      GROUP BY state
-      ORDER BY count DESC
-      LIMIT 5
-    `;
-    const topStatesResult = await pool.query(topStatesQuery, params);
-
-    // Top Districts
-    const topDistrictsQuery = `
-      SELECT district as name, COUNT(*) as count 
-      FROM ${TABLE_NAME}
-      ${whereClause}
-      GROUP BY district
-      ORDER BY count DESC
-      LIMIT 5
-    `;
-    const topDistrictsResult = await pool.query(topDistrictsQuery, params);
-
-    // Top Blocks
-    const topBlocksQuery = `
-      SELECT block as name, COUNT(*) as count 
-      FROM ${TABLE_NAME}
-      ${whereClause}
-      GROUP BY block
-      ORDER BY count DESC
-      LIMIT 5
-    `;
-    const topBlocksResult = await pool.query(topBlocksQuery, params);
-
-    // Schools by Category
-    const categoryQuery = `
-      SELECT school_category as category, COUNT(*) as count
-      FROM ${TABLE_NAME}
-      ${whereClause}
-      GROUP BY school_category
-      ORDER BY count DESC
-    `;
-    const categoryResult = await pool.query(categoryQuery, params);
-
-    // Schools by Management
-    const managementQuery = `
-      SELECT school_management as management, COUNT(*) as count
-      FROM ${TABLE_NAME}
-      ${whereClause}
-      GROUP BY school_management
-      ORDER BY count DESC
-    `;
-    const managementResult = await pool.query(managementQuery, params);
+  const first = cursorKeys[0];
+  const last = cursorKeys[cursorKeys.length - 1];
+  const hasNext = reverse ? rows.length > 0 : hasMore;
+  const hasPrev = reverse ? hasMore : cursor !== null && rows.length > 0;
 
-    return {
-      totalRecords: parseInt(totalRecordsResult.rows[0]?.count || 0),
-      uniqueUdise: parseInt(uniqueUdiseResult.rows[0]?.count || 0),
-      uniqueStates: parseInt(uniqueStatesResult.rows[0]?.count || 0),
-      uniqueDistricts: parseInt(uniqueDistrictsResult.rows[0]?.count || 0),
-      uniqueBlocks: parseInt(uniqueBlocksResult.rows[0]?.count || 0),
-      uniqueClusters: parseInt(uniqueClustersResult.rows[0]?.count || 0),
-      uniqueVillages: parseInt(uniqueVillagesResult.rows[0]?.count || 0),
-      uniqueAcademicYears: parseInt(uniqueAYResult.rows[0]?.count || 0),
-      totalStudents: parseInt(studentResult.rows[0]?.total_students || 0),
-      totalBoyStudents: parseInt(
-        studentResult.rows[0]?.total_boy_students || 0
-      ),
-      totalGirlStudents: parseInt(
-        studentResult.rows[0]?.total_girl_students || 0
-      ),
-      topStates: topStatesResult.rows,
-      topDistricts: topDistrictsResult.rows,
-      topBlocks: topBlocksResult.rows,
-      schoolsByCategory: categoryResult.rows,
-      schoolsByManagement: managementResult.rows,
-      appliedFilters: { state, district, block, ay },
-    };
-  } catch (err) {
-    console.error("Dashboard Stats Error:", err);
-    throw err;
-  }
+  return {
+    data: rows,
+    total,
+    totalIsEstimate,
+    limit,
+    nextCursor: hasNext ? { direction: "after", values: last } : null,
+    prevCursor: hasPrev ? { direction: "before", values: first } : null,
+  };
+};
+
+// Every academic year stored for one school, oldest first, with the latest row and
+// year-over-year changes. Returns null when the school is unknown or outside `scope`.
+const getSchoolProfile = async (udiseCode, scope = null) => {
+  const scopeClause = scopeService.buildScopeClause(scope);
+  const result = await pool.query(
+    format(
+      "SELECT * FROM %I WHERE udise_code = $1 %s ORDER BY ay",
+      TABLE_NAME,
+      scopeClause ? `AND ${scopeClause}` : ""
+    ),
+    [udiseCode]
+  );
+  const years = result.rows;
+  if (years.length === 0) return null;
+
+  // Each year carries its enrolment breakdown cells (empty when none was supplied)
+  const enrolment = await loadEnrolment(pool, years.map((row) => [row.udise_code, row.ay]));
+  for (const row of years) row.enrolment = enrolment.get(schoolKey(row)) || [];
+
+  const changes = years.slice(1).map((row, i) => schoolModel.diffAcademicYears(years[i], row));
+
+  return {
+    school: years[years.length - 1],
+    years,
+    changes,
+  };
 };
 
 const getAcademicYears = async () => {
   try {
     const result = await pool.query(
       format(
-        "SELECT DISTINCT ay FROM %I WHERE ay IS NOT NULL AND ay != 'NA' ORDER BY ay DESC",
+        "SELECT DISTINCT ay FROM %I ORDER BY ay DESC",
         TABLE_NAME
       )
     );
@@ -472,33 +733,41 @@ const getAcademicYears = async () => {
   }
 };
 
-const getAllFilterOptions = async () => {
+const getAllFilterOptions = async (scope = null) => {
   try {
-    const [states, districts, blocks, academicYears] = await Promise.all([
+    const scopeClause = scopeService.buildScopeClause(scope);
+    const scopeFilter = scopeClause ? `AND ${scopeClause}` : "";
+    const [states, districts, blocks, academicYears, hierarchy, unresolved] = await Promise.all([
       pool.query(
         format(
-          "SELECT DISTINCT state FROM %I WHERE state IS NOT NULL ORDER BY state",
-          TABLE_NAME
+          "SELECT DISTINCT state FROM %I WHERE state IS NOT NULL %s ORDER BY state",
+          TABLE_NAME,
+          scopeFilter
         )
       ),
       pool.query(
         format(
-          "SELECT DISTINCT state, district FROM %I WHERE state IS NOT NULL AND district IS NOT NULL ORDER BY state, district",
-          TABLE_NAME
+          "SELECT DISTINCT state, district FROM %I WHERE state IS NOT NULL AND district IS NOT NULL %s ORDER BY state, district",
+          TABLE_NAME,
+          scopeFilter
         )
       ),
       pool.query(
         format(
-          "SELECT DISTINCT state, district, block FROM %I WHERE state IS NOT NULL AND district IS NOT NULL AND block IS NOT NULL ORDER BY state, district, block",
-          TABLE_NAME
+          "SELECT DISTINCT state, district, block FROM %I WHERE state IS NOT NULL AND district IS NOT NULL AND block IS NOT NULL %s ORDER BY state, district, block",
+          TABLE_NAME,
+          scopeFilter
         )
       ),
       pool.query(
         format(
-          "SELECT DISTINCT ay FROM %I WHERE ay IS NOT NULL AND ay != 'NA' ORDER BY ay DESC",
-          TABLE_NAME
+          "SELECT DISTINCT ay FROM %I WHERE 1=1 %s ORDER BY ay DESC",
+          TABLE_NAME,
+          scopeFilter
         )
       ),
+      locationService.getLocationHierarchy(scope),
+      locationService.countUnresolved(scope),
     ]);
 
     const districtsByState = {};
@@ -523,6 +792,10 @@ const getAllFilterOptions = async () => {
       districtsByState,
       blocksByStateDistrict,
       academicYears: academicYears.rows.map((r) => r.ay),
+      // Coded state > district > block tree from the location master, and how many
+      // distinct stored names at each level are not in it yet
+      hierarchy,
+      unresolved,
     };
   } catch (err) {
     if (err.code === "42P01")
@@ -531,40 +804,25 @@ const getAllFilterOptions = async () => {
         districtsByState: {},
         blocksByStateDistrict: {},
         academicYears: [],
+        hierarchy: [],
+        unresolved: {},
       };
     throw err;
   }
 };
 
-function getEmptyStats() {
-  return {
-    totalRecords: 0,
-    uniqueUdise: 0,
-    uniqueStates: 0,
-    uniqueDistricts: 0,
-    uniqueBlocks: 0,
-    uniqueClusters: 0,
-    uniqueVillages: 0,
-    uniqueAcademicYears: 0,
-    totalStudents: 0,
-    totalBoyStudents: 0,
-    totalGirlStudents: 0,
-    topStates: [],
-    topDistricts: [],
-    topBlocks: [],
-    schoolsByCategory: [],
-    schoolsByManagement: [],
-    appliedFilters: {},
-  };
-}
-
 module.exports = {
-  proxyUdiseRequest,
+  SAVE_MODES,
   saveSchoolsToDb,
   getFiltersFromDb,
+  buildSearchFilter,
+  selectedEnrolmentSql,
+  buildSearchOrder,
+  COUNT_MODES,
   searchSchoolsInDb,
+  searchSchoolsByCursor,
+  getSchoolProfile,
   getExistingCodes,
-  getDashboardStats,
   getAcademicYears,
   getAllFilterOptions,
 };
\ No newline at end of file
@@ -0,0 +1,133 @@
+const pool = require("../db");
+const format = require("pg-format");
+
+// A user's scope is a list of regions: { state } covers the whole state,
+// { state, district } a district and { state, district, block } a single block.
+// { national: true } (stored as a row without a state) covers the whole country.
+// Super admins and users with a national assignment are unrestricted (scope = null);
+// users with no assignments at all get an empty scope, which matches nothing.
+
+// Returns an error message, or null when the scope list is well formed.
+const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes)) return "scopes must be an array";
+  for (const [i, s] of scopes.entries()) {
+    if (!s || typeof s !== "object") return `scopes[${i}] must be an object`;
+    if (s.national) {
+      if (s.state || s.district || s.block) return `scopes[${i}] cannot set a region when national is true`;
+      continue;
+    }
+    if (!s.state) return `scopes[${i}].state is required`;
+    if (s.block && !s.district) return `scopes[${i}].district is required when block is set`;
+  }
+  return null;
+};
+
+const getUserScopes = async (userId) => {
+  const result = await pool.query(
+    "SELECT state, district, block FROM user_scopes WHERE user_id = $1 ORDER BY state, district, block",
+    [userId]
+  );
+  return result.rows.map((s) => (s.state === null ? { national: true } : s));
+};
+
+// Regions in the location master's spelling, which is how school rows store them.
+// Required on use: locationService itself depends on this module.
+const canonicalizeScopes = (scopes) => require("./locationService").canonicalizeScopes(scopes);
+
+const setUserScopes = async (userId, scopes) => {
+  const canonical = await canonicalizeScopes(scopes);
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query("DELETE FROM user_scopes WHERE user_id = $1", [userId]);
+    if (canonical.length > 0) {
+      const values = canonical.map((s) =>
+        s.national ? [userId, null, null, null] : [userId, s.state, s.district || null, s.block || null]
+      );
+      await client.query(
+        format("INSERT INTO user_scopes (user_id, state, district, block) VALUES %L", values)
+      );
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+  return getUserScopes(userId);
+};
+
+// Follows a renamed state, district or block in user_scopes, which match regions by name.
+// `ancestors` holds the (current) names of the region's parents, e.g. { state } for a district.
+// Runs on the caller's client, inside the transaction that renames the location.
+const renameScopeRegion = async (client, level, ancestors, from, to) => {
+  const conditions = [format("%I = %L", level, from)];
+  for (const [parent, name] of Object.entries(ancestors)) conditions.push(format("%I = %L", parent, name));
+  const result = await client.query(
+    format("UPDATE user_scopes SET %I = %L WHERE %s", level, to, conditions.join(" AND "))
+  );
+  return result.rowCount;
+};
+
+const resolveScope = async (user) => {
+  if (!user || user.role === "super_admin") return null;
+  const scopes = await getUserScopes(user.user_id);
+  return scopes.some((s) => s.national) ? null : scopes;
+};
+
+// SQL predicate restricting rows to the scope, or null when unrestricted.
+const buildScopeClause = (scope) => {
+  if (!scope) return null;
+  if (scope.length === 0) return "FALSE";
+  const parts = scope.map((s) => {
+    const terms = [format("state = %L", s.state)];
+    if (s.district) terms.push(format("district = %L", s.district));
+    if (s.block) terms.push(format("block = %L", s.block));
+    return `(${terms.join(" AND ")})`;
+  });
+  return `(${parts.join(" OR ")})`;
+};
+
+const isRecordInScope = (record, scope) => {
+  if (!scope) return true;
+  return scope.some(
+    (s) =>
+      record.state === s.state &&
+      (!s.district || record.district === s.district) &&
+      (!s.block || record.block === s.block)
+  );
+};
+
+// The entries of `scopes` that reach beyond `scope`, e.g. regions a user is assigning
+// outside their own. A national assignment is only within an unrestricted scope.
+const scopesOutside = (scopes, scope) =>
+  scopes.filter((s) => (s.national ? scope !== null : !isRecordInScope(s, scope)));
+
+const describeScope = (scope) =>
+  scope.length === 0
+    ? "no regions assigned"
+    : scope.map((s) => [s.state, s.district, s.block].filter(Boolean).join(" / ")).join("; ");
+
+// Returns an error message when `actor` may not hand out `scopes` (any of them outside
+// the actor's own), or null.
+const checkGrantableScopes = async (actor, scopes) => {
+  const scope = await resolveScope(actor);
+  const outside = scopesOutside(await canonicalizeScopes(scopes), scope);
+  if (outside.length === 0) return null;
+  const names = outside.map((s) => (s.national ? "national" : describeScope([s]))).join("; ");
+  return `Cannot assign regions outside your own (${describeScope(scope)}): ${names}`;
+};
+
+module.exports = {
+  validateScopes,
+  getUserScopes,
+  setUserScopes,
+  renameScopeRegion,
+  resolveScope,
+  buildScopeClause,
+  isRecordInScope,
+  describeScope,
+  checkGrantableScopes,
+};
@@ -0,0 +1,250 @@
+const crypto = require("crypto");
+const pool = require("../db");
+
+// "memory" (per-process LRU) or "postgres" (shared across instances, survives restarts)
+const CACHE_BACKEND = process.env.UDISE_CACHE_BACKEND || "memory";
+const MAX_MEMORY_ENTRIES = parseInt(process.env.UDISE_CACHE_MAX_ENTRIES) || 1000;
+
+// First matching pattern wins; a TTL of 0 disables caching for that route.
+// Master data (states, districts, blocks, years) barely changes within a day.
+const ROUTE_TTLS = [
+  { pattern: /^\/master\//i, ttlSeconds: 24 * 60 * 60 },
+  { pattern: /year/i, ttlSeconds: 24 * 60 * 60 },
+  { pattern: /^\/search-schools/i, ttlSeconds: 10 * 60 },
+  { pattern: /^\/school/i, ttlSeconds: 60 * 60 },
+];
+const DEFAULT_TTL_SECONDS = 5 * 60;
+
+const CACHE_STATUS = {
+  HIT: "HIT",
+  MISS: "MISS",
+  BYPASS: "BYPASS",
+};
+
+const getTtlSeconds = (path) => {
+  const route = ROUTE_TTLS.find((r) => r.pattern.test(path));
+  return route ? route.ttlSeconds : DEFAULT_TTL_SECONDS;
+};
+
+// JSON.stringify with sorted keys, so { a, b } and { b, a } share a cache entry
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const buildCacheKey = (method, path, body) =>
+  crypto.createHash("sha256").update(stableStringify([method.toUpperCase(), path, body])).digest("hex");
+
+// --- In-memory LRU backend (Map keeps insertion order; re-inserting marks as recent) ---
+const memoryEntries = new Map();
+
+const memoryBackend = {
+  get: async (key) => {
+    const entry = memoryEntries.get(key);
+    if (!entry) return null;
+    if (entry.expires_at <= new Date()) {
+      memoryEntries.delete(key);
+      return null;
+    }
+    memoryEntries.delete(key);
+    entry.hits++;
+    entry.last_hit_at = new Date();
+    memoryEntries.set(key, entry);
+    return entry;
+  },
+
+  set: async (entry) => {
+    memoryEntries.delete(entry.cache_key);
+    memoryEntries.set(entry.cache_key, { ...entry, hits: 0, last_hit_at: null });
+    while (memoryEntries.size > MAX_MEMORY_ENTRIES) {
+      memoryEntries.delete(memoryEntries.keys().next().value);
+    }
+  },
+
+  remove: async (key) => memoryEntries.delete(key),
+
+  purge: async ({ pathPrefix = "", expiredOnly = false } = {}) => {
+    const now = new Date();
+    let removed = 0;
+    for (const [key, entry] of memoryEntries) {
+      if (!entry.path.startsWith(pathPrefix)) continue;
+      if (expiredOnly && entry.expires_at > now) continue;
+      memoryEntries.delete(key);
+      removed++;
+    }
+    return removed;
+  },
+
+  list: async ({ pathPrefix = "", page = 1, limit = 50 }) => {
+    const matching = [...memoryEntries.values()]
+      .filter((e) => e.path.startsWith(pathPrefix))
+      .reverse();
+    return {
+      entries: matching.slice((page - 1) * limit, page * limit).map(({ response, ...meta }) => meta),
+      total: matching.length,
+    };
+  },
+
+  stats: async () => ({
+    backend: "memory",
+    entries: memoryEntries.size,
+    maxEntries: MAX_MEMORY_ENTRIES,
+  }),
+};
+
+// --- Postgres backend ---
+const postgresBackend = {
+  get: async (key) => {
+    const result = await pool.query(
+      `UPDATE udise_cache SET hits = hits + 1, last_hit_at = NOW()
+       WHERE cache_key = $1 AND expires_at > NOW() RETURNING *`,
+      [key]
+    );
+    return result.rows[0] || null;
+  },
+
+  set: async (entry) => {
+    await pool.query(
+      `INSERT INTO udise_cache (cache_key, method, path, request_body, response, created_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (cache_key) DO UPDATE SET response = EXCLUDED.response, created_at = EXCLUDED.created_at,
+         expires_at = EXCLUDED.expires_at, hits = 0, last_hit_at = NULL`,
+      [
+        entry.cache_key,
+        entry.method,
+        entry.path,
+        entry.request_body == null ? null : JSON.stringify(entry.request_body),
+        JSON.stringify(entry.response),
+        entry.created_at,
+        entry.expires_at,
+      ]
+    );
+  },
+
+  remove: async (key) => {
+    const result = await pool.query("DELETE FROM udise_cache WHERE cache_key = $1", [key]);
+    return result.rowCount > 0;
+  },
+
+  purge: async ({ pathPrefix = "", expiredOnly = false } = {}) => {
+    const result = await pool.query(
+      `DELETE FROM udise_cache WHERE path LIKE $1 ${expiredOnly ? "AND expires_at <= NOW()" : ""}`,
+      [`${pathPrefix.replace(/[\\%_]/g, "\\$&")}%`]
+    );
+    return result.rowCount;
+  },
+
+  list: async ({ pathPrefix = "", page = 1, limit = 50 }) => {
+    const pattern = `${pathPrefix.replace(/[\\%_]/g, "\\$&")}%`;
+    const [entriesResult, countResult] = await Promise.all([
+      pool.query(
+        `SELECT cache_key, method, path, request_body, hits, created_at, expires_at, last_hit_at
+         FROM udise_cache WHERE path LIKE $1 ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
+        [pattern, limit, (page - 1) * limit]
+      ),
+      pool.query("SELECT COUNT(*) FROM udise_cache WHERE path LIKE $1", [pattern]),
+    ]);
+    return { entries: entriesResult.rows, total: parseInt(countResult.rows[0].count) };
+  },
+
+  stats: async () => {
+    const result = await pool.query(
+      `SELECT COUNT(*) AS entries, COUNT(*) FILTER (WHERE expires_at <= NOW()) AS expired,
+       COALESCE(SUM(hits), 0) AS hits FROM udise_cache`
+    );
+    return {
+      backend: "postgres",
+      entries: parseInt(result.rows[0].entries),
+      expired: parseInt(result.rows[0].expired),
+      hits: parseInt(result.rows[0].hits),
+    };
+  },
+};
+
+const backend = CACHE_BACKEND === "postgres" ? postgresBackend : memoryBackend;
+
+// Process-wide hit/miss counters, reported by getStats()
+const counters = { hits: 0, misses: 0, bypasses: 0 };
+
+// Identical requests that miss at the same time share one upstream call
+const inFlight = new Map();
+
+// Returns { data, cacheStatus }. Only successful responses are cached;
+// upstream errors propagate unchanged. `bypass` skips the lookup but refreshes the entry.
+const cachedRequest = async (method, path, body, fetcher, { bypass = false } = {}) => {
+  const ttlSeconds = getTtlSeconds(path);
+  if (ttlSeconds <= 0) {
+    counters.bypasses++;
+    return { data: await fetcher(), cacheStatus: CACHE_STATUS.BYPASS };
+  }
+
+  const key = buildCacheKey(method, path, body);
+
+  if (!bypass) {
+    try {
+      const entry = await backend.get(key);
+      if (entry) {
+        counters.hits++;
+        return { data: entry.response, cacheStatus: CACHE_STATUS.HIT };
+      }
+    } catch (error) {
+      console.error("UDISE Cache Read Error:", error.message);
+    }
+  }
+
+  if (!inFlight.has(key)) {
+    const request = fetcher()
+      .then(async (data) => {
+        const now = new Date();
+        await backend
+          .set({
+            cache_key: key,
+            method: method.toUpperCase(),
+            path,
+            request_body: body,
+            response: data,
+            created_at: now,
+            expires_at: new Date(now.getTime() + ttlSeconds * 1000),
+          })
+          .catch((error) => console.error("UDISE Cache Write Error:", error.message));
+        return data;
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, request);
+  }
+
+  const data = await inFlight.get(key);
+  if (bypass) counters.bypasses++;
+  else counters.misses++;
+  return { data, cacheStatus: bypass ? CACHE_STATUS.BYPASS : CACHE_STATUS.MISS };
+};
+
+const listEntries = (options) => backend.list(options);
+const deleteEntry = (key) => backend.remove(key);
+const purge = (options) => backend.purge(options);
+const purgeExpired = () => backend.purge({ expiredOnly: true });
+
+const getStats = async () => ({
+  ...(await backend.stats()),
+  ...counters,
+  routeTtls: [
+    ...ROUTE_TTLS.map((r) => ({ pattern: r.pattern.source, ttlSeconds: r.ttlSeconds })),
+    { pattern: "(default)", ttlSeconds: DEFAULT_TTL_SECONDS },
+  ],
+});
+
+module.exports = {
+  CACHE_STATUS,
+  cachedRequest,
+  listEntries,
+  deleteEntry,
+  purge,
+  purgeExpired,
+  getStats,
+};
@@ -0,0 +1,195 @@
+const axios = require("axios");
+
+// Every call to UDISE+ (proxy route and harvest jobs) goes through this client so
+// the limits below apply to the process as a whole.
+// Override UDISE_BASE_URL to point at a local mock server in development and tests.
+const UDISE_BASE_URL = process.env.UDISE_BASE_URL || "https://kys.udiseplus.gov.in/webapp/api";
+
+const CONFIG = {
+  timeoutMs: parseInt(process.env.UDISE_TIMEOUT_MS) || 15000,
+  maxRetries: parseInt(process.env.UDISE_MAX_RETRIES ?? 3),
+  retryBaseMs: parseInt(process.env.UDISE_RETRY_BASE_MS) || 500,
+  retryMaxMs: parseInt(process.env.UDISE_RETRY_MAX_MS) || 10000,
+  maxConcurrency: parseInt(process.env.UDISE_MAX_CONCURRENCY) || 4,
+  requestsPerSecond: parseFloat(process.env.UDISE_RATE_LIMIT_PER_SEC) || 5,
+  breakerThreshold: parseInt(process.env.UDISE_BREAKER_THRESHOLD) || 5,
+  breakerCooldownMs: parseInt(process.env.UDISE_BREAKER_COOLDOWN_MS) || 30000,
+};
+
+const DEFAULT_HEADERS = {
+  "User-Agent":
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+  Accept: "application/json, text/plain, */*",
+  Origin: "https://kys.udiseplus.gov.in",
+  Referer: "https://kys.udiseplus.gov.in/",
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// --- Concurrency cap + rate limit ---
+// A request waits for a free slot, then for its turn in the rate schedule.
+let activeRequests = 0;
+const waitingForSlot = [];
+let nextStartAt = 0;
+
+const acquireSlot = async () => {
+  if (activeRequests >= CONFIG.maxConcurrency) {
+    await new Promise((resolve) => waitingForSlot.push(resolve));
+  } else {
+    activeRequests++;
+  }
+
+  const now = Date.now();
+  const startAt = Math.max(now, nextStartAt);
+  nextStartAt = startAt + 1000 / CONFIG.requestsPerSecond;
+  if (startAt > now) await sleep(startAt - now);
+};
+
+// Hands the slot straight to the next waiter, so activeRequests only drops when nobody is queued
+const releaseSlot = () => {
+  const next = waitingForSlot.shift();
+  if (next) next();
+  else activeRequests--;
+};
+
+// --- Circuit breaker ---
+// closed: normal. open: fail fast with 503 until the cooldown ends.
+// half_open: one trial request decides whether to close or re-open.
+const breaker = {
+  state: "closed",
+  consecutiveFailures: 0,
+  openedAt: null,
+  trialInFlight: false,
+};
+
+const circuitOpenError = () => {
+  const retryAfterMs = Math.max(breaker.openedAt + CONFIG.breakerCooldownMs - Date.now(), 0);
+  return {
+    status: 503,
+    code: "UDISE_CIRCUIT_OPEN",
+    message: "UDISE+ is currently unavailable, please retry later",
+    retryAfterMs,
+  };
+};
+
+// Returns true if this request is the half-open trial
+const checkBreaker = () => {
+  if (breaker.state === "open") {
+    if (Date.now() - breaker.openedAt < CONFIG.breakerCooldownMs) throw circuitOpenError();
+    breaker.state = "half_open";
+  }
+  if (breaker.state === "half_open") {
+    if (breaker.trialInFlight) throw circuitOpenError();
+    breaker.trialInFlight = true;
+    return true;
+  }
+  return false;
+};
+
+const recordSuccess = () => {
+  breaker.state = "closed";
+  breaker.consecutiveFailures = 0;
+  breaker.openedAt = null;
+  breaker.trialInFlight = false;
+};
+
+const recordFailure = (isTrial) => {
+  breaker.consecutiveFailures++;
+  breaker.trialInFlight = false;
+  if (isTrial || breaker.consecutiveFailures >= CONFIG.breakerThreshold) {
+    if (breaker.state !== "open") {
+      console.error(`⚡ UDISE circuit opened after ${breaker.consecutiveFailures} consecutive failures`);
+    }
+    breaker.state = "open";
+    breaker.openedAt = Date.now();
+  }
+};
+
+// --- Errors ---
+// Errors keep the shape the proxy already returned: { status, data } for upstream
+// responses, { status, code, message } for everything else.
+const isRetryable = (error) =>
+  !error.response || error.response.status >= 500 || error.response.status === 429;
+
+const toClientError = (error) => {
+  if (error.response) {
+    return { status: error.response.status, data: error.response.data };
+  }
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+    return {
+      status: 504,
+      code: "UDISE_TIMEOUT",
+      message: `UDISE+ did not respond within ${CONFIG.timeoutMs}ms`,
+      error: error.message,
+    };
+  }
+  return {
+    status: 502,
+    code: "UDISE_UNREACHABLE",
+    message: "Could not reach UDISE+",
+    error: error.message,
+  };
+};
+
+// Exponential backoff with full jitter; a 429's Retry-After wins when present
+const retryDelayMs = (error, attempt) => {
+  const retryAfter = parseInt(error.response?.headers?.["retry-after"]);
+  if (!isNaN(retryAfter)) return Math.min(retryAfter * 1000, CONFIG.retryMaxMs);
+  const ceiling = Math.min(CONFIG.retryBaseMs * 2 ** attempt, CONFIG.retryMaxMs);
+  return Math.round(Math.random() * ceiling);
+};
+
+const attemptRequest = async (method, url, data) => {
+  await acquireSlot();
+  try {
+    const response = await axios({
+      method,
+      url: `${UDISE_BASE_URL}${url}`,
+      data: method === "POST" || method === "PUT" ? data : undefined,
+      headers: DEFAULT_HEADERS,
+      timeout: CONFIG.timeoutMs,
+    });
+    return response.data;
+  } finally {
+    releaseSlot();
+  }
+};
+
+// `url` is relative to UDISE_BASE_URL and may include a query string.
+const request = async (method, url, data) => {
+  for (let attempt = 0; ; attempt++) {
+    const isTrial = checkBreaker();
+    try {
+      const result = await attemptRequest(method, url, data);
+      recordSuccess();
+      return result;
+    } catch (error) {
+      if (!isRetryable(error)) {
+        // A 4xx means upstream is up; it does not count against the breaker
+        if (isTrial) recordSuccess();
+        throw toClientError(error);
+      }
+      recordFailure(isTrial);
+      if (attempt >= CONFIG.maxRetries || breaker.state === "open") {
+        throw toClientError(error);
+      }
+      await sleep(retryDelayMs(error, attempt));
+    }
+  }
+};
+
+const getStatus = () => ({
+  baseUrl: UDISE_BASE_URL,
+  circuit: breaker.state,
+  consecutiveFailures: breaker.consecutiveFailures,
+  retryAfterMs: breaker.state === "open" ? circuitOpenError().retryAfterMs : 0,
+  activeRequests,
+  queuedRequests: waitingForSlot.length,
+  config: CONFIG,
+});
+
+module.exports = {
+  UDISE_BASE_URL,
+  request,
+  getStatus,
+};